@@ -0,0 +1,224 @@
+/**
+ * Authentication strategies applied to every request sent to Confluence.
+ *
+ * A strategy is an object with an `apply(req)` method receiving the
+ * superagent request before it is sent.
+ */
+
+var crypto = require('crypto');
+
+/**
+ * HTTP basic authentication with a username and a password or API token.
+ *
+ * @param {string} username
+ * @param {string} password
+ * @returns {{apply: Function}}
+ */
+function basic(username, password) {
+    return {
+        type: 'basic',
+        apply: function(req) {
+            return req.auth(username, password);
+        }
+    };
+}
+
+/**
+ * Bearer token authentication, as used by Data Center personal access tokens.
+ *
+ * @param {string} token
+ * @returns {{apply: Function}}
+ */
+function bearer(token) {
+    return {
+        type: 'bearer',
+        apply: function(req) {
+            return req.set('Authorization', 'Bearer ' + token);
+        }
+    };
+}
+
+/**
+ * Reuse an existing session cookie, e.g. `JSESSIONID=...`.
+ *
+ * @param {string} cookie
+ * @returns {{apply: Function}}
+ */
+function cookie(cookie) {
+    return {
+        type: 'cookie',
+        apply: function(req) {
+            return req.set('Cookie', cookie);
+        }
+    };
+}
+
+/**
+ * OAuth 1.0a with an access token obtained beforehand. Application links use
+ * RSA-SHA1 with the consumer's private key; HMAC-SHA1 with a consumer secret
+ * is supported as well.
+ *
+ * @param {Object} options
+ * @param {string} options.consumerKey
+ * @param {string} options.token - Access token
+ * @param {string} options.tokenSecret - Optional, access token secret
+ * @param {string} options.privateKey - PEM private key, for RSA-SHA1
+ * @param {string} options.consumerSecret - Consumer secret, for HMAC-SHA1
+ * @param {string} options.signatureMethod - Optional, "RSA-SHA1" (default) or "HMAC-SHA1"
+ * @returns {{apply: Function}}
+ */
+function oauth1(options) {
+    var signatureMethod = options.signatureMethod || 'RSA-SHA1';
+
+    if (signatureMethod === 'RSA-SHA1' && !options.privateKey) {
+        throw new Error("OAuth RSA-SHA1 authentication expects a privateKey.");
+    }
+    if (signatureMethod === 'HMAC-SHA1' && !options.consumerSecret) {
+        throw new Error("OAuth HMAC-SHA1 authentication expects a consumerSecret.");
+    }
+
+    return {
+        type: 'oauth1',
+        apply: function(req) {
+            var params = {
+                oauth_consumer_key: options.consumerKey,
+                oauth_nonce: crypto.randomBytes(16).toString('hex'),
+                oauth_signature_method: signatureMethod,
+                oauth_timestamp: String(Math.floor(Date.now() / 1000)),
+                oauth_token: options.token,
+                oauth_version: '1.0'
+            };
+            var base = signatureBaseString(req.method, req.url, params);
+
+            if (signatureMethod === 'RSA-SHA1') {
+                params.oauth_signature = crypto.createSign('RSA-SHA1').update(base).sign(options.privateKey, 'base64');
+            }
+            else {
+                var key = percentEncode(options.consumerSecret) + '&' + percentEncode(options.tokenSecret || '');
+                params.oauth_signature = crypto.createHmac('sha1', key).update(base).digest('base64');
+            }
+
+            return req.set('Authorization', 'OAuth ' + Object.keys(params).map(function(name) {
+                return name + '="' + percentEncode(params[name]) + '"';
+            }).join(', '));
+        }
+    };
+}
+
+/**
+ * Build the OAuth 1.0a signature base string of a request.
+ *
+ * @param {string} method
+ * @param {string} url
+ * @param {Object} oauthParams
+ * @returns {string}
+ */
+function signatureBaseString(method, url, oauthParams) {
+    var queryIndex = url.indexOf('?');
+    var baseUri = queryIndex === -1 ? url : url.slice(0, queryIndex);
+    var pairs = [];
+
+    if (queryIndex !== -1) {
+        url.slice(queryIndex + 1).split('&').forEach(function(part) {
+            if (!part) return;
+            var eq = part.indexOf('=');
+            var name = eq === -1 ? part : part.slice(0, eq);
+            var value = eq === -1 ? '' : part.slice(eq + 1);
+            pairs.push([percentEncode(decode(name)), percentEncode(decode(value))]);
+        });
+    }
+    Object.keys(oauthParams).forEach(function(name) {
+        pairs.push([percentEncode(name), percentEncode(oauthParams[name])]);
+    });
+
+    pairs.sort(function(a, b) {
+        if (a[0] !== b[0]) return a[0] < b[0] ? -1 : 1;
+        return a[1] < b[1] ? -1 : (a[1] > b[1] ? 1 : 0);
+    });
+
+    return [
+        method.toUpperCase(),
+        percentEncode(normalizeUri(baseUri)),
+        percentEncode(pairs.map(function(pair) { return pair[0] + '=' + pair[1]; }).join('&'))
+    ].join('&');
+}
+
+/**
+ * Lower-case the scheme and host of a uri and drop a default port.
+ *
+ * @private
+ */
+function normalizeUri(uri) {
+    var match = /^(\w+):\/\/([^\/]+)(.*)$/.exec(uri);
+    if (!match) return uri;
+
+    var scheme = match[1].toLowerCase();
+    var host = match[2].toLowerCase();
+    if ((scheme === 'http' && /:80$/.test(host)) || (scheme === 'https' && /:443$/.test(host))) {
+        host = host.replace(/:\d+$/, '');
+    }
+    return scheme + '://' + host + match[3];
+}
+
+function percentEncode(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, function(c) {
+        return '%' + c.charCodeAt(0).toString(16).toUpperCase();
+    });
+}
+
+function decode(value) {
+    try {
+        return decodeURIComponent(value.replace(/\+/g, ' '));
+    }
+    catch (e) {
+        return value;
+    }
+}
+
+/**
+ * Resolve the authentication strategy described by a Confluence config.
+ *
+ * `config.auth` may be a strategy object, a function receiving the request,
+ * or a description such as `{ type: 'bearer', token: '...' }`. Without it,
+ * basic authentication with `config.username` and `config.password` is used.
+ *
+ * @param {Object} config
+ * @returns {{apply: Function}|undefined} undefined when the config holds no credentials
+ */
+function fromConfig(config) {
+    var auth = config.auth;
+
+    if (!auth) {
+        return (config.username && config.password) ? basic(config.username, config.password) : undefined;
+    }
+    if (typeof auth === 'function') {
+        return { type: 'custom', apply: auth };
+    }
+    if (typeof auth.apply === 'function') {
+        return auth;
+    }
+
+    switch (auth.type) {
+        case 'basic':
+            return basic(auth.username || config.username, auth.password || config.password);
+        case 'bearer':
+        case 'pat':
+            return bearer(auth.token);
+        case 'cookie':
+            return cookie(auth.cookie);
+        case 'oauth':
+        case 'oauth1':
+            return oauth1(auth);
+        default:
+            throw new Error("Confluence module does not support auth type '" + auth.type + "'.");
+    }
+}
+
+module.exports = {
+    basic: basic,
+    bearer: bearer,
+    cookie: cookie,
+    oauth1: oauth1,
+    fromConfig: fromConfig,
+    signatureBaseString: signatureBaseString
+};
@@ -0,0 +1,515 @@
+/**
+ * Build Confluence storage format: elements, common macros, links and
+ * images, and templates rendering pages from variables.
+ * See https://confluence.atlassian.com/doc/confluence-storage-format-790796544.html
+ *
+ * Builders return Markup, which is inserted as is wherever content is
+ * expected; any other value is converted to a string and escaped. Arrays of
+ * content are concatenated and null, undefined and false are left out.
+ */
+
+var markdown = require('./markdown');
+
+var escapeXml = markdown.escapeXml;
+var cdata = markdown.cdata;
+
+var PANEL_TYPES = ['info', 'note', 'tip', 'warning', 'panel'];
+var STATUS_COLOURS = ['Grey', 'Red', 'Yellow', 'Green', 'Blue', 'Purple'];
+var ELEMENT_NAME = /^[A-Za-z][\w-]*(:[\w-]+)?$/;
+
+/**
+ * Construct Markup, storage format that is trusted to be well formed.
+ *
+ * @constructor
+ * @this {Markup}
+ * @param {string} xml
+ */
+function Markup(xml) {
+    this.xml = String(xml);
+}
+
+Markup.prototype.toString = function() {
+    return this.xml;
+};
+
+Markup.prototype.toJSON = function() {
+    return this.xml;
+};
+
+/**
+ * Mark storage format as trusted, so that it is inserted without escaping.
+ *
+ * @param {string} xml
+ * @returns {Markup}
+ */
+function raw(xml) {
+    return new Markup(xml);
+}
+
+/**
+ * Render content to storage format, escaping anything that is not Markup.
+ *
+ * @param {*} content - Markup, text, or an array of either
+ * @returns {string}
+ */
+function render(content) {
+    if (content === null || content === undefined || content === false) {
+        return '';
+    }
+    if (Array.isArray(content)) {
+        return content.map(render).join('');
+    }
+    if (content instanceof Markup) {
+        return content.xml;
+    }
+    return escapeXml(content);
+}
+
+/**
+ * Build an element.
+ *
+ * @param {string} name - e.g. "p", "td" or "ac:task"
+ * @param {Object} attributes - Optional, attribute values are escaped; null and undefined values are left out
+ * @param {...*} children - Optional content
+ * @returns {Markup}
+ */
+function element(name, attributes) {
+    if (!ELEMENT_NAME.test(name)) {
+        throw new TypeError("Invalid element name: " + name);
+    }
+
+    var children = Array.prototype.slice.call(arguments, 2);
+    var source = '<' + name + attributeList(attributes);
+    var body = render(children);
+
+    return new Markup(body ? source + '>' + body + '</' + name + '>' : source + ' />');
+}
+
+function attributeList(attributes) {
+    return Object.keys(attributes || {}).filter(function(name) {
+        return attributes[name] !== null && attributes[name] !== undefined;
+    }).map(function(name) {
+        if (!ELEMENT_NAME.test(name)) {
+            throw new TypeError("Invalid attribute name: " + name);
+        }
+        return ' ' + name + '="' + escapeXml(attributes[name]) + '"';
+    }).join('');
+}
+
+/**
+ * Build a paragraph.
+ *
+ * @param {...*} content
+ * @returns {Markup}
+ */
+function paragraph() {
+    return element.apply(null, ['p', null].concat(Array.prototype.slice.call(arguments)));
+}
+
+/**
+ * Build a heading.
+ *
+ * @param {number} level - 1 to 6
+ * @param {...*} content
+ * @returns {Markup}
+ */
+function heading(level) {
+    if (!(level >= 1 && level <= 6) || level % 1) {
+        throw new TypeError("Invalid heading level: " + level);
+    }
+    return element.apply(null, ['h' + level, null].concat(Array.prototype.slice.call(arguments, 1)));
+}
+
+/**
+ * Build a bulleted or numbered list.
+ *
+ * @param {Array} items - Content of each list item
+ * @param {Object} options - Optional
+ * @param {boolean} options.ordered - Optional, build a numbered list
+ * @returns {Markup}
+ */
+function list(items, options) {
+    options = options || {};
+
+    return element(options.ordered ? 'ol' : 'ul', null, items.map(function(item) {
+        return element('li', null, item);
+    }));
+}
+
+/**
+ * Build a table.
+ *
+ * @param {Array.<Array>} rows - Content of each cell, row by row
+ * @param {Object} options - Optional
+ * @param {Array} options.header - Optional, content of the header cells
+ * @returns {Markup}
+ */
+function table(rows, options) {
+    options = options || {};
+
+    function row(cells, tag) {
+        return element('tr', null, cells.map(function(cell) {
+            return element(tag, null, cell);
+        }));
+    }
+
+    return element('table', null, element('tbody', null,
+        options.header ? row(options.header, 'th') : null,
+        rows.map(function(cells) { return row(cells, 'td'); })));
+}
+
+/**
+ * Build a macro.
+ *
+ * @param {string} name
+ * @param {Object} parameters - Optional, parameter values are escaped; null and undefined values are left out
+ * @param {Object} body - Optional
+ * @param {*} body.rich - Optional, content of a rich text body
+ * @param {string} body.plain - Optional, text of a plain text body
+ * @returns {Markup}
+ */
+function macro(name, parameters, body) {
+    body = body || {};
+
+    var params = Object.keys(parameters || {}).filter(function(key) {
+        return parameters[key] !== null && parameters[key] !== undefined;
+    }).map(function(key) {
+        return '<ac:parameter ac:name="' + escapeXml(key) + '">' + render(parameters[key]) + '</ac:parameter>';
+    }).join('');
+
+    if (body.plain !== undefined) {
+        params += '<ac:plain-text-body>' + cdata(body.plain) + '</ac:plain-text-body>';
+    }
+    else if (body.rich !== undefined) {
+        params += '<ac:rich-text-body>' + render(body.rich) + '</ac:rich-text-body>';
+    }
+
+    return new Markup('<ac:structured-macro ac:name="' + escapeXml(name) + '">' + params + '</ac:structured-macro>');
+}
+
+/**
+ * Build a code block.
+ *
+ * @param {string} code
+ * @param {Object} options - Optional
+ * @param {string} options.language - Optional, e.g. "javascript"
+ * @param {string} options.title - Optional
+ * @param {boolean} options.linenumbers - Optional, show line numbers
+ * @param {boolean} options.collapse - Optional, collapse the block
+ * @returns {Markup}
+ */
+function codeBlock(code, options) {
+    options = options || {};
+
+    return macro('code', {
+        language: options.language && options.language.toLowerCase(),
+        title: options.title,
+        linenumbers: options.linenumbers === undefined ? undefined : String(!!options.linenumbers),
+        collapse: options.collapse === undefined ? undefined : String(!!options.collapse)
+    }, { plain: code });
+}
+
+/**
+ * Build an info, note, tip or warning panel, or a plain panel.
+ *
+ * @param {string} type - "info", "note", "tip", "warning" or "panel"
+ * @param {*} content
+ * @param {Object} options - Optional
+ * @param {string} options.title - Optional
+ * @returns {Markup}
+ */
+function panel(type, content, options) {
+    options = options || {};
+
+    if (PANEL_TYPES.indexOf(type) === -1) {
+        throw new TypeError("Invalid panel type: " + type + ", expected one of " + PANEL_TYPES.join(", "));
+    }
+    return macro(type, { title: options.title }, { rich: content });
+}
+
+/**
+ * Build a table of contents of the page's headings.
+ *
+ * @param {Object} options - Optional
+ * @param {number} options.minLevel - Optional, highest heading level listed
+ * @param {number} options.maxLevel - Optional, lowest heading level listed
+ * @param {string} options.style - Optional, list style, e.g. "none" or "disc"
+ * @param {string} options.type - Optional, "list" (default) or "flat"
+ * @returns {Markup}
+ */
+function toc(options) {
+    options = options || {};
+
+    return macro('toc', {
+        minLevel: options.minLevel,
+        maxLevel: options.maxLevel,
+        style: options.style,
+        type: options.type
+    });
+}
+
+/**
+ * Build an expandable section.
+ *
+ * @param {string} title - The text shown to expand the section
+ * @param {*} content
+ * @returns {Markup}
+ */
+function expand(title, content) {
+    return macro('expand', { title: title }, { rich: content });
+}
+
+/**
+ * Build a status lozenge.
+ *
+ * @param {string} title
+ * @param {Object} options - Optional
+ * @param {string} options.colour - Optional, "Grey" (default), "Red", "Yellow", "Green", "Blue" or "Purple"
+ * @param {boolean} options.subtle - Optional, outline instead of a filled lozenge
+ * @returns {Markup}
+ */
+function status(title, options) {
+    options = options || {};
+
+    var colour = options.colour || 'Grey';
+    if (STATUS_COLOURS.indexOf(colour) === -1) {
+        throw new TypeError("Invalid status colour: " + colour + ", expected one of " + STATUS_COLOURS.join(", "));
+    }
+    return macro('status', {
+        colour: colour,
+        title: title,
+        subtle: options.subtle ? 'true' : undefined
+    });
+}
+
+/**
+ * Build a Jira issue macro showing one issue, or the issues matching a JQL
+ * query.
+ *
+ * @param {string|Object} issue - An issue key, or `{jql}`
+ * @param {Object} options - Optional
+ * @param {string} options.server - Optional, name of the Jira application link
+ * @param {string} options.serverId - Optional, id of the Jira application link
+ * @param {Array.<string>} options.columns - Optional, columns of a query's table
+ * @param {number} options.maximumIssues - Optional, issues listed for a query
+ * @returns {Markup}
+ */
+function jiraIssue(issue, options) {
+    options = options || {};
+
+    var query = typeof issue === 'object' && issue !== null;
+
+    return macro('jira', {
+        server: options.server,
+        serverId: options.serverId,
+        key: query ? undefined : issue,
+        jqlQuery: query ? issue.jql : undefined,
+        columns: query && options.columns ? options.columns.join(',') : undefined,
+        maximumIssues: query ? options.maximumIssues : undefined
+    });
+}
+
+/**
+ * Build a mention of a user.
+ *
+ * @param {string|Object} user - An account id, or `{accountId}`, `{userKey}` or `{username}`
+ * @returns {Markup}
+ */
+function mention(user) {
+    if (typeof user === 'string') {
+        user = { accountId: user };
+    }
+    user = user || {};
+
+    var attributes = user.accountId ? { 'ri:account-id': user.accountId } :
+        user.userKey ? { 'ri:userkey': user.userKey } :
+        user.username ? { 'ri:username': user.username } : null;
+
+    if (!attributes) {
+        throw new TypeError("A mention expects an accountId, userKey or username.");
+    }
+    return element('ac:link', null, element('ri:user', attributes));
+}
+
+/**
+ * Build a link to a page.
+ *
+ * @param {string} title - Title of the page
+ * @param {Object} options - Optional
+ * @param {string} options.space - Optional, key of the page's space; defaults to the space of the linking page
+ * @param {string} options.anchor - Optional, heading anchor on the page
+ * @param {*} options.text - Optional, link text; defaults to the page title
+ * @returns {Markup}
+ */
+function pageLink(title, options) {
+    options = options || {};
+
+    return element('ac:link', { 'ac:anchor': options.anchor },
+        element('ri:page', { 'ri:content-title': title, 'ri:space-key': options.space }),
+        options.text !== undefined ? element('ac:link-body', null, options.text) : null);
+}
+
+/**
+ * Build an image showing an attachment.
+ *
+ * @param {string} filename
+ * @param {Object} options - Optional
+ * @param {string} options.page - Optional, title of the page holding the attachment; defaults to this page
+ * @param {string} options.space - Optional, key of that page's space
+ * @param {number} options.width - Optional, in pixels
+ * @param {number} options.height - Optional, in pixels
+ * @param {string} options.alt - Optional
+ * @param {string} options.title - Optional
+ * @returns {Markup}
+ */
+function attachmentImage(filename, options) {
+    options = options || {};
+
+    var page = options.page ?
+        element('ri:page', { 'ri:content-title': options.page, 'ri:space-key': options.space }) :
+        null;
+
+    return element('ac:image', {
+        'ac:width': options.width,
+        'ac:height': options.height,
+        'ac:alt': options.alt,
+        'ac:title': options.title
+    }, element('ri:attachment', { 'ri:filename': filename }, page));
+}
+
+/**
+ * Compile a template into a function rendering storage format from
+ * variables. The syntax is a subset of Mustache:
+ *
+ * - `{{name}}` or `{{incident.owner}}` inserts a variable, escaped unless it is Markup
+ * - `{{{name}}}` inserts a variable without escaping
+ * - `{{#name}}...{{/name}}` renders once for each item of an array, or once if the value is truthy; `{{.}}` is the current item
+ * - `{{^name}}...{{/name}}` renders if the value is falsy or an empty array
+ *
+ * Variables are looked up in the current item first, then outwards. The
+ * template source itself is trusted storage format; rendered templates are
+ * Markup, so one can be a variable of another.
+ *
+ * @param {string} source
+ * @param {Object} options - Optional
+ * @param {boolean} options.strict - Optional, throw when a variable is undefined, defaults to true
+ * @returns {Function} called with the variables, returns Markup
+ */
+function template(source, options) {
+    options = options || {};
+
+    var strict = options.strict !== false;
+    var tree = parseTemplate(String(source));
+
+    function lookup(stack, name) {
+        if (name === '.') {
+            return stack[stack.length - 1];
+        }
+
+        var parts = name.split('.');
+        for (var i = stack.length - 1; i >= 0; i--) {
+            var scope = stack[i];
+            if (scope !== null && typeof scope === 'object' && parts[0] in Object(scope)) {
+                return parts.slice(1).reduce(function(value, part) {
+                    return value === null || value === undefined ? undefined : value[part];
+                }, scope[parts[0]]);
+            }
+        }
+        if (strict) {
+            throw new Error("Template variable '" + name + "' is not defined.");
+        }
+    }
+
+    function renderNodes(nodes, stack) {
+        return nodes.map(function(node) {
+            if (typeof node === 'string') {
+                return node;
+            }
+
+            var value = lookup(stack, node.name);
+
+            if (node.type === 'variable') {
+                return node.raw && value !== null && value !== undefined ? String(value) : render(value);
+            }
+
+            var empty = !value || (Array.isArray(value) && !value.length);
+            if (node.type === 'inverted') {
+                return empty ? renderNodes(node.children, stack) : '';
+            }
+            if (empty) {
+                return '';
+            }
+            return [].concat(Array.isArray(value) ? value : [value]).map(function(item) {
+                return renderNodes(node.children, stack.concat([item]));
+            }).join('');
+        }).join('');
+    }
+
+    return function(variables) {
+        return new Markup(renderNodes(tree, [variables || {}]));
+    };
+}
+
+var TAG = /\{\{(\{)?\s*([#^\/]?)\s*([\w-]+(?:\.[\w-]+)*|\.)\s*\}?\}\}/g;
+
+function parseTemplate(source) {
+    var root = { children: [] };
+    var stack = [root];
+    var last = 0;
+    var match;
+
+    TAG.lastIndex = 0;
+    while ((match = TAG.exec(source))) {
+        var current = stack[stack.length - 1];
+
+        if (match.index > last) {
+            current.children.push(source.slice(last, match.index));
+        }
+        last = TAG.lastIndex;
+
+        if (match[2] === '#' || match[2] === '^') {
+            var section = { type: match[2] === '#' ? 'section' : 'inverted', name: match[3], children: [] };
+            current.children.push(section);
+            stack.push(section);
+        }
+        else if (match[2] === '/') {
+            if (stack.length === 1 || current.name !== match[3]) {
+                throw new Error("Unexpected {{/" + match[3] + "}} in template.");
+            }
+            stack.pop();
+        }
+        else {
+            current.children.push({ type: 'variable', name: match[3], raw: !!match[1] });
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new Error("Unclosed {{#" + stack[stack.length - 1].name + "}} in template.");
+    }
+    if (last < source.length) {
+        root.children.push(source.slice(last));
+    }
+    return root.children;
+}
+
+module.exports = {
+    Markup: Markup,
+    raw: raw,
+    render: render,
+    element: element,
+    paragraph: paragraph,
+    heading: heading,
+    list: list,
+    table: table,
+    macro: macro,
+    codeBlock: codeBlock,
+    panel: panel,
+    toc: toc,
+    expand: expand,
+    status: status,
+    jiraIssue: jiraIssue,
+    mention: mention,
+    pageLink: pageLink,
+    attachmentImage: attachmentImage,
+    template: template
+};
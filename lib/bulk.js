@@ -0,0 +1,154 @@
+/**
+ * Apply an operation, such as relabelling, moving or deleting, to every
+ * piece of content matching a CQL query.
+ */
+
+var fs = require('fs');
+var cql = require('./cql');
+
+var DEFAULT_CONCURRENCY = 4;
+
+function readCheckpoint(file, key) {
+    if (!file || !fs.existsSync(file)) {
+        return { key: key, done: [] };
+    }
+
+    var checkpoint = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (checkpoint.key !== key) {
+        throw new Error("Checkpoint " + file + " was written for another bulk operation: " + checkpoint.key);
+    }
+    return checkpoint;
+}
+
+function writeCheckpoint(file, checkpoint) {
+    fs.writeFileSync(file, JSON.stringify(checkpoint, null, 2) + "\n");
+}
+
+/**
+ * Run a step for every item of a list, with at most `concurrency` steps in
+ * progress at a time.
+ *
+ * @private
+ * @param {Array} items
+ * @param {number} concurrency
+ * @param {Function} step - Called with an item, returns a promise
+ * @returns {Promise}
+ */
+function eachLimit(items, concurrency, step) {
+    var index = 0;
+
+    function worker() {
+        if (index >= items.length) {
+            return Promise.resolve();
+        }
+        return step(items[index++]).then(worker);
+    }
+
+    var workers = [];
+    for (var i = 0; i < Math.min(concurrency, items.length); i++) {
+        workers.push(worker());
+    }
+    return Promise.all(workers);
+}
+
+/**
+ * Apply an operation to every piece of content matching a query.
+ *
+ * Every match is collected before anything is changed, since changes such as
+ * deletions would otherwise shift the pages of the search results. Failures
+ * are recorded per item and do not stop the run.
+ *
+ * With options.checkpoint, the ids of items done are saved to that file after
+ * every item, and items listed there are skipped; running the same operation
+ * again after a partial failure or an interruption so only retries what is
+ * left. The file is removed once every item succeeded.
+ *
+ * @param {Confluence} confluence
+ * @param {string|CqlQuery|Object} query - As for search
+ * @param {Object} operation
+ * @param {string} operation.name - Identifies the operation and its arguments in checkpoints and reports
+ * @param {Function} operation.apply - Called with a content object, returns a promise
+ * @param {Object} options - Optional
+ * @param {boolean} options.dryRun - Optional, list the items that would change without changing them
+ * @param {number} options.concurrency - Optional, items changed at a time, defaults to 4
+ * @param {string} options.checkpoint - Optional, path of a file recording progress, to resume an interrupted run
+ * @param {number} options.maxItems - Optional, refuse to run when the query matches more items
+ * @param {Function} options.onProgress - Optional, called with every item's report entry once it is done
+ * @returns {Promise.<Object>} report of `{operation, dryRun, total, succeeded, failed, skipped, items}`; each item has an id, type, title and a status of "planned", "succeeded", "failed" or "skipped", and failed items an error
+ */
+function run(confluence, query, operation, options) {
+    options = options || {};
+
+    var dryRun = !!options.dryRun;
+    var concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    var checkpoint;
+
+    try {
+        query = cql.queryString(query);
+        checkpoint = readCheckpoint(options.checkpoint, operation.name + " where " + query);
+    }
+    catch (e) {
+        return Promise.reject(e);
+    }
+
+    var done = new Set(checkpoint.done);
+    var report = { operation: operation.name, dryRun: dryRun, total: 0, succeeded: 0, failed: 0, skipped: 0, items: [] };
+
+    function finish(entry) {
+        report.items.push(entry);
+        if (entry.status !== "planned") {
+            report[entry.status]++;
+        }
+        if (options.onProgress) {
+            options.onProgress(entry);
+        }
+    }
+
+    return confluence.searchAll(query).then(function(results) {
+        var items = results.map(function(result) {
+            return result.content;
+        }).filter(Boolean);
+
+        if (options.maxItems !== undefined && items.length > options.maxItems) {
+            throw new Error("The query matches " + items.length + " items, more than maxItems (" + options.maxItems + "): " + query);
+        }
+        report.total = items.length;
+
+        return eachLimit(items, concurrency, function(content) {
+            var entry = { id: content.id, type: content.type, title: content.title };
+
+            if (done.has(content.id)) {
+                entry.status = "skipped";
+                return Promise.resolve(finish(entry));
+            }
+            if (dryRun) {
+                entry.status = "planned";
+                return Promise.resolve(finish(entry));
+            }
+
+            return Promise.resolve().then(function() {
+                return operation.apply(content);
+            }).then(function() {
+                entry.status = "succeeded";
+                if (options.checkpoint) {
+                    checkpoint.done.push(content.id);
+                    writeCheckpoint(options.checkpoint, checkpoint);
+                }
+            }, function(err) {
+                entry.status = "failed";
+                entry.error = err;
+            }).then(function() {
+                finish(entry);
+            });
+        });
+    }).then(function() {
+        if (options.checkpoint && !dryRun && !report.failed && fs.existsSync(options.checkpoint)) {
+            fs.unlinkSync(options.checkpoint);
+        }
+        return report;
+    });
+}
+
+module.exports = {
+    run: run
+};
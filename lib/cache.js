@@ -0,0 +1,299 @@
+/**
+ * Response cache for reads, with a pluggable store.
+ */
+
+var DEFAULT_TTL = 60000;
+
+/**
+ * Construct MemoryStore, an in-memory store that evicts the least recently
+ * used entry once it holds maxEntries.
+ *
+ * Any object with `get(key)`, `set(key, value)`, `delete(key)` and `clear()`
+ * can be used as a store instead; these may return promises. Values are plain
+ * JSON objects, so a store may serialize them.
+ *
+ * @constructor
+ * @this {MemoryStore}
+ * @param {Object} options - Optional
+ * @param {number} options.maxEntries - Optional, defaults to 500
+ * @param {Function} options.onEvict - Optional, called with the key of every entry evicted
+ */
+function MemoryStore(options) {
+    options = options || {};
+
+    this.maxEntries = options.maxEntries || 500;
+    this.onEvict = options.onEvict;
+    this.entries = new Map();
+}
+
+MemoryStore.prototype.get = function(key) {
+    var value = this.entries.get(key);
+
+    if (value !== undefined) {
+        // move the entry to the most recently used end
+        this.entries.delete(key);
+        this.entries.set(key, value);
+    }
+    return value;
+};
+
+MemoryStore.prototype.set = function(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+
+    while (this.entries.size > this.maxEntries) {
+        var oldest = this.entries.keys().next().value;
+        this.entries.delete(oldest);
+        if (this.onEvict) {
+            this.onEvict(oldest);
+        }
+    }
+};
+
+MemoryStore.prototype.delete = function(key) {
+    this.entries.delete(key);
+};
+
+MemoryStore.prototype.clear = function() {
+    this.entries.clear();
+};
+
+/**
+ * Construct ResponseCache.
+ *
+ * Entries are tagged with the resources they describe, e.g. "content:123" or
+ * "space:KEY", and dropped when one of their tags is invalidated. Entries
+ * keep their tags in the store, so that entries a persistent or shared store
+ * got from an earlier run or another client are dropped as well. Entries
+ * past their ttl are revalidated with their ETag when they have one.
+ *
+ * @constructor
+ * @this {ResponseCache}
+ * @param {Object|boolean} options - Optional, `true` enables the defaults
+ * @param {number|Object} options.ttl - Optional, ms an entry is used without asking Confluence, defaults to 60000; or per kind of resource, e.g. `{content: 10000, space: 300000}`
+ * @param {number} options.maxEntries - Optional, size of the default MemoryStore, defaults to 500
+ * @param {Object} options.store - Optional, where entries are kept, defaults to a MemoryStore
+ */
+function ResponseCache(options) {
+    if (!options || options === true) {
+        options = {};
+    }
+
+    this.ttl = options.ttl !== undefined ? options.ttl : DEFAULT_TTL;
+    this.store = options.store || new MemoryStore({ maxEntries: options.maxEntries, onEvict: this.untag.bind(this) });
+    this.tags = new Map();
+    this.keyTags = new Map();
+    this.invalidated = new Map();
+    this.pending = new Map();
+    this.generation = 0;
+}
+
+/**
+ * Get the ttl in ms for a kind of resource.
+ *
+ * @param {string} kind - e.g. "content" or "space"
+ * @returns {number}
+ */
+ResponseCache.prototype.ttlFor = function(kind) {
+    if (typeof this.ttl === 'number') {
+        return this.ttl;
+    }
+    return this.ttl[kind] !== undefined ? this.ttl[kind] : DEFAULT_TTL;
+};
+
+/**
+ * Resolve with the body cached under a key, loading it when missing or
+ * expired. Loads of the same key in progress at the same time are shared.
+ *
+ * The loader receives the ETag of an expired entry, if any, and resolves
+ * with `{body, etag}`, or with `{notModified: true}` to keep the cached body.
+ * Bodies are copied in and out of the cache so callers may change them.
+ *
+ * @param {string} key
+ * @param {Object} options
+ * @param {string} options.kind - Kind of resource, selects the ttl
+ * @param {Array.<string>} options.tags - Optional, tags of the entry
+ * @param {boolean} options.shared - Optional, share a load in progress, defaults to true
+ * @param {Function} load
+ * @returns {Promise}
+ */
+ResponseCache.prototype.fetch = function(key, options, load) {
+    var self = this;
+    var shared = options.shared !== false;
+
+    if (shared && this.pending.has(key)) {
+        return this.pending.get(key).then(copy);
+    }
+
+    // a write during the load may have changed the resource after it was read
+    var generation = this.generation;
+
+    var promise = Promise.resolve(this.store.get(key)).then(function(entry) {
+        if (entry) {
+            // the entry may have been stored by an earlier run or another client
+            self.tag(key, entry.tags || options.tags);
+        }
+        if (entry && entry.expires > Date.now() && !self.invalidatedSince(entry)) {
+            return entry.body;
+        }
+        if (!entry) {
+            // the store may have dropped the entry on its own, e.g. once expired
+            self.untag(key);
+        }
+
+        return load(entry && entry.etag).then(function(result) {
+            var fresh = {
+                body: result.notModified ? entry.body : copy(result.body),
+                etag: result.notModified ? entry.etag : result.etag,
+                tags: options.tags || [],
+                stored: Date.now(),
+                expires: Date.now() + self.ttlFor(options.kind)
+            };
+
+            if (self.generation !== generation) {
+                return fresh.body;
+            }
+
+            self.tag(key, fresh.tags);
+            return Promise.resolve(self.store.set(key, fresh)).then(function() {
+                return fresh.body;
+            });
+        });
+    });
+
+    if (shared) {
+        this.pending.set(key, promise);
+        promise.then(done, done);
+    }
+
+    function done() {
+        if (self.pending.get(key) === promise) {
+            self.pending.delete(key);
+        }
+    }
+
+    return promise.then(copy);
+};
+
+/**
+ * Drop every entry with one of the tags.
+ *
+ * @param {string|Array.<string>} tags - e.g. "content:123"
+ * @returns {Promise}
+ */
+ResponseCache.prototype.invalidate = function(tags) {
+    var self = this;
+    var keys = new Set();
+
+    var now = Date.now();
+
+    this.generation++;
+    [].concat(tags).forEach(function(tag) {
+        (self.tags.get(tag) || []).forEach(function(key) { keys.add(key); });
+        self.invalidated.set(tag, now);
+    });
+    // older invalidations only concern entries that have expired since
+    this.invalidated.forEach(function(time, tag) {
+        if (time < now - self.maxTtl()) self.invalidated.delete(tag);
+    });
+    keys.forEach(function(key) {
+        self.untag(key);
+        // later reads must not join a load that started before the change
+        self.pending.delete(key);
+    });
+
+    return Promise.all(Array.from(keys).map(function(key) {
+        return self.store.delete(key);
+    })).then(function() {});
+};
+
+/**
+ * Record the tags of a key, replacing those it had.
+ *
+ * @param {string} key
+ * @param {Array.<string>} tags - Optional
+ */
+ResponseCache.prototype.tag = function(key, tags) {
+    var self = this;
+
+    this.untag(key);
+    this.keyTags.set(key, tags || []);
+    (tags || []).forEach(function(tag) {
+        if (!self.tags.has(tag)) {
+            self.tags.set(tag, new Set());
+        }
+        self.tags.get(tag).add(key);
+    });
+};
+
+/**
+ * Tell whether one of an entry's tags was invalidated after the entry was
+ * stored. Entries this cache did not know of when they were invalidated,
+ * such as entries of a store shared with other clients, are only dropped
+ * once they are read.
+ *
+ * @param {Object} entry
+ * @returns {boolean}
+ */
+ResponseCache.prototype.invalidatedSince = function(entry) {
+    var self = this;
+
+    return (entry.tags || []).some(function(tag) {
+        return self.invalidated.has(tag) && !(entry.stored > self.invalidated.get(tag));
+    });
+};
+
+/**
+ * Get the longest ttl of any kind of resource.
+ *
+ * @returns {number}
+ */
+ResponseCache.prototype.maxTtl = function() {
+    var ttl = this.ttl;
+
+    if (typeof ttl === 'number') {
+        return ttl;
+    }
+    return Math.max.apply(null, [DEFAULT_TTL].concat(Object.keys(ttl).map(function(kind) {
+        return ttl[kind];
+    })));
+};
+
+/**
+ * Forget the tags of a key, dropping tags no other key has.
+ *
+ * @param {string} key
+ */
+ResponseCache.prototype.untag = function(key) {
+    var self = this;
+
+    (this.keyTags.get(key) || []).forEach(function(tag) {
+        var keys = self.tags.get(tag);
+        if (keys) {
+            keys.delete(key);
+            if (!keys.size) self.tags.delete(tag);
+        }
+    });
+    this.keyTags.delete(key);
+};
+
+/**
+ * Drop every entry.
+ *
+ * @returns {Promise}
+ */
+ResponseCache.prototype.clear = function() {
+    this.generation++;
+    this.tags.clear();
+    this.keyTags.clear();
+    this.invalidated.clear();
+    this.pending.clear();
+    return Promise.resolve(this.store.clear()).then(function() {});
+};
+
+function copy(body) {
+    return body === undefined ? body : JSON.parse(JSON.stringify(body));
+}
+
+module.exports = ResponseCache;
+module.exports.MemoryStore = MemoryStore;
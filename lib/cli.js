@@ -0,0 +1,370 @@
+/**
+ * The `confluence` command-line tool.
+ */
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Confluence = require('./confluence');
+var sync = require('./sync');
+
+var CONFIG_FILE = '.confluence.json';
+var BOOLEAN_OPTIONS = ['help', 'minor-edit'];
+var MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
+
+var USAGE = [
+    "Usage: confluence <command> [options]",
+    "",
+    "Commands:",
+    "  get <id>                       Print a page; or --space KEY --title TITLE",
+    "      --format storage|markdown|text|json",
+    "  publish <file> --space KEY     Create or update the page titled after the file's first heading",
+    "      --title TITLE --parent ID --message TEXT --minor-edit",
+    "  attach <id> <file>...          Upload attachments, replacing those with the same name",
+    "      --space KEY --comment TEXT",
+    "  labels <id>                    List labels",
+    "  labels add <id> <label>...     Add labels",
+    "  labels remove <id> <label>...  Remove labels",
+    "  search <cql>                   Search with CQL; or with --space KEY --type TYPE",
+    "      --limit N",
+    "",
+    "Options:",
+    "  --output table|json            Output format, defaults to table",
+    "  --config FILE                  Config file, defaults to ./" + CONFIG_FILE + " or ~/" + CONFIG_FILE,
+    "  --base-url URL                 Overrides the configured base url",
+    "  --help",
+    "",
+    "The config file holds the options of the Confluence client as JSON, e.g.",
+    "{\"baseUrl\": \"https://example.atlassian.net/wiki\", \"username\": \"...\", \"password\": \"...\"}.",
+    "The environment variables CONFLUENCE_BASE_URL, CONFLUENCE_USERNAME, CONFLUENCE_PASSWORD",
+    "(or CONFLUENCE_API_TOKEN) and CONFLUENCE_TOKEN, for bearer authentication, override it."
+].join("\n");
+
+/**
+ * Construct UsageError: the command line was not understood.
+ *
+ * @constructor
+ * @extends Error
+ * @param {string} message
+ */
+function UsageError(message) {
+    Error.call(this);
+    this.name = 'UsageError';
+    this.message = message;
+}
+UsageError.prototype = Object.create(Error.prototype);
+UsageError.prototype.constructor = UsageError;
+
+/**
+ * Split command-line arguments into positional arguments and `--name value`
+ * or `--name=value` options.
+ *
+ * @param {Array.<string>} argv
+ * @returns {{args: Array.<string>, options: Object}}
+ */
+function parseArgs(argv) {
+    var args = [];
+    var options = {};
+
+    for (var i = 0; i < argv.length; i++) {
+        var arg = argv[i];
+        var match = /^--([^=]+)(?:=([\s\S]*))?$/.exec(arg);
+
+        if (arg === '--') {
+            args = args.concat(argv.slice(i + 1));
+            break;
+        }
+        if (!match) {
+            args.push(arg);
+        }
+        else if (match[2] !== undefined) {
+            options[match[1]] = match[2];
+        }
+        else if (BOOLEAN_OPTIONS.indexOf(match[1]) !== -1) {
+            options[match[1]] = true;
+        }
+        else if (i + 1 < argv.length) {
+            options[match[1]] = argv[++i];
+        }
+        else {
+            throw new UsageError("Option --" + match[1] + " expects a value.");
+        }
+    }
+
+    return { args: args, options: options };
+}
+
+/**
+ * Build the client config from the config file and the environment, the
+ * environment taking precedence.
+ *
+ * @param {Object} options - Parsed command-line options
+ * @param {Object} env
+ * @param {string} cwd
+ * @param {string} home
+ * @returns {Object}
+ */
+function loadConfig(options, env, cwd, home) {
+    var file = options.config || env.CONFLUENCE_CONFIG;
+    var config = {};
+
+    if (!file) {
+        file = [path.join(cwd, CONFIG_FILE), path.join(home, CONFIG_FILE)].filter(function(candidate) {
+            return fs.existsSync(candidate);
+        })[0];
+    }
+    if (file) {
+        try {
+            config = JSON.parse(fs.readFileSync(path.resolve(cwd, file), 'utf8'));
+        }
+        catch (err) {
+            throw new UsageError("Cannot read config file " + file + ": " + err.message);
+        }
+    }
+
+    if (env.CONFLUENCE_BASE_URL) config.baseUrl = env.CONFLUENCE_BASE_URL;
+    if (env.CONFLUENCE_USERNAME) config.username = env.CONFLUENCE_USERNAME;
+    if (env.CONFLUENCE_PASSWORD || env.CONFLUENCE_API_TOKEN) config.password = env.CONFLUENCE_PASSWORD || env.CONFLUENCE_API_TOKEN;
+    if (env.CONFLUENCE_TOKEN) config.auth = { type: 'bearer', token: env.CONFLUENCE_TOKEN };
+    if (options['base-url']) config.baseUrl = options['base-url'];
+
+    if (!config.baseUrl) {
+        throw new UsageError("Set CONFLUENCE_BASE_URL, or baseUrl in " + CONFIG_FILE + ".");
+    }
+    if (!config.auth && (!config.username || !config.password)) {
+        throw new UsageError("Set CONFLUENCE_USERNAME and CONFLUENCE_API_TOKEN, CONFLUENCE_TOKEN, or credentials in " + CONFIG_FILE + ".");
+    }
+    return config;
+}
+
+/**
+ * Format rows as a table with aligned columns.
+ *
+ * @param {Array.<string>} headings
+ * @param {Array.<Array>} rows
+ * @returns {string}
+ */
+function table(headings, rows) {
+    var lines = [headings].concat(rows.map(function(row) {
+        return row.map(function(cell) { return cell === undefined || cell === null ? "" : String(cell); });
+    }));
+    var widths = headings.map(function(heading, column) {
+        return Math.max.apply(null, lines.map(function(line) { return line[column].length; }));
+    });
+
+    return lines.map(function(line) {
+        return line.map(function(cell, column) {
+            return column === line.length - 1 ? cell : cell + new Array(widths[column] - cell.length + 1).join(" ");
+        }).join("  ");
+    }).join("\n");
+}
+
+function requireArgs(args, count, usage) {
+    if (args.length < count) {
+        throw new UsageError("Usage: confluence " + usage);
+    }
+}
+
+/**
+ * Find the id of the page a command refers to: an id argument, or --space
+ * and --title.
+ */
+function pageId(confluence, args, options) {
+    if (args[0]) {
+        return Promise.resolve(args[0]);
+    }
+    if (!options.space || !options.title) {
+        throw new UsageError("Usage: confluence get <id>, or confluence get --space KEY --title TITLE");
+    }
+    return confluence.getContentByPageTitle(options.space, options.title).then(function(data) {
+        var page = data.results && data.results[0];
+        if (!page) {
+            throw new Confluence.NotFoundError("No page titled '" + options.title + "' in space " + options.space + ".");
+        }
+        return page.id;
+    });
+}
+
+var COMMANDS = {
+    get: function(confluence, args, options, print) {
+        var format = options.format || (options.output === 'json' ? 'json' : 'storage');
+
+        if (['storage', 'markdown', 'text', 'json'].indexOf(format) === -1) {
+            throw new UsageError("Unknown format '" + format + "', expected storage, markdown, text or json.");
+        }
+
+        return pageId(confluence, args, options).then(function(id) {
+            if (format === 'markdown') return confluence.getContentAsMarkdown(id).then(print);
+            if (format === 'text') return confluence.getContentAsText(id).then(print);
+            return confluence.getContentById(id).then(function(page) {
+                print(format === 'json' ? JSON.stringify(page, null, 2) : page.body.storage.value);
+            });
+        });
+    },
+
+    publish: function(confluence, args, options, print, cwd) {
+        requireArgs(args, 1, "publish <file> --space KEY [--title TITLE] [--parent ID]");
+        if (!options.space) {
+            throw new UsageError("Usage: confluence publish <file> --space KEY");
+        }
+
+        var file = path.resolve(cwd, args[0]);
+        var content = fs.readFileSync(file, 'utf8');
+        var markdown = MARKDOWN_EXTENSIONS.indexOf(path.extname(file).toLowerCase()) !== -1;
+        var title = options.title;
+
+        if (markdown && !title) {
+            // the first heading becomes the title rather than part of the body
+            var heading = sync.markdownTitle(content);
+            title = heading.title;
+            content = heading.body;
+        }
+        title = title || path.basename(file, path.extname(file));
+
+        return confluence.upsertPage(options.space, title, content, {
+            format: markdown ? 'markdown' : undefined,
+            parentId: options.parent,
+            message: options.message,
+            minorEdit: !!options['minor-edit']
+        }).then(function(result) {
+            print(options.output === 'json' ?
+                JSON.stringify({ action: result.action, id: result.page.id, title: result.page.title }, null, 2) :
+                result.action + " " + result.page.id + " " + result.page.title);
+        });
+    },
+
+    attach: function(confluence, args, options, print, cwd) {
+        requireArgs(args, 2, "attach <id> <file>...");
+
+        var results = [];
+        return args.slice(1).reduce(function(previous, file) {
+            return previous.then(function() {
+                return confluence.upsertAttachment(options.space, args[0], path.resolve(cwd, file), { comment: options.comment });
+            }).then(function(result) {
+                results.push({ action: result.action, id: result.attachment.id, title: result.attachment.title });
+            });
+        }, Promise.resolve()).then(function() {
+            print(options.output === 'json' ?
+                JSON.stringify(results, null, 2) :
+                table(["ACTION", "ID", "TITLE"], results.map(function(result) {
+                    return [result.action, result.id, result.title];
+                })));
+        });
+    },
+
+    labels: function(confluence, args, options, print) {
+        var action = args[0] === 'add' || args[0] === 'remove' ? args.shift() : 'list';
+        var id = args[0];
+        var names = args.slice(1);
+
+        requireArgs(args, action === 'list' ? 1 : 2, "labels [add|remove] <id> [<label>...]");
+
+        var change;
+        if (action === 'add') {
+            change = confluence.postLabels(id, names.map(function(name) {
+                return { prefix: "global", name: name };
+            }));
+        }
+        else if (action === 'remove') {
+            change = names.reduce(function(previous, name) {
+                return previous.then(function() {
+                    return confluence.deleteLabel(id, name);
+                });
+            }, Promise.resolve());
+        }
+
+        return Promise.resolve(change).then(function() {
+            return confluence.getLabels(id);
+        }).then(function(data) {
+            var labels = data.results || [];
+            print(options.output === 'json' ?
+                JSON.stringify(labels, null, 2) :
+                labels.map(function(label) { return label.name; }).join("\n"));
+        });
+    },
+
+    search: function(confluence, args, options, print) {
+        var query = Confluence.cql();
+
+        if (options.space) query.space(options.space);
+        if (options.type) query.type(options.type);
+        if (args.length) query.raw(args.join(" "));
+        if (!query.condition()) {
+            throw new UsageError("Usage: confluence search <cql> [--space KEY] [--type TYPE] [--limit N]");
+        }
+        query.expand(["content.space"]);
+
+        var limit = options.limit !== undefined ? Number(options.limit) : undefined;
+        if (limit !== undefined && !(limit > 0)) {
+            throw new UsageError("--limit expects a positive number.");
+        }
+
+        return confluence.searchAll(query, { maxItems: limit }).then(function(results) {
+            if (options.output === 'json') {
+                return print(JSON.stringify(results, null, 2));
+            }
+            print(table(["ID", "TYPE", "SPACE", "TITLE"], results.map(function(result) {
+                var content = result.content || result;
+                return [content.id, content.type, content.space && content.space.key, result.title || content.title];
+            })));
+        });
+    }
+};
+
+/**
+ * Run the tool with command-line arguments, resolving with the exit code:
+ * 0 on success, 1 when Confluence or a file operation fails, 2 for usage
+ * errors.
+ *
+ * @param {Array.<string>} argv - Arguments after the program name
+ * @param {Object} io - Optional
+ * @param {stream.Writable} io.stdout - Optional, defaults to process.stdout
+ * @param {stream.Writable} io.stderr - Optional, defaults to process.stderr
+ * @param {Object} io.env - Optional, defaults to process.env
+ * @param {string} io.cwd - Optional, defaults to process.cwd()
+ * @param {string} io.home - Optional, defaults to the user's home directory
+ * @returns {Promise.<number>}
+ */
+function run(argv, io) {
+    io = io || {};
+
+    var stdout = io.stdout || process.stdout;
+    var stderr = io.stderr || process.stderr;
+
+    function print(text) {
+        if (text) stdout.write(text.replace(/\n?$/, "\n"));
+    }
+
+    return Promise.resolve().then(function() {
+        var parsed = parseArgs(argv);
+        var command = parsed.args.shift();
+
+        if (!command || parsed.options.help || command === 'help') {
+            print(USAGE);
+            return 0;
+        }
+        if (!COMMANDS[command]) {
+            throw new UsageError("Unknown command '" + command + "'. Run confluence --help for usage.");
+        }
+        if (parsed.options.output && ['table', 'json'].indexOf(parsed.options.output) === -1) {
+            throw new UsageError("Unknown output '" + parsed.options.output + "', expected table or json.");
+        }
+
+        var cwd = io.cwd || process.cwd();
+        var config = loadConfig(parsed.options, io.env || process.env, cwd, io.home || os.homedir());
+        return Promise.resolve(COMMANDS[command](new Confluence(config), parsed.args, parsed.options, print, cwd)).then(function() {
+            return 0;
+        });
+    }).catch(function(err) {
+        stderr.write("confluence: " + err.message + "\n");
+        return err instanceof UsageError ? 2 : 1;
+    });
+}
+
+module.exports = {
+    run: run,
+    parseArgs: parseArgs,
+    loadConfig: loadConfig,
+    table: table,
+    UsageError: UsageError
+};
@@ -0,0 +1,413 @@
+/**
+ * Fluent builder for Confluence Query Language (CQL) searches.
+ */
+
+var OPERATORS = ['=', '!=', '~', '!~', '>', '>=', '<', '<=', 'in', 'not in'];
+
+/**
+ * Quote a value as a CQL literal. Numbers and booleans are left bare,
+ * anything else becomes a double-quoted string with quotes and backslashes
+ * escaped, so user input cannot end the literal early.
+ *
+ * @param {string|number|boolean} value
+ * @returns {string}
+ */
+function literal(value) {
+    if (typeof value === 'number' || typeof value === 'boolean') {
+        return String(value);
+    }
+    return '"' + String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
+}
+
+/**
+ * Format a date for a CQL comparison: "yyyy-MM-dd" at midnight UTC,
+ * "yyyy-MM-dd HH:mm" otherwise. Strings are used as they are.
+ *
+ * @param {Date|string} date
+ * @returns {string}
+ */
+function dateValue(date) {
+    if (!(date instanceof Date)) {
+        return String(date);
+    }
+
+    var iso = date.toISOString();
+    return iso.slice(11, 16) === "00:00" ? iso.slice(0, 10) : iso.slice(0, 10) + " " + iso.slice(11, 16);
+}
+
+/**
+ * Construct CqlQuery. Every condition added is combined with `and`; use or()
+ * and not() for other combinations.
+ *
+ * @constructor
+ * @this {CqlQuery}
+ */
+function CqlQuery() {
+    this.clauses = [];
+    this.ordering = [];
+    this.params = {};
+}
+
+/**
+ * Add a condition comparing a field with a value. Values are always quoted;
+ * an array of values tests membership with `in` (or `not in` for `!=`).
+ *
+ * @param {string} field - e.g. "space", "label" or "content.property[owner].team"
+ * @param {string} operator - One of =, !=, ~, !~, >, >=, <, <=, in, not in
+ * @param {string|number|boolean|Array} value
+ * @returns {CqlQuery} this query
+ */
+CqlQuery.prototype.where = function(field, operator, value) {
+    if (!/^[A-Za-z][\w.\[\]-]*$/.test(field)) {
+        throw new TypeError("Invalid CQL field: " + field);
+    }
+    if (OPERATORS.indexOf(operator) === -1) {
+        throw new TypeError("Invalid CQL operator: " + operator);
+    }
+
+    if (Array.isArray(value)) {
+        if (operator === '=') operator = 'in';
+        if (operator === '!=') operator = 'not in';
+        this.clauses.push(field + " " + operator + " (" + value.map(literal).join(", ") + ")");
+    }
+    else {
+        this.clauses.push(field + " " + operator + " " + literal(value));
+    }
+    return this;
+};
+
+/**
+ * Add a condition written in CQL, used as it is. Never pass user input here.
+ *
+ * @param {string} cql
+ * @returns {CqlQuery} this query
+ */
+CqlQuery.prototype.raw = function(cql) {
+    this.clauses.push("(" + cql + ")");
+    return this;
+};
+
+/**
+ * Require any one of the given queries to match.
+ *
+ * @param {...CqlQuery} queries
+ * @returns {CqlQuery} this query
+ */
+CqlQuery.prototype.or = function() {
+    var conditions = Array.prototype.map.call(arguments, function(query) {
+        return query.condition();
+    });
+    this.clauses.push("(" + conditions.join(" or ") + ")");
+    return this;
+};
+
+/**
+ * Require a query not to match.
+ *
+ * @param {CqlQuery} query
+ * @returns {CqlQuery} this query
+ */
+CqlQuery.prototype.not = function(query) {
+    this.clauses.push("not (" + query.condition() + ")");
+    return this;
+};
+
+/**
+ * Only match content in a space, or in any of a list of spaces.
+ *
+ * @param {string|Array.<string>} key
+ * @returns {CqlQuery} this query
+ */
+CqlQuery.prototype.space = function(key) {
+    return this.where("space", "=", key);
+};
+
+/**
+ * Only match content of a type, e.g. "page", "blogpost" or "attachment".
+ *
+ * @param {string|Array.<string>} type
+ * @returns {CqlQuery} this query
+ */
+CqlQuery.prototype.type = function(type) {
+    return this.where("type", "=", type);
+};
+
+/**
+ * Only match content with a label; call it again to require several labels,
+ * or pass an array to accept any of them.
+ *
+ * @param {string|Array.<string>} label
+ * @returns {CqlQuery} this query
+ */
+CqlQuery.prototype.label = function(label) {
+    return this.where("label", "=", label);
+};
+
+/**
+ * Only match content with exactly this title.
+ *
+ * @param {string} title
+ * @returns {CqlQuery} this query
+ */
+CqlQuery.prototype.title = function(title) {
+    return this.where("title", "=", title);
+};
+
+/**
+ * Only match content whose title contains these words.
+ *
+ * @param {string} words
+ * @returns {CqlQuery} this query
+ */
+CqlQuery.prototype.titleContains = function(words) {
+    return this.where("title", "~", words);
+};
+
+/**
+ * Full text search of titles, bodies and labels.
+ *
+ * @param {string} words
+ * @returns {CqlQuery} this query
+ */
+CqlQuery.prototype.text = function(words) {
+    return this.where("text", "~", words);
+};
+
+/**
+ * Only match content created by a user.
+ *
+ * @param {string} user - Account id, or username on Server
+ * @returns {CqlQuery} this query
+ */
+CqlQuery.prototype.creator = function(user) {
+    return this.where("creator", "=", user);
+};
+
+/**
+ * Only match content a user has edited.
+ *
+ * @param {string} user - Account id, or username on Server
+ * @returns {CqlQuery} this query
+ */
+CqlQuery.prototype.contributor = function(user) {
+    return this.where("contributor", "=", user);
+};
+
+/**
+ * Only match content below a page, at any depth.
+ *
+ * @param {string} id
+ * @returns {CqlQuery} this query
+ */
+CqlQuery.prototype.ancestor = function(id) {
+    return this.where("ancestor", "=", id);
+};
+
+/**
+ * Only match the direct children of a page.
+ *
+ * @param {string} id
+ * @returns {CqlQuery} this query
+ */
+CqlQuery.prototype.parent = function(id) {
+    return this.where("parent", "=", id);
+};
+
+/**
+ * Only match content created after a date.
+ *
+ * @param {Date|string} date - A Date, or a string such as "2015-01-01"
+ * @returns {CqlQuery} this query
+ */
+CqlQuery.prototype.createdAfter = function(date) {
+    return this.where("created", ">", dateValue(date));
+};
+
+/**
+ * Only match content created before a date.
+ *
+ * @param {Date|string} date
+ * @returns {CqlQuery} this query
+ */
+CqlQuery.prototype.createdBefore = function(date) {
+    return this.where("created", "<", dateValue(date));
+};
+
+/**
+ * Only match content last modified after a date.
+ *
+ * @param {Date|string} date
+ * @returns {CqlQuery} this query
+ */
+CqlQuery.prototype.lastModifiedAfter = function(date) {
+    return this.where("lastmodified", ">", dateValue(date));
+};
+
+/**
+ * Only match content last modified before a date.
+ *
+ * @param {Date|string} date
+ * @returns {CqlQuery} this query
+ */
+CqlQuery.prototype.lastModifiedBefore = function(date) {
+    return this.where("lastmodified", "<", dateValue(date));
+};
+
+/**
+ * Sort the results; call it again to add further sort keys.
+ *
+ * @param {string} field - e.g. "created", "lastmodified" or "title"
+ * @param {string} direction - Optional, "asc" or "desc"
+ * @returns {CqlQuery} this query
+ */
+CqlQuery.prototype.orderBy = function(field, direction) {
+    if (!/^[A-Za-z][\w.\[\]-]*$/.test(field)) {
+        throw new TypeError("Invalid CQL field: " + field);
+    }
+    if (direction && direction !== 'asc' && direction !== 'desc') {
+        throw new TypeError("Invalid CQL sort direction: " + direction);
+    }
+
+    this.ordering.push(direction ? field + " " + direction : field);
+    return this;
+};
+
+/**
+ * Set the context the query runs in, e.g. `{spaceKey: "ENG", contentId: "123"}`,
+ * which Confluence uses for relative functions such as currentSpace().
+ *
+ * @param {Object} context
+ * @returns {CqlQuery} this query
+ */
+CqlQuery.prototype.cqlcontext = function(context) {
+    this.params.cqlcontext = context;
+    return this;
+};
+
+/**
+ * Expand properties of each result, e.g. ['content.version'].
+ *
+ * @param {Array.<string>|string} expand
+ * @returns {CqlQuery} this query
+ */
+CqlQuery.prototype.expand = function(expand) {
+    this.params.expand = [].concat(expand);
+    return this;
+};
+
+/**
+ * Set the number of results requested per page.
+ *
+ * @param {number} limit
+ * @returns {CqlQuery} this query
+ */
+CqlQuery.prototype.limit = function(limit) {
+    this.params.limit = limit;
+    return this;
+};
+
+/**
+ * Set the index of the first result.
+ *
+ * @param {number} start
+ * @returns {CqlQuery} this query
+ */
+CqlQuery.prototype.start = function(start) {
+    this.params.start = start;
+    return this;
+};
+
+/**
+ * The conditions of the query, without ordering.
+ *
+ * @returns {string}
+ */
+CqlQuery.prototype.condition = function() {
+    return this.clauses.join(" and ");
+};
+
+/**
+ * The query as CQL.
+ *
+ * @returns {string}
+ */
+CqlQuery.prototype.toString = function() {
+    var cql = this.condition();
+    if (this.ordering.length) {
+        cql += " order by " + this.ordering.join(", ");
+    }
+    return cql;
+};
+
+/**
+ * The query as a URL query string for the search resource, without the
+ * leading `?`.
+ *
+ * @returns {string}
+ */
+CqlQuery.prototype.toQuery = function() {
+    return queryString(Object.assign({ cql: this }, this.params));
+};
+
+/**
+ * Build the query string for a search from a CQL string, a CqlQuery or an
+ * options object. Strings are taken to be complete query strings such as
+ * "cql=type=page", and are used as they are.
+ *
+ * @param {string|CqlQuery|Object} query
+ * @param {string|CqlQuery} query.cql - The query, when an options object is given
+ * @param {Object|string} query.cqlcontext - Optional
+ * @param {Array.<string>|string} query.expand - Optional
+ * @param {number} query.limit - Optional
+ * @param {number} query.start - Optional
+ * @param {string} query.excerpt - Optional, e.g. "highlight" or "none"
+ * @param {boolean} query.includeArchivedSpaces - Optional
+ * @returns {string}
+ */
+function queryString(query) {
+    if (typeof query === 'string') {
+        return query;
+    }
+    if (query instanceof CqlQuery) {
+        return query.toQuery();
+    }
+    if (query.cql instanceof CqlQuery) {
+        query = Object.assign({}, query.cql.params, query);
+    }
+    if (!query.cql || !String(query.cql)) {
+        throw new TypeError("A CQL query is required");
+    }
+
+    var params = [["cql", String(query.cql)]];
+    if (query.cqlcontext) {
+        params.push(["cqlcontext", typeof query.cqlcontext === 'string' ? query.cqlcontext : JSON.stringify(query.cqlcontext)]);
+    }
+    if (query.expand) {
+        params.push(["expand", [].concat(query.expand).join()]);
+    }
+    ['excerpt', 'includeArchivedSpaces', 'limit', 'start'].forEach(function(name) {
+        if (query[name] !== undefined && query[name] !== null) {
+            params.push([name, String(query[name])]);
+        }
+    });
+
+    return params.map(function(param) {
+        return param[0] + "=" + encodeURIComponent(param[1]);
+    }).join("&");
+}
+
+/**
+ * Start a new CQL query, e.g.
+ * `cql().space("ENG").type("page").label("runbook").text("outage")`.
+ *
+ * @returns {CqlQuery}
+ */
+function cql() {
+    return new CqlQuery();
+}
+
+cql.CqlQuery = CqlQuery;
+cql.literal = literal;
+cql.queryString = queryString;
+
+module.exports = cql;
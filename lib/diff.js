@@ -0,0 +1,270 @@
+/**
+ * Line and block diffs between two versions of a page.
+ */
+
+var MAX_LENGTH = 20000;
+
+/**
+ * Shortest edit script between two arrays of strings, using Myers' O(ND)
+ * algorithm in its linear space variant: the middle of the edit path is
+ * searched for from both ends, and both halves are diffed in turn.
+ *
+ * Items the arrays start and end with are matched up front and do not count
+ * towards options.maxLength, which bounds the time spent on the rest.
+ *
+ * @param {Array.<string>} a
+ * @param {Array.<string>} b
+ * @param {Object} options - Optional
+ * @param {number} options.maxLength - Optional, most items of both arrays together left to compare once their common start and end are matched, defaults to 20000
+ * @returns {Array.<{type: string, value: string}>} "equal", "removed" and "added" entries in order
+ */
+function diffSequences(a, b, options) {
+    options = options || {};
+
+    var maxLength = options.maxLength || MAX_LENGTH;
+    var common = commonEnds(a, b);
+    var ops = [];
+
+    if (a.length + b.length - 2 * (common.start + common.end) > maxLength) {
+        throw new RangeError("Can't diff more than " + maxLength + " changed lines or blocks at a time.");
+    }
+
+    diffRange(a, b, ops);
+    return ops;
+}
+
+/**
+ * Count the items a and b start and end with in common.
+ *
+ * @private
+ * @returns {{start: number, end: number}}
+ */
+function commonEnds(a, b) {
+    var start = 0;
+    var end = 0;
+
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        start++;
+    }
+    while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) {
+        end++;
+    }
+    return { start: start, end: end };
+}
+
+function equal(ops, values) {
+    values.forEach(function(value) {
+        ops.push({ type: 'equal', value: value });
+    });
+}
+
+/**
+ * Append the edit script between a and b to ops.
+ *
+ * @private
+ */
+function diffRange(a, b, ops) {
+    var common = commonEnds(a, b);
+    var start = common.start;
+    var end = common.end;
+
+    equal(ops, a.slice(0, start));
+
+    var restA = a.slice(start, a.length - end);
+    var restB = b.slice(start, b.length - end);
+    var split = restA.length && restB.length ? middle(restA, restB) : null;
+
+    if (split) {
+        diffRange(restA.slice(0, split.x), restB.slice(0, split.y), ops);
+        diffRange(restA.slice(split.x), restB.slice(split.y), ops);
+    }
+    else {
+        restA.forEach(function(value) { ops.push({ type: 'removed', value: value }); });
+        restB.forEach(function(value) { ops.push({ type: 'added', value: value }); });
+    }
+
+    equal(ops, a.slice(a.length - end));
+}
+
+/**
+ * Find where the shortest edit path between a and b crosses its middle, by
+ * following furthest reaching paths forwards from the start and backwards
+ * from the end until they overlap. Only the current paths are kept.
+ *
+ * @private
+ * @returns {{x: number, y: number}|null} the split point, or null when a and b have nothing in common
+ */
+function middle(a, b) {
+    var n = a.length;
+    var m = b.length;
+    var maxD = Math.ceil((n + m) / 2);
+    var offset = maxD;
+    var forward = new Array(2 * maxD).fill(-1);
+    var backward = new Array(2 * maxD).fill(-1);
+    var delta = n - m;
+    // with an odd delta, the forward paths are the first to overlap
+    var odd = delta % 2 !== 0;
+    var kStart1 = 0, kEnd1 = 0, kStart2 = 0, kEnd2 = 0;
+    var d, k, x1, y1, x2, y2, index;
+
+    forward[offset + 1] = 0;
+    backward[offset + 1] = 0;
+
+    for (d = 0; d < maxD; d++) {
+        for (k = -d + kStart1; k <= d - kEnd1; k += 2) {
+            index = offset + k;
+            x1 = (k === -d || (k !== d && forward[index - 1] < forward[index + 1])) ? forward[index + 1] : forward[index - 1] + 1;
+            y1 = x1 - k;
+            while (x1 < n && y1 < m && a[x1] === b[y1]) {
+                x1++;
+                y1++;
+            }
+            forward[index] = x1;
+
+            if (x1 > n) {
+                kEnd1 += 2;
+            }
+            else if (y1 > m) {
+                kStart1 += 2;
+            }
+            else if (odd) {
+                var reverse = offset + delta - k;
+                if (reverse >= 0 && reverse < backward.length && backward[reverse] !== -1 && x1 >= n - backward[reverse]) {
+                    return { x: x1, y: y1 };
+                }
+            }
+        }
+
+        for (k = -d + kStart2; k <= d - kEnd2; k += 2) {
+            index = offset + k;
+            x2 = (k === -d || (k !== d && backward[index - 1] < backward[index + 1])) ? backward[index + 1] : backward[index - 1] + 1;
+            y2 = x2 - k;
+            while (x2 < n && y2 < m && a[n - x2 - 1] === b[m - y2 - 1]) {
+                x2++;
+                y2++;
+            }
+            backward[index] = x2;
+
+            if (x2 > n) {
+                kEnd2 += 2;
+            }
+            else if (y2 > m) {
+                kStart2 += 2;
+            }
+            else if (!odd) {
+                var ahead = offset + delta - k;
+                if (ahead >= 0 && ahead < forward.length && forward[ahead] !== -1) {
+                    x1 = forward[ahead];
+                    y1 = offset + x1 - ahead;
+                    if (x1 >= n - x2) {
+                        return { x: x1, y: y1 };
+                    }
+                }
+            }
+        }
+    }
+
+    return null;
+}
+
+function lines(text) {
+    text = String(text || '').replace(/\r\n?/g, '\n').replace(/\n$/, '');
+    return text ? text.split('\n') : [];
+}
+
+/**
+ * Diff two texts line by line.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @param {Object} options - Optional, see diffSequences
+ * @returns {Array.<{type: string, value: string}>}
+ */
+function diffLines(a, b, options) {
+    return diffSequences(lines(a), lines(b), options);
+}
+
+/**
+ * Split storage format into its top-level blocks (paragraphs, headings,
+ * tables, macros...), each kept as its original markup, so that a diff
+ * reports which blocks of a page changed.
+ *
+ * @param {string} xml
+ * @returns {Array.<string>}
+ */
+function storageBlocks(xml) {
+    var token = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<\/[^>]+>|<(?:[^>"']|"[^"]*"|'[^']*')*\/>|<[^!?\/](?:[^>"']|"[^"]*"|'[^']*')*>|[^<]+|</g;
+    var source = String(xml || '');
+    var blocks = [];
+    var depth = 0;
+    var start = 0;
+    var match;
+
+    while ((match = token.exec(source))) {
+        var value = match[0];
+
+        if (/^<\//.test(value)) {
+            depth = Math.max(0, depth - 1);
+        }
+        else if (/^<[^!?\/]/.test(value) && !/\/>$/.test(value)) {
+            if (depth === 0) start = match.index;
+            depth++;
+            continue;
+        }
+        else if (depth === 0) {
+            start = match.index;
+        }
+
+        if (depth === 0) {
+            var block = source.slice(start, token.lastIndex).trim();
+            if (block) blocks.push(block);
+        }
+    }
+
+    if (depth > 0) {
+        var rest = source.slice(start).trim();
+        if (rest) blocks.push(rest);
+    }
+
+    return blocks;
+}
+
+/**
+ * Format a diff as unified-style lines: changed lines prefixed with "-" or
+ * "+", surrounded by options.context unchanged lines, with "@@" between
+ * hunks.
+ *
+ * @param {Array.<{type: string, value: string}>} changes
+ * @param {Object} options - Optional
+ * @param {number} options.context - Optional, defaults to 3
+ * @returns {string}
+ */
+function unified(changes, options) {
+    var context = options && options.context !== undefined ? options.context : 3;
+    var output = [];
+    var lastShown = -1;
+
+    changes.forEach(function(change, index) {
+        var near = change.type !== 'equal';
+        for (var i = Math.max(0, index - context); !near && i <= Math.min(changes.length - 1, index + context); i++) {
+            near = changes[i].type !== 'equal';
+        }
+        if (!near) return;
+
+        if (lastShown !== -1 && index > lastShown + 1) {
+            output.push('@@');
+        }
+        var prefix = change.type === 'added' ? '+ ' : change.type === 'removed' ? '- ' : '  ';
+        output.push(prefix + change.value);
+        lastShown = index;
+    });
+
+    return output.join('\n');
+}
+
+module.exports = {
+    diffSequences: diffSequences,
+    diffLines: diffLines,
+    storageBlocks: storageBlocks,
+    unified: unified
+};
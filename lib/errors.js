@@ -0,0 +1,239 @@
+/**
+ * Error types raised by the Confluence client.
+ */
+
+var util = require('util');
+
+// query string parameters whose values must never appear in error messages or logs
+var SENSITIVE_PARAM = /pass|token|secret|signature|jwt/i;
+var SENSITIVE_HEADER = /^(authorization|proxy-authorization|cookie|set-cookie)$/i;
+
+/**
+ * Construct ConfluenceError.
+ *
+ * @constructor
+ * @this {ConfluenceError}
+ * @param {string} message
+ * @param {Object} details - Optional
+ * @param {number} details.status - HTTP status of the response, if one was received
+ * @param {string} details.method - HTTP method of the failed request
+ * @param {string} details.url - Url of the failed request, with credentials stripped
+ * @param {Object} details.body - Parsed body of the error response
+ * @param {number} details.retryAfter - Seconds the server asked to wait before retrying, if given
+ * @param {Object} details.response - The underlying response
+ * @param {Error} details.cause - The underlying error
+ */
+function ConfluenceError(message, details) {
+    details = details || {};
+
+    Error.call(this);
+    Error.captureStackTrace(this, this.constructor);
+
+    this.name = this.constructor.name;
+    this.message = message;
+    this.status = details.status;
+    this.method = details.method;
+    this.url = details.url;
+    this.body = details.body;
+    this.retryAfter = details.retryAfter;
+    this.code = details.cause && details.cause.code;
+
+    // kept off the enumerable properties so that logging an error stays readable
+    Object.defineProperty(this, 'response', { value: details.response, writable: true });
+    Object.defineProperty(this, 'cause', { value: details.cause, writable: true });
+}
+util.inherits(ConfluenceError, Error);
+
+/**
+ * 400 Bad Request.
+ *
+ * @constructor
+ * @extends ConfluenceError
+ */
+function BadRequestError(message, details) {
+    ConfluenceError.call(this, message, details);
+}
+util.inherits(BadRequestError, ConfluenceError);
+
+/**
+ * 401 Unauthorized: missing or rejected credentials.
+ *
+ * @constructor
+ * @extends ConfluenceError
+ */
+function UnauthorizedError(message, details) {
+    ConfluenceError.call(this, message, details);
+}
+util.inherits(UnauthorizedError, ConfluenceError);
+
+/**
+ * 403 Forbidden: the user may not perform this operation.
+ *
+ * @constructor
+ * @extends ConfluenceError
+ */
+function ForbiddenError(message, details) {
+    ConfluenceError.call(this, message, details);
+}
+util.inherits(ForbiddenError, ConfluenceError);
+
+/**
+ * 404 Not Found, or an entity that was expected to exist is missing.
+ *
+ * @constructor
+ * @extends ConfluenceError
+ */
+function NotFoundError(message, details) {
+    ConfluenceError.call(this, message, details);
+}
+util.inherits(NotFoundError, ConfluenceError);
+
+/**
+ * 409 Conflict, typically a version mismatch when updating content.
+ *
+ * @constructor
+ * @extends ConfluenceError
+ */
+function ConflictError(message, details) {
+    ConfluenceError.call(this, message, details);
+}
+util.inherits(ConflictError, ConfluenceError);
+
+/**
+ * 429 Too Many Requests; see `retryAfter` for how long the server asked to wait.
+ *
+ * @constructor
+ * @extends ConfluenceError
+ */
+function RateLimitedError(message, details) {
+    ConfluenceError.call(this, message, details);
+}
+util.inherits(RateLimitedError, ConfluenceError);
+
+/**
+ * 5xx responses.
+ *
+ * @constructor
+ * @extends ConfluenceError
+ */
+function ServerError(message, details) {
+    ConfluenceError.call(this, message, details);
+}
+util.inherits(ServerError, ConfluenceError);
+
+/**
+ * The request was cancelled through an AbortSignal.
+ *
+ * @constructor
+ * @extends ConfluenceError
+ */
+function AbortError(message, details) {
+    ConfluenceError.call(this, message, details);
+    this.code = 'ABORT_ERR';
+}
+util.inherits(AbortError, ConfluenceError);
+
+var byStatus = {
+    400: BadRequestError,
+    401: UnauthorizedError,
+    403: ForbiddenError,
+    404: NotFoundError,
+    409: ConflictError,
+    429: RateLimitedError
+};
+
+/**
+ * Remove credentials from a url: user info and sensitive query parameters.
+ *
+ * @param {string} url
+ * @returns {string}
+ */
+function redactUrl(url) {
+    if (!url) return url;
+
+    return String(url)
+        .replace(/^([a-z][a-z0-9+.-]*:\/\/)[^\/@]*@/i, '$1')
+        .replace(/([?&])([^=&#]+)=([^&#]*)/g, function(match, sep, name, value) {
+            return SENSITIVE_PARAM.test(name) ? sep + name + '=[REDACTED]' : match;
+        });
+}
+
+/**
+ * Copy request or response headers with credentials and cookies masked, for
+ * logging.
+ *
+ * @param {Object} headers
+ * @returns {Object}
+ */
+function redactHeaders(headers) {
+    var copy = {};
+
+    Object.keys(headers || {}).forEach(function(name) {
+        copy[name] = SENSITIVE_HEADER.test(name) ? '[REDACTED]' : headers[name];
+    });
+    return copy;
+}
+
+/**
+ * Parse a Retry-After header, given either in seconds or as an HTTP date.
+ *
+ * @param {string} value
+ * @returns {number|undefined} seconds to wait
+ */
+function parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+
+    var seconds = Number(value);
+    if (!isNaN(seconds)) return Math.max(0, seconds);
+
+    var date = Date.parse(value);
+    if (!isNaN(date)) return Math.max(0, (date - Date.now()) / 1000);
+
+    return undefined;
+}
+
+/**
+ * Turn an error raised by superagent into a ConfluenceError of the matching
+ * subclass.
+ *
+ * @param {Error} err
+ * @param {Object} req - Optional, the request that failed (method and url)
+ * @returns {ConfluenceError}
+ */
+function fromResponseError(err, req) {
+    if (err instanceof ConfluenceError) return err;
+
+    var res = err.response;
+    var status = err.status || (res && res.status);
+    var body = res && res.body;
+    var confluenceMessage = body && (body.message || (body.data && body.data.errors && body.data.errors.map(function(e) {
+        return e.message && (e.message.translation || e.message.key);
+    }).join('; ')));
+    var Type = byStatus[status] || (status >= 500 ? ServerError : ConfluenceError);
+
+    return new Type(confluenceMessage || err.message, {
+        status: status,
+        method: req && req.method,
+        url: redactUrl(req && req.url),
+        body: body,
+        response: res,
+        cause: err,
+        retryAfter: res && res.headers && parseRetryAfter(res.headers['retry-after'])
+    });
+}
+
+module.exports = {
+    ConfluenceError: ConfluenceError,
+    BadRequestError: BadRequestError,
+    UnauthorizedError: UnauthorizedError,
+    ForbiddenError: ForbiddenError,
+    NotFoundError: NotFoundError,
+    ConflictError: ConflictError,
+    RateLimitedError: RateLimitedError,
+    ServerError: ServerError,
+    AbortError: AbortError,
+    fromResponseError: fromResponseError,
+    redactUrl: redactUrl,
+    redactHeaders: redactHeaders,
+    parseRetryAfter: parseRetryAfter
+};
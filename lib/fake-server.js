@@ -0,0 +1,1316 @@
+/**
+ * In-memory fake of the Confluence REST API, for testing code that uses this
+ * library without network access or a Confluence instance.
+ *
+ * It implements the resources the client uses for spaces, content with
+ * versions and version conflicts, child pages, moving and archiving pages,
+ * comments, attachments, labels and CQL search. Content answers with an ETag and honours
+ * If-None-Match. Other resources answer 501.
+ */
+
+var crypto = require('crypto');
+var http = require('http');
+var url = require('url');
+var storage = require('./storage');
+var escapeXml = require('./markdown').escapeXml;
+
+var DEFAULT_LIMIT = 25;
+
+/**
+ * Construct FakeConfluence.
+ *
+ * Fixtures describe the initial state:
+ *
+ *     {
+ *       users: [{ username: "jdoe", password: "secret" }],
+ *       spaces: [{
+ *         key: "DOCS", name: "Documentation",
+ *         homepage: {
+ *           id: "100", title: "Home", body: "<p>Welcome</p>",
+ *           labels: ["start"],
+ *           attachments: [{ title: "logo.png", data: <Buffer>, mediaType: "image/png" }],
+ *           children: [{ title: "Guide", body: "<p>...</p>", children: [...] }]
+ *         },
+ *         blogposts: [{ title: "Launch", body: "<p>...</p>", created: "2015-06-01T10:00:00.000Z" }]
+ *       }]
+ *     }
+ *
+ * Every field but a space key and a page title is optional. Without users,
+ * any credentials are accepted.
+ *
+ * @constructor
+ * @this {FakeConfluence}
+ * @param {Object} fixtures - Optional
+ * @param {Object} options - Optional
+ * @param {string} options.contextPath - Optional, path the API is served below, defaults to "/wiki"
+ */
+function FakeConfluence(fixtures, options) {
+    if (!(this instanceof FakeConfluence)) return new FakeConfluence(fixtures, options);
+
+    options = options || {};
+
+    this.contextPath = options.contextPath !== undefined ? options.contextPath : '/wiki';
+    this.server = http.createServer(this.handle.bind(this));
+    this.reset(fixtures);
+}
+
+/**
+ * Drop all state and load fixtures again.
+ *
+ * @param {Object} fixtures - Optional, see the constructor
+ * @returns {FakeConfluence} this server
+ */
+FakeConfluence.prototype.reset = function(fixtures) {
+    var self = this;
+
+    fixtures = fixtures || {};
+
+    // id -> content record: {id, type, status, title, spaceKey, parentId,
+    // containerId, body, labels, versions, created, creator, ...}
+    this.content = {};
+    // key -> space record: {id, key, name, type, status, description, homepageId}
+    this.spaces = {};
+    this.users = fixtures.users || [];
+    this.requests = [];
+    this.tasks = {};
+    this.nextId = 1000;
+    this.nextSpaceId = 1;
+    this.nextLabelId = 1;
+
+    (fixtures.spaces || []).forEach(function(space) {
+        self.seedSpace(space);
+    });
+    return this;
+};
+
+/**
+ * Start listening on a free local port. `baseUrl` is set once listening.
+ *
+ * @param {Function} callback - Optional, a Promise is returned when omitted
+ * @returns {Promise|undefined}
+ */
+FakeConfluence.prototype.listen = function(callback) {
+    var self = this;
+
+    var promise = new Promise(function(resolve, reject) {
+        self.server.once('error', reject);
+        self.server.listen(0, '127.0.0.1', function() {
+            self.baseUrl = 'http://127.0.0.1:' + self.server.address().port + self.contextPath;
+            resolve(self);
+        });
+    });
+
+    if (typeof callback !== 'function') return promise;
+    promise.then(function() { callback(null); }, callback);
+};
+
+/**
+ * Stop listening.
+ *
+ * @param {Function} callback - Optional, a Promise is returned when omitted
+ * @returns {Promise|undefined}
+ */
+FakeConfluence.prototype.close = function(callback) {
+    var self = this;
+
+    var promise = new Promise(function(resolve, reject) {
+        self.server.close(function(err) {
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+
+    if (typeof callback !== 'function') return promise;
+    promise.then(function() { callback(null); }, callback);
+};
+
+/**
+ * A config for the Confluence client pointing at this server, using the
+ * first fixture user when there is one.
+ *
+ * @returns {Object}
+ */
+FakeConfluence.prototype.clientConfig = function() {
+    var user = this.users[0] || { username: "fake", password: "fake" };
+    return { username: user.username, password: user.password, baseUrl: this.baseUrl };
+};
+
+FakeConfluence.prototype.generateId = function() {
+    while (this.content[String(this.nextId)]) {
+        this.nextId++;
+    }
+    return String(this.nextId++);
+};
+
+FakeConfluence.prototype.seedSpace = function(fixture) {
+    var self = this;
+    var space = this.createSpace(fixture, fixture.homepage || {});
+
+    (fixture.blogposts || []).forEach(function(post) {
+        self.seedContent(Object.assign({ type: "blogpost" }, post), space.key, null);
+    });
+};
+
+FakeConfluence.prototype.seedContent = function(fixture, spaceKey, parentId) {
+    var self = this;
+    var record = this.createContent({
+        id: fixture.id,
+        type: fixture.type || "page",
+        title: fixture.title,
+        spaceKey: spaceKey,
+        parentId: parentId,
+        body: fixture.body || "",
+        created: fixture.created,
+        creator: fixture.creator
+    });
+
+    (fixture.labels || []).forEach(function(label) {
+        self.addLabel(record, typeof label === 'string' ? { name: label } : label);
+    });
+    (fixture.attachments || []).forEach(function(attachment) {
+        self.createContent({
+            type: "attachment",
+            title: attachment.title,
+            spaceKey: spaceKey,
+            containerId: record.id,
+            data: Buffer.isBuffer(attachment.data) ? attachment.data : Buffer.from(String(attachment.data || "")),
+            mediaType: attachment.mediaType || "application/octet-stream",
+            comment: attachment.comment
+        });
+    });
+    (fixture.children || []).forEach(function(child) {
+        self.seedContent(child, spaceKey, record.id);
+    });
+    return record;
+};
+
+FakeConfluence.prototype.createSpace = function(fields, homepage) {
+    var space = {
+        id: this.nextSpaceId++,
+        key: fields.key,
+        name: fields.name || fields.key,
+        type: fields.type || "global",
+        status: fields.status || "current",
+        description: fields.description || ""
+    };
+    this.spaces[space.key] = space;
+
+    var home = this.seedContent(Object.assign({ title: space.name + " Home" }, homepage), space.key, null);
+    space.homepageId = home.id;
+    return space;
+};
+
+FakeConfluence.prototype.createContent = function(fields) {
+    var now = fields.created || new Date().toISOString();
+
+    if (fields.id && this.content[String(fields.id)]) {
+        throw new Error("The fake Confluence server already holds content with id " + fields.id);
+    }
+
+    var record = Object.assign({}, fields, {
+        id: fields.id ? String(fields.id) : this.generateId(),
+        status: fields.status || "current",
+        labels: [],
+        created: now,
+        creator: fields.creator || "fake"
+    });
+
+    record.versions = [{
+        number: 1,
+        when: now,
+        by: record.creator,
+        message: "",
+        minorEdit: false,
+        title: record.title,
+        body: record.body
+    }];
+    this.content[record.id] = record;
+    return record;
+};
+
+FakeConfluence.prototype.addLabel = function(record, label) {
+    var name = String(label.name).trim().toLowerCase();
+    var exists = record.labels.some(function(existing) { return existing.name === name; });
+
+    if (!exists) {
+        record.labels.push({ prefix: label.prefix || "global", name: name, id: String(this.nextLabelId++) });
+    }
+};
+
+/**
+ * Handle a request, answering errors the way Confluence does:
+ * `{statusCode, message}`.
+ */
+FakeConfluence.prototype.handle = function(req, res) {
+    var self = this;
+    var chunks = [];
+
+    req.on('data', function(chunk) { chunks.push(chunk); });
+    req.on('end', function() {
+        var parsed = url.parse(req.url, true);
+        var raw = Buffer.concat(chunks);
+        var entry = {
+            method: req.method,
+            path: decodeURIComponent(parsed.pathname),
+            query: parsed.query,
+            headers: req.headers,
+            raw: raw,
+            user: null
+        };
+        self.requests.push(entry);
+
+        var reply = function(status, payload, headers) {
+            respond(res, status, payload, headers);
+        };
+
+        try {
+            if (/json/.test(req.headers['content-type'] || '') && raw.length) {
+                entry.body = JSON.parse(raw.toString());
+            }
+            if (!self.authenticate(entry)) {
+                return reply(401, { statusCode: 401, message: "Basic authentication with passwords is not valid" }, {
+                    'WWW-Authenticate': 'Basic realm="Confluence"'
+                });
+            }
+            self.route(entry, reply);
+        }
+        catch (err) {
+            if (err.status) {
+                return reply(err.status, { statusCode: err.status, message: err.message });
+            }
+            reply(500, { statusCode: 500, message: err.message });
+        }
+    });
+};
+
+FakeConfluence.prototype.authenticate = function(entry) {
+    var header = entry.headers.authorization || '';
+    var match = /^Basic (.+)$/.exec(header);
+    var credentials = match ? Buffer.from(match[1], 'base64').toString().split(':') : [];
+
+    entry.user = credentials[0] || "fake";
+    if (!this.users.length) {
+        return true;
+    }
+
+    var bearer = /^Bearer (.+)$/.exec(header);
+    return this.users.some(function(user) {
+        if (bearer) {
+            return user.token === bearer[1];
+        }
+        return user.username === credentials[0] && user.password === credentials.slice(1).join(':');
+    });
+};
+
+FakeConfluence.prototype.route = function(entry, reply) {
+    var prefix = this.contextPath;
+    var path = entry.path;
+
+    if (path.indexOf(prefix) !== 0) {
+        throw httpError(404, "No resource at " + path);
+    }
+    path = path.slice(prefix.length);
+
+    var download = /^\/download\/attachments\/([^\/]+)\/(.+)$/.exec(path);
+    if (download && entry.method === 'GET') {
+        return this.downloadAttachment(download[1], download[2], reply);
+    }
+    if (path === '/rest/prototype/latest/search.json' && entry.method === 'GET') {
+        return reply(200, this.prototypeSearch(entry.query));
+    }
+    if (path.indexOf('/rest/api/') !== 0) {
+        throw httpError(404, "No resource at " + path);
+    }
+
+    var parts = path.slice('/rest/api/'.length).split('/');
+    var best;
+
+    // the matching route with the fewest parameters wins, so that e.g.
+    // "content/search" is preferred over "content/:"
+    Object.keys(ROUTES).forEach(function(key) {
+        var pattern = key.split(' ');
+        var segments = pattern[1].split('/');
+        var params = [];
+
+        if (pattern[0] !== entry.method || segments.length !== parts.length) return;
+
+        var matched = segments.every(function(segment, index) {
+            if (segment === ':') {
+                params.push(parts[index]);
+                return true;
+            }
+            return segment === parts[index];
+        });
+        if (matched && (!best || params.length < best.params.length)) {
+            best = { handler: ROUTES[key], params: params };
+        }
+    });
+
+    if (!best) {
+        throw httpError(501, "The fake Confluence server does not support " + entry.method + " /rest/api/" + parts.join('/'));
+    }
+    entry.params = best.params;
+    entry.apiPath = '/rest/api/' + parts.join('/');
+    best.handler.call(this, entry, reply);
+};
+
+// "METHOD resource/:/sub" -> handler(entry, reply); `:` marks a path parameter
+var ROUTES = {
+    'GET space': function(entry, reply) {
+        var query = entry.query;
+        var keys = [].concat(query.spaceKey || []);
+        var spaces = values(this.spaces).filter(function(space) {
+            return (!keys.length || keys.indexOf(space.key) !== -1) &&
+                (!query.type || space.type === query.type) &&
+                (!query.status || space.status === query.status);
+        });
+        var self = this;
+
+        reply(200, paged(spaces, entry, function(space) {
+            return self.serializeSpace(space, expansions(query));
+        }));
+    },
+    'GET space/:': function(entry, reply) {
+        reply(200, this.serializeSpace(this.findSpace(entry.params[0]), expansions(entry.query)));
+    },
+    'POST space': function(entry, reply) {
+        reply(200, this.serializeSpace(this.postSpace(entry.body), []));
+    },
+    'POST space/_private': function(entry, reply) {
+        reply(200, this.serializeSpace(this.postSpace(entry.body), []));
+    },
+    'PUT space/:': function(entry, reply) {
+        var space = this.findSpace(entry.params[0]);
+        var body = entry.body || {};
+
+        if (body.name) space.name = body.name;
+        if (body.description && body.description.plain) space.description = body.description.plain.value;
+        if (body.status) space.status = body.status;
+        if (body.homepage && body.homepage.id) {
+            this.findContent(body.homepage.id);
+            space.homepageId = String(body.homepage.id);
+        }
+        reply(200, this.serializeSpace(space, []));
+    },
+    'DELETE space/:': function(entry, reply) {
+        var self = this;
+        var space = this.findSpace(entry.params[0]);
+        var id = "task-" + this.generateId();
+
+        values(this.content).forEach(function(record) {
+            if (record.spaceKey === space.key) delete self.content[record.id];
+        });
+        delete this.spaces[space.key];
+
+        this.tasks[id] = { id: id, name: { key: "com.atlassian.confluence.space.delete" }, percentageComplete: 100, successful: true, finished: true, messages: [] };
+        reply(202, { id: id, links: { status: "/rest/api/longtask/" + id } });
+    },
+    'GET longtask/:': function(entry, reply) {
+        var task = this.tasks[entry.params[0]];
+        if (!task) throw httpError(404, "No task with id " + entry.params[0]);
+        reply(200, task);
+    },
+
+    'GET content': function(entry, reply) {
+        var self = this;
+        var query = entry.query;
+        var type = query.type || "page";
+        var records = this.list(function(record) {
+            return record.type === type &&
+                (!query.spaceKey || record.spaceKey === query.spaceKey) &&
+                (!query.title || record.title === query.title) &&
+                (!query.status || query.status === 'any' || record.status === query.status);
+        });
+
+        reply(200, paged(records, entry, function(record) {
+            return self.serialize(record, expansions(query));
+        }));
+    },
+    'POST content': function(entry, reply) {
+        var record = this.postContent(entry.body || {}, entry.user);
+        reply(200, this.serialize(record, ['body.storage', 'version', 'ancestors', 'container']));
+    },
+    'GET content/:': function(entry, reply) {
+        var record = this.findContent(entry.params[0]);
+        var version;
+
+        if (entry.query.version) {
+            version = record.versions.filter(function(item) {
+                return item.number === Number(entry.query.version);
+            })[0];
+            if (!version) throw httpError(404, "No version " + entry.query.version + " of content " + record.id);
+        }
+
+        var data = this.serialize(record, expansions(entry.query), version);
+        var etag = '"' + crypto.createHash('sha1').update(JSON.stringify(data)).digest('hex') + '"';
+
+        if (entry.headers['if-none-match'] === etag) {
+            return reply(304, null, { ETag: etag });
+        }
+        reply(200, data, { ETag: etag });
+    },
+    'PUT content/:': function(entry, reply) {
+        var record = this.putContent(this.findContent(entry.params[0]), entry.body || {}, entry.user);
+        reply(200, this.serialize(record, ['body.storage', 'version', 'ancestors', 'container']));
+    },
+    'DELETE content/:': function(entry, reply) {
+        this.deleteContent(this.findContent(entry.params[0]));
+        reply(204);
+    },
+    'PUT content/:/move/:/:': function(entry, reply) {
+        var record = this.findContent(entry.params[0]);
+        var position = entry.params[1];
+        var target = this.findContent(entry.params[2]);
+
+        if (["append", "before", "after"].indexOf(position) === -1) {
+            throw httpError(400, "Unknown move position: " + position);
+        }
+        if (target === record || this.ancestors(target).indexOf(record) !== -1) {
+            throw httpError(400, "Can't move a page into its own subtree");
+        }
+        record.parentId = position === "append" ? target.id : target.parentId;
+        reply(200, { pageId: record.id });
+    },
+    'POST content/archive': function(entry, reply) {
+        var self = this;
+        var records = ((entry.body || {}).pages || []).map(function(page) {
+            return self.findContent(page.id);
+        });
+        var id = "task-" + this.generateId();
+
+        records.forEach(function(record) {
+            record.status = "archived";
+        });
+
+        this.tasks[id] = { id: id, name: { key: "com.atlassian.confluence.pages.archive" }, percentageComplete: 100, successful: true, finished: true, messages: [] };
+        reply(202, { id: id, links: { status: "/rest/api/longtask/" + id } });
+    },
+    'GET content/:/version': function(entry, reply) {
+        var record = this.findContent(entry.params[0]);
+        var versions = record.versions.slice().reverse();
+
+        reply(200, paged(versions, entry, versionMetadata));
+    },
+    'GET content/:/child/page': function(entry, reply) {
+        this.replyWithChildren(entry, reply, "page", false);
+    },
+    'GET content/:/descendant/page': function(entry, reply) {
+        this.replyWithChildren(entry, reply, "page", true);
+    },
+    'GET content/:/child/comment': function(entry, reply) {
+        var locations = [].concat(entry.query.location || []);
+        this.replyWithChildren(entry, reply, "comment", entry.query.depth === 'all', function(record) {
+            return !locations.length || locations.indexOf(record.location || "footer") !== -1;
+        });
+    },
+    'GET content/:/child/attachment': function(entry, reply) {
+        var filename = entry.query.filename;
+        this.replyWithChildren(entry, reply, "attachment", false, function(record) {
+            return !filename || record.title === filename;
+        });
+    },
+    'POST content/:/child/attachment': function(entry, reply) {
+        var self = this;
+        var container = this.findContent(entry.params[0]);
+        var form = this.uploadForm(entry);
+
+        var existing = this.list(function(record) {
+            return record.type === "attachment" && record.containerId === container.id && record.title === form.file.filename;
+        });
+        if (existing.length) {
+            throw httpError(400, "Cannot add a new attachment with same file name as an existing attachment: " + form.file.filename);
+        }
+
+        var attachment = this.createContent({
+            type: "attachment",
+            title: form.file.filename,
+            spaceKey: container.spaceKey,
+            containerId: container.id,
+            data: form.file.data,
+            mediaType: form.file.contentType || "application/octet-stream",
+            comment: form.fields.comment,
+            creator: entry.user
+        });
+
+        reply(200, { results: [self.serialize(attachment, ['version', 'container'])], size: 1 });
+    },
+    'POST content/:/child/attachment/:/data': function(entry, reply) {
+        var attachment = this.findContent(entry.params[1]);
+        var form = this.uploadForm(entry);
+
+        if (attachment.type !== "attachment" || attachment.containerId !== this.findContent(entry.params[0]).id) {
+            throw httpError(404, "No attachment with id " + entry.params[1] + " on content " + entry.params[0]);
+        }
+
+        attachment.title = form.file.filename;
+        attachment.data = form.file.data;
+        attachment.mediaType = form.file.contentType || attachment.mediaType;
+        attachment.comment = form.fields.comment;
+        this.addVersion(attachment, {
+            by: entry.user,
+            minorEdit: form.fields.minorEdit === "true",
+            message: form.fields.comment || ""
+        });
+
+        reply(200, this.serialize(attachment, ['version', 'container']));
+    },
+    'GET content/:/label': function(entry, reply) {
+        var labels = this.findContent(entry.params[0]).labels;
+        reply(200, paged(labels, entry, identity));
+    },
+    'POST content/:/label': function(entry, reply) {
+        var self = this;
+        var record = this.findContent(entry.params[0]);
+
+        [].concat(entry.body || []).forEach(function(label) {
+            self.addLabel(record, label);
+        });
+        reply(200, paged(record.labels, entry, identity));
+    },
+    'DELETE content/:/label': function(entry, reply) {
+        this.removeLabel(this.findContent(entry.params[0]), entry.query.name);
+        reply(204);
+    },
+    'DELETE content/:/label/:': function(entry, reply) {
+        this.removeLabel(this.findContent(entry.params[0]), entry.params[1]);
+        reply(204);
+    },
+    'GET content/search': function(entry, reply) {
+        var self = this;
+        var expand = expansions(entry.query);
+
+        reply(200, paged(this.search(entry.query), entry, function(record) {
+            return self.serialize(record, expand);
+        }));
+    },
+    'GET search': function(entry, reply) {
+        var self = this;
+        var expand = expansions(entry.query).filter(function(name) {
+            return name.indexOf("content.") === 0;
+        }).map(function(name) {
+            return name.slice("content.".length);
+        });
+
+        reply(200, paged(this.search(entry.query), entry, function(record) {
+            return {
+                content: self.serialize(record, expand),
+                title: record.title,
+                excerpt: excerpt(record),
+                url: "/spaces/" + record.spaceKey + "/pages/" + record.id,
+                entityType: "content",
+                lastModified: lastVersion(record).when
+            };
+        }));
+    }
+};
+
+FakeConfluence.prototype.list = function(predicate) {
+    return values(this.content).filter(predicate);
+};
+
+FakeConfluence.prototype.findSpace = function(key) {
+    var space = this.spaces[key];
+    if (!space) throw httpError(404, "No space with key : " + key);
+    return space;
+};
+
+FakeConfluence.prototype.findContent = function(id) {
+    var record = this.content[String(id)];
+    if (!record) throw httpError(404, "No content found with id: ContentId{id=" + id + "}");
+    return record;
+};
+
+FakeConfluence.prototype.ancestors = function(record) {
+    var ancestors = [];
+    var parentId = record.parentId;
+
+    while (parentId && this.content[parentId]) {
+        ancestors.unshift(this.content[parentId]);
+        parentId = this.content[parentId].parentId;
+    }
+    return ancestors;
+};
+
+FakeConfluence.prototype.postSpace = function(body) {
+    body = body || {};
+
+    if (!body.key || !body.name) {
+        throw httpError(400, "A space key and name are required");
+    }
+    if (this.spaces[body.key]) {
+        throw httpError(400, "A space already exists with key " + body.key);
+    }
+    return this.createSpace({
+        key: body.key,
+        name: body.name,
+        type: body.type,
+        description: body.description && body.description.plain && body.description.plain.value
+    }, {});
+};
+
+FakeConfluence.prototype.postContent = function(body, user) {
+    var type = body.type;
+    var space = body.space && body.space.key && this.findSpace(body.space.key);
+    var ancestors = body.ancestors || [];
+    var parentId = ancestors.length ? String(ancestors[ancestors.length - 1].id) : null;
+    var container = body.container && this.findContent(body.container.id);
+
+    if (!type) {
+        throw httpError(400, "Content type is required");
+    }
+    if (!space && !container) {
+        throw httpError(400, "A space or container is required to create content");
+    }
+    if (type !== "comment" && !body.title) {
+        throw httpError(400, "Content title is required");
+    }
+    if (parentId) {
+        this.findContent(parentId);
+    }
+    this.checkTitle(type, space ? space.key : container.spaceKey, body.title);
+
+    return this.createContent({
+        type: type,
+        title: body.title || "",
+        spaceKey: space ? space.key : container.spaceKey,
+        parentId: parentId,
+        containerId: container ? container.id : undefined,
+        body: bodyValue(body),
+        location: body.extensions && body.extensions.location,
+        creator: user
+    });
+};
+
+FakeConfluence.prototype.putContent = function(record, body, user) {
+    var current = lastVersion(record).number;
+    var next = body.version && Number(body.version.number);
+
+    if (next !== current + 1) {
+        throw httpError(409, "Version must be incremented on update. Current version is: " + current);
+    }
+    var parentId = body.ancestors && body.ancestors.length ?
+        String(body.ancestors[body.ancestors.length - 1].id) : undefined;
+    var retitle = body.title && body.title !== record.title;
+
+    // check everything first, so a rejected update leaves the record as it was
+    if (retitle) {
+        this.checkTitle(record.type, record.spaceKey, body.title);
+    }
+    if (parentId !== undefined) {
+        this.findContent(parentId);
+    }
+
+    if (retitle) {
+        record.title = body.title;
+    }
+    if (body.body) {
+        record.body = bodyValue(body);
+    }
+    if (parentId !== undefined) {
+        record.parentId = parentId;
+    }
+    if (body.status) {
+        record.status = body.status;
+    }
+    if (body.extensions && body.extensions.resolution) {
+        record.resolution = body.extensions.resolution.status;
+    }
+
+    this.addVersion(record, {
+        by: user,
+        message: body.version.message || "",
+        minorEdit: !!body.version.minorEdit
+    });
+    return record;
+};
+
+FakeConfluence.prototype.addVersion = function(record, fields) {
+    record.versions.push(Object.assign({
+        number: lastVersion(record).number + 1,
+        when: new Date().toISOString(),
+        title: record.title,
+        body: record.body
+    }, fields));
+};
+
+FakeConfluence.prototype.checkTitle = function(type, spaceKey, title) {
+    if (type !== "page") return;
+
+    var taken = this.list(function(record) {
+        return record.type === "page" && record.spaceKey === spaceKey && record.title === title;
+    });
+    if (taken.length) {
+        throw httpError(400, "A page with this title already exists: A page already exists with the title " + title + " in the space with key " + spaceKey);
+    }
+};
+
+FakeConfluence.prototype.deleteContent = function(record) {
+    var self = this;
+
+    // children move up to the deleted page's parent, as in Confluence
+    values(this.content).forEach(function(other) {
+        if (other.parentId === record.id && other.type === record.type) {
+            other.parentId = record.parentId;
+        }
+        else if (other.containerId === record.id || other.parentId === record.id) {
+            delete self.content[other.id];
+        }
+    });
+    delete this.content[record.id];
+};
+
+FakeConfluence.prototype.removeLabel = function(record, name) {
+    name = String(name || "").trim().toLowerCase();
+
+    var before = record.labels.length;
+    record.labels = record.labels.filter(function(label) { return label.name !== name; });
+    if (record.labels.length === before) {
+        throw httpError(404, "Label " + name + " not found on content " + record.id);
+    }
+};
+
+FakeConfluence.prototype.replyWithChildren = function(entry, reply, type, deep, filter) {
+    var self = this;
+    var parent = this.findContent(entry.params[0]);
+    var records = this.list(function(record) {
+        if (record.type !== type || (filter && !filter(record))) return false;
+        if (type === "attachment" || (type === "comment" && deep)) {
+            return record.containerId === parent.id;
+        }
+        if (type === "comment") {
+            return record.containerId === parent.id && !record.parentId;
+        }
+        return deep ?
+            self.ancestors(record).some(function(ancestor) { return ancestor.id === parent.id; }) :
+            record.parentId === parent.id;
+    });
+
+    reply(200, paged(records, entry, function(record) {
+        return self.serialize(record, expansions(entry.query));
+    }));
+};
+
+FakeConfluence.prototype.uploadForm = function(entry) {
+    if (String(entry.headers['x-atlassian-token']).toLowerCase() !== 'nocheck') {
+        throw httpError(403, "XSRF check failed");
+    }
+
+    var form = parseMultipart(entry.headers['content-type'], entry.raw);
+    if (!form.file) {
+        throw httpError(400, "No file was uploaded in the 'file' field");
+    }
+    return form;
+};
+
+FakeConfluence.prototype.downloadAttachment = function(containerId, filename, reply) {
+    var attachment = this.list(function(record) {
+        return record.type === "attachment" && record.containerId === containerId && record.title === filename;
+    })[0];
+
+    if (!attachment) throw httpError(404, "No attachment " + filename + " on content " + containerId);
+    reply(200, attachment.data, { 'Content-Type': attachment.mediaType });
+};
+
+FakeConfluence.prototype.search = function(query) {
+    var self = this;
+
+    if (!query.cql) {
+        throw httpError(400, "The CQL query parameter is required");
+    }
+
+    var parsed = parseCql(query.cql);
+    var records = this.list(function(record) {
+        return record.status === "current" && parsed.where(self.fields(record));
+    });
+
+    // stable sorts by the last key first, so that the first key wins
+    parsed.orderBy.slice().reverse().forEach(function(order) {
+        records.sort(function(a, b) {
+            var x = sortValue(self.fields(a)[order.field]);
+            var y = sortValue(self.fields(b)[order.field]);
+            var result = x < y ? -1 : x > y ? 1 : 0;
+            return order.direction === 'desc' ? -result : result;
+        });
+    });
+    return records;
+};
+
+FakeConfluence.prototype.prototypeSearch = function(query) {
+    var label = query.label && String(query.label).replace(/^global:/, '');
+    var text = query.query && String(query.query).toLowerCase();
+    var results = this.list(function(record) {
+        return (!label || record.labels.some(function(item) { return item.name === label; })) &&
+            (!text || record.title.toLowerCase().indexOf(text) !== -1);
+    });
+
+    return {
+        result: results.map(function(record) {
+            return { id: record.id, type: record.type, title: record.title, space: record.spaceKey };
+        }),
+        size: results.length,
+        totalSize: results.length
+    };
+};
+
+/**
+ * The values a CQL query can test, lower-cased field name -> value or list.
+ */
+FakeConfluence.prototype.fields = function(record) {
+    var ancestors = this.ancestors(record);
+
+    return {
+        id: record.id,
+        type: record.type,
+        space: record.spaceKey,
+        title: record.title,
+        label: record.labels.map(function(label) { return label.name; }),
+        ancestor: ancestors.map(function(ancestor) { return ancestor.id; }),
+        parent: record.parentId || null,
+        container: record.containerId || null,
+        creator: record.creator,
+        contributor: record.versions.map(function(version) { return version.by; }),
+        created: record.created,
+        lastmodified: lastVersion(record).when,
+        text: [record.title, storage.toText(record.body || "")].concat(record.labels.map(function(label) {
+            return label.name;
+        })).join(" ")
+    };
+};
+
+FakeConfluence.prototype.serializeSpace = function(space, expand) {
+    var data = {
+        id: space.id,
+        key: space.key,
+        name: space.name,
+        type: space.type,
+        status: space.status,
+        _expandable: { homepage: "/rest/api/content/" + space.homepageId },
+        _links: { webui: "/spaces/" + space.key, self: this.baseUrl + "/rest/api/space/" + space.key }
+    };
+
+    if (expand.indexOf('description.plain') !== -1 || expand.indexOf('description') !== -1) {
+        data.description = { plain: { value: space.description, representation: "plain" } };
+    }
+    if (expand.indexOf('homepage') !== -1 && this.content[space.homepageId]) {
+        data.homepage = this.serialize(this.content[space.homepageId], []);
+    }
+    if (expand.indexOf('permissions') !== -1) {
+        data.permissions = [];
+    }
+    return data;
+};
+
+/**
+ * Render a content record as the REST API does, with the given expansions.
+ * A version record renders that historical version instead of the latest.
+ */
+FakeConfluence.prototype.serialize = function(record, expand, version) {
+    var self = this;
+    var current = version || lastVersion(record);
+    var has = function(name) {
+        return expand.some(function(item) { return item === name || item.indexOf(name + ".") === 0; });
+    };
+    var data = {
+        id: record.id,
+        type: record.type,
+        status: version && version !== lastVersion(record) ? "historical" : record.status,
+        title: current.title,
+        space: { key: record.spaceKey, name: this.spaces[record.spaceKey] && this.spaces[record.spaceKey].name },
+        version: versionMetadata(current),
+        _links: { webui: "/spaces/" + record.spaceKey + "/pages/" + record.id, self: this.baseUrl + "/rest/api/content/" + record.id },
+        _expandable: {}
+    };
+
+    if (has('body')) {
+        data.body = { storage: { value: current.body || "", representation: "storage" } };
+    }
+    else {
+        data._expandable.body = "";
+    }
+    if (has('ancestors')) {
+        data.ancestors = this.ancestors(record).map(function(ancestor) {
+            return { id: ancestor.id, type: ancestor.type, title: ancestor.title };
+        });
+    }
+    if (record.containerId && (has('container') || record.type === "attachment")) {
+        var container = this.content[record.containerId];
+        data.container = container ?
+            { id: container.id, type: container.type, title: container.title } :
+            { id: record.containerId };
+    }
+    if (has('metadata')) {
+        data.metadata = { labels: { results: record.labels, size: record.labels.length } };
+        if (record.type === "attachment") {
+            data.metadata.mediaType = record.mediaType;
+            data.metadata.comment = record.comment;
+        }
+    }
+    if (record.type === "attachment") {
+        data.extensions = { mediaType: record.mediaType, fileSize: record.data.length, comment: record.comment };
+        data._links.download = "/download/attachments/" + record.containerId + "/" +
+            encodeURIComponent(record.title) + "?version=" + current.number + "&api=v2";
+    }
+    if (record.type === "comment") {
+        data.extensions = { location: record.location || "footer" };
+        if (record.location === "inline") {
+            data.extensions.resolution = { status: record.resolution || "open" };
+        }
+    }
+    if (has('history')) {
+        data.history = {
+            latest: !version || version === lastVersion(record),
+            createdBy: { username: record.creator },
+            createdDate: record.created
+        };
+    }
+    if (has('children')) {
+        data.children = {};
+        ['page', 'attachment', 'comment'].forEach(function(type) {
+            var children = self.list(function(other) {
+                return other.type === type && (type === "page" ? other.parentId : other.containerId) === record.id;
+            });
+            data.children[type] = { results: children.map(function(child) { return self.serialize(child, []); }), size: children.length };
+        });
+    }
+    return data;
+};
+
+function respond(res, status, payload, headers) {
+    headers = headers || {};
+
+    if (payload === undefined || payload === null) {
+        res.writeHead(status, headers);
+        return res.end();
+    }
+    if (Buffer.isBuffer(payload)) {
+        res.writeHead(status, Object.assign({ 'Content-Length': payload.length }, headers));
+        return res.end(payload);
+    }
+    res.writeHead(status, Object.assign({ 'Content-Type': 'application/json' }, headers));
+    res.end(JSON.stringify(payload));
+}
+
+function httpError(status, message) {
+    var err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function values(object) {
+    return Object.keys(object).map(function(key) { return object[key]; });
+}
+
+function identity(value) {
+    return value;
+}
+
+function lastVersion(record) {
+    return record.versions[record.versions.length - 1];
+}
+
+function versionMetadata(version) {
+    return {
+        number: version.number,
+        when: version.when,
+        message: version.message,
+        minorEdit: version.minorEdit,
+        by: { type: "known", username: version.by, displayName: version.by }
+    };
+}
+
+function expansions(query) {
+    return [].concat(query.expand || []).join(',').split(',').filter(Boolean);
+}
+
+function sortValue(value) {
+    return Array.isArray(value) ? value.join(',') : String(value === null || value === undefined ? '' : value).toLowerCase();
+}
+
+function excerpt(record) {
+    return storage.toText(record.body || "").slice(0, 200);
+}
+
+/**
+ * The storage format value of a request body, converting the simplest wiki
+ * markup (headings and paragraphs) as Confluence would.
+ */
+function bodyValue(body) {
+    var storageBody = body.body && (body.body.storage || body.body.wiki || body.body.editor);
+
+    if (!storageBody) return "";
+    if (storageBody.representation !== 'wiki') return storageBody.value || "";
+
+    return String(storageBody.value || "").split(/\n\s*\n|\n(?=h[1-6]\. )/).filter(function(block) {
+        return block.trim();
+    }).map(function(block) {
+        var heading = /^h([1-6])\.\s+([\s\S]*)$/.exec(block.trim());
+        return heading ?
+            "<h" + heading[1] + ">" + escapeXml(heading[2]) + "</h" + heading[1] + ">" :
+            "<p>" + escapeXml(block.trim()) + "</p>";
+    }).join("");
+}
+
+/**
+ * Page a list as the REST API does, with `_links.next` while there are more.
+ */
+function paged(items, entry, render) {
+    var start = Number(entry.query.start || 0);
+    var limit = Number(entry.query.limit || DEFAULT_LIMIT);
+    var page = items.slice(start, start + limit);
+    var links = {};
+
+    if (start + limit < items.length) {
+        var query = Object.assign({}, entry.query, { start: start + limit, limit: limit });
+        links.next = (entry.apiPath || entry.path) + "?" + Object.keys(query).map(function(name) {
+            return [].concat(query[name]).map(function(value) {
+                return name + "=" + encodeURIComponent(value);
+            }).join("&");
+        }).join("&");
+    }
+
+    return { results: page.map(render), start: start, limit: limit, size: page.length, totalSize: items.length, _links: links };
+}
+
+/**
+ * Parse a multipart/form-data body into its file and plain fields.
+ */
+function parseMultipart(contentType, raw) {
+    var match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+    var form = { fields: {} };
+
+    if (!match) {
+        throw httpError(415, "Expected a multipart/form-data upload");
+    }
+
+    var boundary = Buffer.from("--" + (match[1] || match[2]));
+    var position = raw.indexOf(boundary);
+
+    while (position !== -1) {
+        var next = raw.indexOf(boundary, position + boundary.length);
+        if (next === -1) break;
+
+        var part = raw.slice(position + boundary.length + 2, next - 2);
+        var split = part.indexOf("\r\n\r\n");
+        var headers = part.slice(0, split).toString();
+        var data = part.slice(split + 4);
+        var name = /name="([^"]*)"/i.exec(headers);
+        var filename = /filename="([^"]*)"/i.exec(headers);
+        var type = /content-type:\s*([^\r\n]+)/i.exec(headers);
+
+        if (name && filename) {
+            form[name[1]] = { filename: filename[1], data: data, contentType: type && type[1].trim() };
+        }
+        else if (name) {
+            form.fields[name[1]] = data.toString();
+        }
+        position = next;
+    }
+    return form;
+}
+
+/**
+ * Parse the CQL the client and its users send into a predicate over the
+ * values of FakeConfluence#fields, plus the `order by` keys.
+ */
+function parseCql(source) {
+    var tokens = [];
+    var pattern = /\s*(?:("(?:[^"\\]|\\.)*")|('(?:[^'\\]|\\.)*')|(!=|!~|>=|<=|=|~|>|<|\(|\)|,)|([^\s"'=!~<>(),]+))/g;
+    var match;
+    var last = 0;
+
+    while ((match = pattern.exec(source)) && match[0]) {
+        last = pattern.lastIndex;
+        if (match[1] || match[2]) {
+            tokens.push({ value: (match[1] || match[2]).slice(1, -1).replace(/\\(.)/g, '$1') });
+        }
+        else {
+            tokens.push({ word: match[3] || match[4] });
+        }
+    }
+    if (source.slice(last).trim()) {
+        throw httpError(400, "Could not parse cql : " + source);
+    }
+
+    var index = 0;
+
+    function peek(word) {
+        var token = tokens[index];
+        return token && token.word !== undefined && (word === undefined || token.word.toLowerCase() === word);
+    }
+
+    function expect(word) {
+        if (!peek(word)) throw httpError(400, "Could not parse cql : " + source);
+        index++;
+    }
+
+    function value() {
+        var token = tokens[index++];
+        if (!token) throw httpError(400, "Could not parse cql : " + source);
+        if (token.value !== undefined) return token.value;
+        // bare words and functions such as currentUser() are taken literally
+        if (peek("(")) {
+            index++;
+            while (!peek(")")) index++;
+            index++;
+        }
+        return token.word;
+    }
+
+    function or() {
+        var left = and();
+        while (peek("or")) {
+            index++;
+            left = either(left, and());
+        }
+        return left;
+    }
+
+    function and() {
+        var left = not();
+        while (peek("and")) {
+            index++;
+            left = both(left, not());
+        }
+        return left;
+    }
+
+    function not() {
+        if (peek("not")) {
+            index++;
+            var inner = not();
+            return function(fields) { return !inner(fields); };
+        }
+        if (peek("(")) {
+            index++;
+            var group = or();
+            expect(")");
+            return group;
+        }
+        return clause();
+    }
+
+    function clause() {
+        var field = tokens[index++];
+        if (!field || field.word === undefined) throw httpError(400, "Could not parse cql : " + source);
+
+        var name = field.word.toLowerCase();
+        var operator;
+
+        if (peek("not")) {
+            index++;
+            expect("in");
+            operator = "not in";
+        }
+        else if (peek("in")) {
+            index++;
+            operator = "in";
+        }
+        else {
+            operator = tokens[index] && tokens[index].word;
+            index++;
+        }
+
+        if (operator === "in" || operator === "not in") {
+            var list = [];
+            expect("(");
+            while (!peek(")")) {
+                list.push(value());
+                if (peek(",")) index++;
+            }
+            expect(")");
+            return function(fields) {
+                var found = list.some(function(item) { return matches(fields[name], "=", item); });
+                return operator === "in" ? found : !found;
+            };
+        }
+        if (['=', '!=', '~', '!~', '>', '>=', '<', '<='].indexOf(operator) === -1) {
+            throw httpError(400, "Could not parse cql : " + source);
+        }
+
+        var expected = value();
+        return function(fields) {
+            if (!(name in fields)) {
+                throw httpError(400, "The fake Confluence server does not support the CQL field " + name);
+            }
+            return matches(fields[name], operator, expected);
+        };
+    }
+
+    var where = or();
+    var orderBy = [];
+
+    if (peek("order")) {
+        index++;
+        expect("by");
+        do {
+            if (peek(",")) index++;
+            var field = tokens[index++].word.toLowerCase();
+            var direction = peek("asc") || peek("desc") ? tokens[index++].word.toLowerCase() : "asc";
+            orderBy.push({ field: field, direction: direction });
+        } while (peek(","));
+    }
+    if (index < tokens.length) {
+        throw httpError(400, "Could not parse cql : " + source);
+    }
+
+    return { where: where, orderBy: orderBy };
+}
+
+function either(left, right) {
+    return function(fields) { return left(fields) || right(fields); };
+}
+
+function both(left, right) {
+    return function(fields) { return left(fields) && right(fields); };
+}
+
+/**
+ * Compare a field value, or any value of a list field, with a CQL value.
+ */
+function matches(actual, operator, expected) {
+    if (Array.isArray(actual)) {
+        var any = actual.some(function(item) {
+            return matches(item, operator === '!=' ? '=' : operator === '!~' ? '~' : operator, expected);
+        });
+        return operator === '!=' || operator === '!~' ? !any : any;
+    }
+    if (actual === null || actual === undefined) {
+        return operator === '!=' || operator === '!~';
+    }
+
+    switch (operator) {
+        case '=':
+            return String(actual).toLowerCase() === String(expected).toLowerCase();
+        case '!=':
+            return String(actual).toLowerCase() !== String(expected).toLowerCase();
+        case '~':
+            return containsWords(actual, expected);
+        case '!~':
+            return !containsWords(actual, expected);
+        default:
+            var a = dateValue(actual);
+            var b = dateValue(expected);
+            return operator === '>' ? a > b : operator === '>=' ? a >= b : operator === '<' ? a < b : a <= b;
+    }
+}
+
+function containsWords(text, words) {
+    var haystack = String(text).toLowerCase();
+    return String(words).toLowerCase().split(/\s+/).filter(Boolean).every(function(word) {
+        return haystack.indexOf(word.replace(/\*/g, '')) !== -1;
+    });
+}
+
+// "2015-01-31", "2015/01/31 10:00" or an ISO timestamp -> ms
+function dateValue(value) {
+    var text = String(value).replace(/\//g, '-');
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+        text += "T00:00:00Z";
+    }
+    else if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}$/.test(text)) {
+        text = text.replace(' ', 'T') + ":00Z";
+    }
+    return Date.parse(text);
+}
+
+module.exports = FakeConfluence;
@@ -0,0 +1,53 @@
+/**
+ * Client-wide limit on the number of requests in flight.
+ */
+
+/**
+ * Construct Limiter.
+ *
+ * @constructor
+ * @this {Limiter}
+ * @param {number} maxConcurrency - Optional, unlimited when omitted
+ */
+function Limiter(maxConcurrency) {
+    this.maxConcurrency = maxConcurrency > 0 ? maxConcurrency : Infinity;
+    this.active = 0;
+    this.waiting = [];
+}
+
+/**
+ * Run a task once a slot is free.
+ *
+ * @param {Function} task - Returns a promise; its slot is released when it settles
+ * @returns {Promise}
+ */
+Limiter.prototype.schedule = function(task) {
+    var self = this;
+
+    return new Promise(function(resolve) {
+        self.waiting.push(resolve);
+        self.dequeue();
+    }).then(function() {
+        return task();
+    }).then(function(result) {
+        self.release();
+        return result;
+    }, function(err) {
+        self.release();
+        throw err;
+    });
+};
+
+Limiter.prototype.dequeue = function() {
+    while (this.active < this.maxConcurrency && this.waiting.length) {
+        this.active++;
+        this.waiting.shift()();
+    }
+};
+
+Limiter.prototype.release = function() {
+    this.active--;
+    this.dequeue();
+};
+
+module.exports = Limiter;
@@ -0,0 +1,407 @@
+/**
+ * Convert Markdown to Confluence storage format.
+ * See https://confluence.atlassian.com/doc/confluence-storage-format-790796544.html
+ *
+ * Supports ATX and setext headings, paragraphs, emphasis, strikethrough,
+ * inline code, links, images, ordered, unordered and task lists, GFM tables,
+ * fenced code (as the code macro), blockquotes (as info/note/tip/warning
+ * panels), horizontal rules and raw XHTML blocks.
+ */
+
+var path = require('path');
+
+var FENCE = /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)\s*$/;
+var HEADING = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+var RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+var QUOTE = /^ {0,3}> ?/;
+var LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])(?:\s+|$)/;
+var TABLE_DELIMITER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+var SETEXT = /^ {0,3}(=+|-+)\s*$/;
+var HTML_BLOCK = /^ {0,3}<\/?(?:ac:[\w-]+|ri:[\w-]+|p|div|table|ul|ol|h[1-6]|pre|blockquote|hr|br)(?=[\s>\/])/i;
+
+// GitHub alert syntax (> [!NOTE]) mapped to Confluence panel macros
+var PANELS = {
+    note: 'note',
+    info: 'info',
+    tip: 'tip',
+    important: 'note',
+    warning: 'warning',
+    caution: 'warning'
+};
+
+/**
+ * Escape text for use in XHTML content and attribute values.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Wrap text in a CDATA section, splitting any "]]>" it contains.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function cdata(text) {
+    return '<![CDATA[' + String(text).replace(/]]>/g, ']]]]><![CDATA[>') + ']]>';
+}
+
+/**
+ * Convert Markdown to Confluence storage format.
+ *
+ * @param {string} markdown
+ * @param {Object} options - Optional
+ * @param {Function} options.resolveLink - Optional, called with a link target; return `{title, space}` to render a Confluence page link instead of an anchor
+ * @param {Function} options.resolveImage - Optional, called with an image source; return an attachment filename, or null to keep the source as an external url
+ * @returns {string}
+ */
+function toStorage(markdown, options) {
+    var lines = String(markdown || '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+    return renderBlocks(lines, options || {});
+}
+
+function renderBlocks(lines, options) {
+    var out = [];
+    var i = 0;
+
+    while (i < lines.length) {
+        var line = lines[i];
+        var match;
+
+        if (!line.trim()) {
+            i++;
+        }
+        else if ((match = FENCE.exec(line))) {
+            var fence = match[1];
+            var code = [];
+            i++;
+            while (i < lines.length && !closesFence(lines[i], fence)) {
+                code.push(lines[i]);
+                i++;
+            }
+            i++; // closing fence
+            out.push(codeMacro(code.join('\n'), match[2]));
+        }
+        else if ((match = HEADING.exec(line))) {
+            out.push(heading(match[1].length, match[2] || '', options));
+            i++;
+        }
+        else if (RULE.test(line)) {
+            out.push('<hr />');
+            i++;
+        }
+        else if (QUOTE.test(line)) {
+            var quoted = [];
+            while (i < lines.length && QUOTE.test(lines[i])) {
+                quoted.push(lines[i].replace(QUOTE, ''));
+                i++;
+            }
+            out.push(panel(quoted, options));
+        }
+        else if (LIST_ITEM.test(line) && !(RULE.test(line))) {
+            var list = parseList(lines, i);
+            out.push(renderList(list.items, list.ordered, options));
+            i = list.end;
+        }
+        else if (line.indexOf('|') !== -1 && i + 1 < lines.length && TABLE_DELIMITER.test(lines[i + 1]) && lines[i + 1].indexOf('-') !== -1) {
+            var rows = [line];
+            i += 2;
+            while (i < lines.length && lines[i].trim() && lines[i].indexOf('|') !== -1) {
+                rows.push(lines[i]);
+                i++;
+            }
+            out.push(table(rows, options));
+        }
+        else if (HTML_BLOCK.test(line)) {
+            var html = [];
+            while (i < lines.length && lines[i].trim()) {
+                html.push(lines[i]);
+                i++;
+            }
+            out.push(html.join('\n'));
+        }
+        else {
+            var paragraph = [];
+            while (i < lines.length && lines[i].trim() && !startsBlock(lines, i, paragraph.length)) {
+                paragraph.push(lines[i]);
+                i++;
+            }
+            if (paragraph.length && i < lines.length && SETEXT.test(lines[i])) {
+                out.push(heading(lines[i].trim()[0] === '=' ? 1 : 2, paragraph.join(' '), options));
+                i++;
+            }
+            else {
+                out.push('<p>' + inline(paragraph.join('\n'), options) + '</p>');
+            }
+        }
+    }
+
+    return out.join('');
+}
+
+function closesFence(line, fence) {
+    var match = /^ {0,3}(`{3,}|~{3,})\s*$/.exec(line);
+    return !!match && match[1][0] === fence[0] && match[1].length >= fence.length;
+}
+
+function startsBlock(lines, i, paragraphLength) {
+    var line = lines[i];
+
+    if (paragraphLength === 0) return false;
+    if (SETEXT.test(line)) return true;
+    return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) ||
+        LIST_ITEM.test(line) || HTML_BLOCK.test(line);
+}
+
+function heading(level, text, options) {
+    return '<h' + level + '>' + inline(text.trim(), options) + '</h' + level + '>';
+}
+
+function codeMacro(code, language) {
+    var parameters = language ?
+        '<ac:parameter ac:name="language">' + escapeXml(language.toLowerCase()) + '</ac:parameter>' :
+        '';
+
+    return '<ac:structured-macro ac:name="code">' + parameters +
+        '<ac:plain-text-body>' + cdata(code) + '</ac:plain-text-body></ac:structured-macro>';
+}
+
+function panel(lines, options) {
+    var type = 'info';
+    var title;
+    var alert = /^\s*\[!(\w+)\]\s*(.*)$/.exec(lines[0] || '');
+    var label = /^\s*\*\*(Note|Info|Tip|Warning|Important|Caution):?\*\*:?\s*/i.exec(lines[0] || '');
+
+    if (alert && PANELS[alert[1].toLowerCase()]) {
+        type = PANELS[alert[1].toLowerCase()];
+        title = alert[2].trim();
+        lines = lines.slice(1);
+    }
+    else if (label) {
+        type = PANELS[label[1].toLowerCase()];
+        lines = [lines[0].slice(label[0].length)].concat(lines.slice(1));
+    }
+
+    return '<ac:structured-macro ac:name="' + type + '">' +
+        (title ? '<ac:parameter ac:name="title">' + escapeXml(title) + '</ac:parameter>' : '') +
+        '<ac:rich-text-body>' + renderBlocks(lines, options) + '</ac:rich-text-body></ac:structured-macro>';
+}
+
+/**
+ * Collect the items of the list starting at line `start`. Lines indented past
+ * the marker, and blank lines followed by such lines, belong to the current
+ * item and are de-indented so they can be rendered as nested blocks.
+ */
+function parseList(lines, start) {
+    var first = LIST_ITEM.exec(lines[start]);
+    var indent = first[1].length;
+    var ordered = /\d/.test(first[2]);
+    var items = [];
+    var i = start;
+
+    while (i < lines.length) {
+        var match = LIST_ITEM.exec(lines[i]);
+        if (!match || match[1].length !== indent || /\d/.test(match[2]) !== ordered) {
+            break;
+        }
+
+        var contentIndent = match[0].length;
+        var content = [lines[i].slice(match[0].length)];
+        i++;
+
+        while (i < lines.length) {
+            if (!lines[i].trim()) {
+                var next = i + 1;
+                while (next < lines.length && !lines[next].trim()) next++;
+                if (next < lines.length && leadingSpaces(lines[next]) > indent) {
+                    content.push('');
+                    i++;
+                    continue;
+                }
+                break;
+            }
+            var nested = leadingSpaces(lines[i]);
+            if (nested <= indent && (LIST_ITEM.test(lines[i]) || !content[content.length - 1].trim())) {
+                break;
+            }
+            if (nested <= indent && startsBlock(lines, i, 1)) {
+                break;
+            }
+            content.push(lines[i].slice(Math.min(nested, contentIndent)));
+            i++;
+        }
+
+        items.push(content);
+    }
+
+    return { items: items, ordered: ordered, end: i };
+}
+
+function leadingSpaces(line) {
+    return /^ */.exec(line)[0].length;
+}
+
+function renderList(items, ordered, options) {
+    var task = /^\[([ xX])\]\s+/;
+    var isTaskList = !ordered && items.every(function(item) { return task.test(item[0]); });
+
+    if (isTaskList) {
+        return '<ac:task-list>' + items.map(function(item) {
+            var done = task.exec(item[0])[1] !== ' ';
+            var body = [item[0].replace(task, '')].concat(item.slice(1));
+            return '<ac:task><ac:task-status>' + (done ? 'complete' : 'incomplete') + '</ac:task-status>' +
+                '<ac:task-body>' + renderItem(body, options) + '</ac:task-body></ac:task>';
+        }).join('') + '</ac:task-list>';
+    }
+
+    var tag = ordered ? 'ol' : 'ul';
+    return '<' + tag + '>' + items.map(function(item) {
+        return '<li>' + renderItem(item, options) + '</li>';
+    }).join('') + '</' + tag + '>';
+}
+
+function renderItem(lines, options) {
+    var html = renderBlocks(lines, options);
+
+    // tight items hold a single paragraph, possibly followed by nested lists
+    var tight = /^<p>((?:(?!<p>)[\s\S])*?)<\/p>((?:<ul>|<ol>|<ac:task-list>)[\s\S]*)?$/.exec(html);
+    if (tight && html.indexOf('<p>', 3) === -1) {
+        return tight[1] + (tight[2] || '');
+    }
+    return html;
+}
+
+function table(rows, options) {
+    var cells = rows.map(splitRow);
+    var header = cells[0];
+
+    return '<table><tbody>' +
+        '<tr>' + header.map(function(cell) { return '<th>' + inline(cell, options) + '</th>'; }).join('') + '</tr>' +
+        cells.slice(1).map(function(row) {
+            var padded = header.map(function(h, index) { return row[index] || ''; });
+            return '<tr>' + padded.map(function(cell) { return '<td>' + inline(cell, options) + '</td>'; }).join('') + '</tr>';
+        }).join('') +
+        '</tbody></table>';
+}
+
+function splitRow(row) {
+    var cells = [];
+    var current = '';
+    var inCode = false;
+    var text = row.trim().replace(/^\|/, '').replace(/(^|[^\\])\|$/, '$1');
+
+    for (var i = 0; i < text.length; i++) {
+        var c = text[i];
+        if (c === '\\' && text[i + 1] === '|') {
+            current += '|';
+            i++;
+        }
+        else if (c === '`') {
+            inCode = !inCode;
+            current += c;
+        }
+        else if (c === '|' && !inCode) {
+            cells.push(current.trim());
+            current = '';
+        }
+        else {
+            current += c;
+        }
+    }
+    cells.push(current.trim());
+    return cells;
+}
+
+/**
+ * Render inline Markdown: code spans, images, links, autolinks, emphasis,
+ * strikethrough and hard line breaks.
+ */
+function inline(text, options, stash) {
+    // link labels are rendered with the stash of the text around them, so
+    // code spans, escapes and images already taken out of a label resolve
+    stash = stash || [];
+
+    function keep(html) {
+        stash.push(html);
+        return '\u0000' + (stash.length - 1) + '\u0000';
+    }
+
+    // code spans are taken out first so their content is left alone
+    text = text.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, function(m, ticks, code) {
+        return keep('<code>' + escapeXml(code.trim()) + '</code>');
+    });
+    text = text.replace(/\\([\\`*_{}\[\]()#+\-.!|~<>])/g, function(m, c) {
+        return keep(escapeXml(c));
+    });
+    text = text.replace(/!\[([^\]]*)\]\(\s*<?([^)\s>]+)>?(?:\s+"([^"]*)")?\s*\)/g, function(m, alt, src, title) {
+        return keep(image(src, alt, title, options));
+    });
+    text = text.replace(/\[([^\]]+)\]\(\s*<?([^)\s>]+)>?(?:\s+"([^"]*)")?\s*\)/g, function(m, label, href) {
+        return keep(link(href, inline(label, options, stash), options));
+    });
+    text = text.replace(/<(https?:\/\/[^>\s]+)>/g, function(m, href) {
+        return keep('<a href="' + escapeXml(href) + '">' + escapeXml(href) + '</a>');
+    });
+
+    text = escapeXml(text)
+        .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+        .replace(/(^|[^\w*])\*(?=\S)([\s\S]*?\S)\*(?!\*)/g, '$1<em>$2</em>')
+        .replace(/(^|[^\w_])_(?=\S)([\s\S]*?\S)_(?![\w_])/g, '$1<em>$2</em>')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+        .replace(/( {2,}|\\)\n/g, '<br />')
+        .replace(/\n/g, ' ');
+
+    return text.replace(/\u0000(\d+)\u0000/g, function(m, index) {
+        return stash[index];
+    });
+}
+
+function isExternal(target) {
+    return /^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(target);
+}
+
+function image(src, alt, title, options) {
+    var filename = options.resolveImage ? options.resolveImage(src) :
+        (isExternal(src) ? null : path.basename(decodeTarget(src)));
+    var attributes = (alt ? ' ac:alt="' + escapeXml(alt) + '"' : '') +
+        (title ? ' ac:title="' + escapeXml(title) + '"' : '');
+
+    if (filename) {
+        return '<ac:image' + attributes + '><ri:attachment ri:filename="' + escapeXml(filename) + '" /></ac:image>';
+    }
+    return '<ac:image' + attributes + '><ri:url ri:value="' + escapeXml(src) + '" /></ac:image>';
+}
+
+function link(href, label, options) {
+    var page = options.resolveLink && options.resolveLink(href);
+
+    if (page && page.title) {
+        return '<ac:link' + (page.anchor ? ' ac:anchor="' + escapeXml(page.anchor) + '"' : '') + '>' +
+            '<ri:page ri:content-title="' + escapeXml(page.title) + '"' +
+            (page.space ? ' ri:space-key="' + escapeXml(page.space) + '"' : '') + ' />' +
+            '<ac:link-body>' + label + '</ac:link-body></ac:link>';
+    }
+    return '<a href="' + escapeXml(href) + '">' + label + '</a>';
+}
+
+function decodeTarget(target) {
+    try {
+        return decodeURIComponent(target);
+    }
+    catch (e) {
+        return target;
+    }
+}
+
+module.exports = {
+    toStorage: toStorage,
+    escapeXml: escapeXml,
+    cdata: cdata
+};
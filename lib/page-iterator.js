@@ -0,0 +1,175 @@
+/**
+ * Async iterator over the results of a paginated Confluence REST resource.
+ */
+
+/**
+ * Construct PageIterator.
+ *
+ * Pages are fetched lazily, following `_links.next` when the server provides
+ * it and falling back to advancing `start` by the size of the previous page.
+ *
+ * @constructor
+ * @this {PageIterator}
+ * @param {Function} fetchPage - Called with an absolute url, resolves with the response body
+ * @param {string} url - Absolute url of the first page
+ * @param {Object} options - Optional
+ * @param {number} options.pageSize - Optional, results requested per page (sent as `limit`)
+ * @param {number} options.start - Optional, index of the first result
+ * @param {number} options.maxItems - Optional, stop after yielding this many results
+ * @param {Function} options.until - Optional, called with (item, index); iteration stops before the first item it returns true for
+ * @param {string} options.baseUrl - Optional, prefix for relative `_links.next` urls
+ */
+function PageIterator(fetchPage, url, options) {
+    options = options || {};
+
+    this.fetchPage = fetchPage;
+    this.options = options;
+    this.baseUrl = options.baseUrl || '';
+    this.nextUrl = withPaging(url, options.pageSize, options.start);
+    this.buffer = [];
+    this.count = 0;
+    this.finished = false;
+    this.queue = Promise.resolve();
+}
+
+/**
+ * Resolve with the next result, as specified by the async iteration protocol.
+ *
+ * @returns {Promise.<{value: Object, done: boolean}>}
+ */
+PageIterator.prototype.next = function() {
+    var self = this;
+    var step = this.queue.then(function() {
+        return self.step();
+    });
+
+    // keep concurrent calls to next() in order
+    this.queue = step.catch(function() {});
+    return step;
+};
+
+/**
+ * Stop iterating; called implicitly when leaving a `for await` loop early.
+ *
+ * @returns {Promise.<{value: undefined, done: boolean}>}
+ */
+PageIterator.prototype.return = function() {
+    this.finish();
+    return Promise.resolve({ value: undefined, done: true });
+};
+
+PageIterator.prototype[Symbol.asyncIterator] = function() {
+    return this;
+};
+
+/**
+ * Collect every remaining result into an array.
+ *
+ * @returns {Promise.<Array>}
+ */
+PageIterator.prototype.toArray = function() {
+    var self = this;
+    var items = [];
+
+    function loop() {
+        return self.next().then(function(result) {
+            if (result.done) {
+                return items;
+            }
+            items.push(result.value);
+            return loop();
+        });
+    }
+
+    return loop();
+};
+
+PageIterator.prototype.step = function() {
+    var self = this;
+
+    if (this.finished) {
+        return { value: undefined, done: true };
+    }
+    if (this.options.maxItems !== undefined && this.count >= this.options.maxItems) {
+        this.finish();
+        return { value: undefined, done: true };
+    }
+    if (this.buffer.length) {
+        return this.yieldItem(this.buffer.shift());
+    }
+    if (!this.nextUrl) {
+        this.finish();
+        return { value: undefined, done: true };
+    }
+
+    return this.fetchPage(this.nextUrl).then(function(body) {
+        self.advance(body);
+        return self.step();
+    });
+};
+
+PageIterator.prototype.yieldItem = function(item) {
+    if (this.options.until && this.options.until(item, this.count)) {
+        this.finish();
+        return { value: undefined, done: true };
+    }
+    this.count++;
+    return { value: item, done: false };
+};
+
+PageIterator.prototype.advance = function(body) {
+    var results = (body && body.results) || [];
+    var links = (body && body._links) || {};
+    var limit = body && body.limit;
+
+    this.buffer = results.slice();
+
+    if (!results.length) {
+        this.nextUrl = null;
+    }
+    else if (links.next) {
+        this.nextUrl = /^https?:\/\//.test(links.next) ? links.next : this.baseUrl + links.next;
+    }
+    else if (limit !== undefined && results.length >= limit) {
+        // servers that do not report _links.next still page by start/limit
+        this.nextUrl = withPaging(this.nextUrl, limit, (body.start || 0) + results.length);
+    }
+    else {
+        this.nextUrl = null;
+    }
+};
+
+PageIterator.prototype.finish = function() {
+    this.finished = true;
+    this.buffer = [];
+    this.nextUrl = null;
+};
+
+/**
+ * Set or replace the `limit` and `start` query parameters of a url.
+ *
+ * @private
+ * @param {string} url
+ * @param {number} limit - Optional
+ * @param {number} start - Optional
+ * @returns {string}
+ */
+function withPaging(url, limit, start) {
+    var params = { limit: limit, start: start };
+
+    Object.keys(params).forEach(function(name) {
+        if (params[name] === undefined || params[name] === null) return;
+
+        var pattern = new RegExp('([?&])' + name + '=[^&]*');
+        if (pattern.test(url)) {
+            url = url.replace(pattern, '$1' + name + '=' + params[name]);
+        }
+        else {
+            url += (url.indexOf('?') === -1 ? '?' : '&') + name + '=' + params[name];
+        }
+    });
+
+    return url;
+}
+
+module.exports = PageIterator;
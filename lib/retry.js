@@ -0,0 +1,115 @@
+/**
+ * Retry policy for requests sent to Confluence.
+ */
+
+var IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+var RETRYABLE_STATUSES = [429, 502, 503, 504];
+var RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+
+/**
+ * Construct RetryPolicy.
+ *
+ * A 429 response is retried for every method, since the request was not
+ * processed; other failures are only retried for the configured methods.
+ *
+ * @constructor
+ * @this {RetryPolicy}
+ * @param {Object|boolean} options - Optional, `true` enables the defaults, a falsy value disables retries
+ * @param {number} options.maxAttempts - Optional, attempts per request including the first, defaults to 3
+ * @param {number} options.baseDelay - Optional, delay in ms before the first retry, defaults to 500
+ * @param {number} options.maxDelay - Optional, upper bound in ms for a single delay, defaults to 30000
+ * @param {boolean} options.jitter - Optional, randomize delays ("full jitter"), defaults to true
+ * @param {boolean} options.respectRetryAfter - Optional, wait as long as a Retry-After header asks, defaults to true
+ * @param {number} options.maxRetryAfter - Optional, longest wait in ms a Retry-After header may ask for; a longer one fails the request instead, defaults to maxDelay
+ * @param {Array.<string>} options.methods - Optional, methods retried on 5xx and network errors, defaults to the idempotent ones
+ * @param {Array.<number>} options.statuses - Optional, statuses that are retried, defaults to 429, 502, 503 and 504
+ */
+function RetryPolicy(options) {
+    if (!options) {
+        options = { maxAttempts: 1 };
+    }
+    else if (options === true) {
+        options = {};
+    }
+
+    this.maxAttempts = options.maxAttempts || 3;
+    this.baseDelay = options.baseDelay !== undefined ? options.baseDelay : 500;
+    this.maxDelay = options.maxDelay !== undefined ? options.maxDelay : 30000;
+    this.jitter = options.jitter !== false;
+    this.respectRetryAfter = options.respectRetryAfter !== false;
+    this.maxRetryAfter = options.maxRetryAfter !== undefined ? options.maxRetryAfter : this.maxDelay;
+    this.methods = (options.methods || IDEMPOTENT_METHODS).map(function(m) { return m.toUpperCase(); });
+    this.statuses = options.statuses || RETRYABLE_STATUSES;
+}
+
+/**
+ * Decide whether a failed attempt should be retried.
+ *
+ * @param {ConfluenceError} err
+ * @param {number} attempt - Number of attempts made so far
+ * @returns {boolean}
+ */
+RetryPolicy.prototype.shouldRetry = function(err, attempt) {
+    if (attempt >= this.maxAttempts || !err) {
+        return false;
+    }
+    if (this.respectRetryAfter && err.retryAfter * 1000 > this.maxRetryAfter) {
+        // rather fail than stall the caller for as long as the server asks
+        return false;
+    }
+    if (err.status === 429) {
+        return this.statuses.indexOf(429) !== -1;
+    }
+    if (this.methods.indexOf(String(err.method).toUpperCase()) === -1) {
+        return false;
+    }
+    if (err.status) {
+        return this.statuses.indexOf(err.status) !== -1;
+    }
+    return RETRYABLE_CODES.indexOf(err.code) !== -1;
+};
+
+/**
+ * Delay in ms before the next attempt: exponential backoff, unless the server
+ * asked for a specific wait through Retry-After.
+ *
+ * @param {ConfluenceError} err
+ * @param {number} attempt - Number of attempts made so far
+ * @returns {number}
+ */
+RetryPolicy.prototype.delay = function(err, attempt) {
+    if (this.respectRetryAfter && err && err.retryAfter !== undefined) {
+        return Math.min(err.retryAfter * 1000, this.maxRetryAfter);
+    }
+
+    var delay = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt - 1));
+    return this.jitter ? Math.round(Math.random() * delay) : delay;
+};
+
+/**
+ * Run an attempt function until it resolves or the policy gives up.
+ *
+ * @param {Function} attempt - Returns a promise for one try
+ * @returns {Promise}
+ */
+RetryPolicy.prototype.run = function(attempt) {
+    var self = this;
+
+    function tryAgain(count) {
+        return attempt().catch(function(err) {
+            if (!self.shouldRetry(err, count)) {
+                err.attempts = count;
+                throw err;
+            }
+            return new Promise(function(resolve) {
+                setTimeout(resolve, self.delay(err, count));
+            }).then(function() {
+                return tryAgain(count + 1);
+            });
+        });
+    }
+
+    return tryAgain(1);
+};
+
+module.exports = RetryPolicy;
@@ -0,0 +1,418 @@
+/**
+ * Export a space to a portable directory of JSON files and attachment
+ * binaries, and import such a directory into another space.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var errors = require('./errors');
+
+var FORMAT_VERSION = 1;
+var CONTENT_TYPES = ['page', 'blogpost'];
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// write through a temporary file so that an interrupted run never leaves a
+// truncated file behind to be mistaken for a finished one
+function writeAtomic(file, data) {
+    var temp = file + '.partial';
+    fs.writeFileSync(temp, data);
+    fs.renameSync(temp, file);
+}
+
+function writeJson(file, data) {
+    writeAtomic(file, JSON.stringify(data, null, 2) + '\n');
+}
+
+function safeFilename(name) {
+    return String(name).replace(/[\/\\\u0000]/g, '_');
+}
+
+function userName(user) {
+    return user && (user.username || user.accountId || user.displayName);
+}
+
+function idFromLink(link) {
+    var match = /\/content\/(\d+)/.exec(link || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * Iterate a PageIterator one item at a time, waiting for each step.
+ *
+ * @private
+ */
+function eachItem(iterator, step) {
+    function next() {
+        return iterator.next().then(function(result) {
+            if (result.done) return;
+            return Promise.resolve(step(result.value)).then(next);
+        });
+    }
+
+    return next();
+}
+
+/**
+ * Export every page and blog post of a space, with labels, version history
+ * and attachments, into a directory:
+ *
+ *     space.json                     space key, name and home page id
+ *     content/<id>.json              one file per page or blog post
+ *     attachments/<id>/<filename>    attachment binaries
+ *
+ * Content files are written last, once their attachments are on disk, so
+ * running the export again into the same directory resumes where an
+ * interrupted run stopped.
+ *
+ * @param {Confluence} confluence
+ * @param {Function} download - Resolves an attachment download link with a Buffer
+ * @param {string} spaceKey
+ * @param {string} dir
+ * @param {Object} options - Optional
+ * @param {boolean} options.attachments - Optional, export attachments, defaults to true
+ * @param {boolean} options.history - Optional, export the metadata of every version, not only the current one, defaults to true
+ * @param {boolean} options.force - Optional, export content again even if already on disk
+ * @returns {Promise.<Object>} report of `{space, content, attachments}`
+ */
+function exportSpace(confluence, download, spaceKey, dir, options) {
+    options = options || {};
+
+    var report = { space: spaceKey, content: [], attachments: 0 };
+    var config = confluence.config;
+
+    return confluence.getSpace(spaceKey).then(function(data) {
+        var space = data && data.results && data.results[0];
+        if (!space) {
+            throw new errors.NotFoundError("Can't find space '" + spaceKey + "'.");
+        }
+
+        fs.mkdirSync(path.join(dir, 'content'), { recursive: true });
+        fs.mkdirSync(path.join(dir, 'attachments'), { recursive: true });
+
+        writeJson(path.join(dir, 'space.json'), {
+            format: FORMAT_VERSION,
+            key: space.key,
+            name: space.name,
+            homepageId: idFromLink(space._expandable && space._expandable.homepage),
+            exportedAt: new Date().toISOString()
+        });
+
+        var position = 0;
+
+        return CONTENT_TYPES.reduce(function(previous, type) {
+            return previous.then(function() {
+                var query =
+                    "?spaceKey=" + spaceKey +
+                    "&type=" + type +
+                    "&expand=body.storage,version,ancestors,history,metadata.labels";
+
+                return eachItem(confluence.paginate("/content" + config.extension + query), function(item) {
+                    return exportContent(item, position++);
+                });
+            });
+        }, Promise.resolve());
+    }).then(function() {
+        return report;
+    });
+
+    function exportContent(item, position) {
+        var file = path.join(dir, 'content', item.id + '.json');
+
+        if (!options.force && fs.existsSync(file)) {
+            report.content.push({ id: item.id, type: item.type, title: item.title, action: "skipped" });
+            return Promise.resolve();
+        }
+
+        var attachments = options.attachments === false ? Promise.resolve([]) :
+            confluence.getAllAttachments(spaceKey, item.id).then(function(results) {
+                return results.reduce(function(previous, attachment) {
+                    return previous.then(function(list) {
+                        return exportAttachment(item, attachment).then(function(entry) {
+                            return list.concat(entry);
+                        });
+                    });
+                }, Promise.resolve([]));
+            });
+
+        var versions = [];
+
+        return attachments.then(function(list) {
+            attachments = list;
+            if (options.history === false) return;
+
+            return confluence.getVersionHistory(item.id).then(function(results) {
+                versions = results.map(function(version) {
+                    return {
+                        number: version.number,
+                        when: version.when,
+                        message: version.message,
+                        minorEdit: version.minorEdit,
+                        by: userName(version.by)
+                    };
+                });
+            });
+        }).then(function() {
+            var ancestors = (item.ancestors || []).map(function(ancestor) { return ancestor.id; });
+            var version = item.version || {};
+            var history = item.history || {};
+            var labels = (item.metadata && item.metadata.labels && item.metadata.labels.results) || [];
+
+            writeJson(file, {
+                id: item.id,
+                type: item.type,
+                title: item.title,
+                position: position,
+                ancestors: ancestors,
+                parentId: ancestors.length ? ancestors[ancestors.length - 1] : null,
+                body: item.body && item.body.storage ? item.body.storage.value : "",
+                version: {
+                    number: version.number,
+                    when: version.when,
+                    message: version.message,
+                    by: userName(version.by)
+                },
+                versions: versions,
+                created: {
+                    when: history.createdDate,
+                    by: userName(history.createdBy)
+                },
+                labels: labels.map(function(label) {
+                    return { prefix: label.prefix, name: label.name };
+                }),
+                attachments: attachments
+            });
+            report.content.push({ id: item.id, type: item.type, title: item.title, action: "exported" });
+        });
+    }
+
+    function exportAttachment(item, attachment) {
+        var filename = safeFilename(attachment.title);
+        var relative = ['attachments', item.id, filename].join('/');
+        var file = path.join(dir, 'attachments', item.id, filename);
+        var size = attachment.extensions && attachment.extensions.fileSize;
+        var entry = {
+            id: attachment.id,
+            title: attachment.title,
+            mediaType: (attachment.metadata && attachment.metadata.mediaType) ||
+                (attachment.extensions && attachment.extensions.mediaType),
+            comment: (attachment.metadata && attachment.metadata.comment) ||
+                (attachment.extensions && attachment.extensions.comment),
+            version: attachment.version && attachment.version.number,
+            file: relative
+        };
+
+        if (fs.existsSync(file) && (size === undefined || fs.statSync(file).size === size)) {
+            return Promise.resolve(entry);
+        }
+
+        return download(attachment._links.download).then(function(data) {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            writeAtomic(file, data);
+            report.attachments++;
+            return entry;
+        });
+    }
+}
+
+/**
+ * Rewrite references to the source space in storage format: space keys of
+ * page and attachment links, and page ids in links to `viewpage.action` or
+ * `/spaces/KEY/pages/<id>` urls.
+ *
+ * @private
+ */
+function remapLinks(body, ids, sourceKey, targetKey) {
+    function mapId(id) {
+        return ids[id] || id;
+    }
+
+    return body
+        .replace(/(ri:space-key=")([^"]*)(")/g, function(match, before, key, after) {
+            return key === sourceKey ? before + targetKey + after : match;
+        })
+        .replace(/(ri:content-id=")(\d+)(")/g, function(match, before, id, after) {
+            return before + mapId(id) + after;
+        })
+        .replace(/(pageId=)(\d+)/g, function(match, before, id) {
+            return before + mapId(id);
+        })
+        .replace(/\/spaces\/([^\/"]+)\/pages\/(\d+)/g, function(match, key, id) {
+            return "/spaces/" + (key === sourceKey ? targetKey : key) + "/pages/" + mapId(id);
+        });
+}
+
+function hasIdLinks(body) {
+    return /ri:content-id="\d+"|pageId=\d+|\/spaces\/[^\/"]+\/pages\/\d+/.test(body);
+}
+
+/**
+ * Recreate an exported space in another space. Pages are created parents
+ * first, under their mapped parent, with labels and attachments. Content
+ * linking to other pages by id is updated once every page exists, so links
+ * point at the new ids. The source home page is mapped onto the target
+ * space's home page unless options.parentId is given, in which case the
+ * whole tree is recreated under that page.
+ *
+ * Only the current version of each page is imported; the exported version
+ * history is kept on disk as a record but not replayed. Progress is kept in
+ * `import-<targetSpaceKey>.json` in the export directory, so running the
+ * import again resumes an interrupted run instead of duplicating pages.
+ *
+ * @param {Confluence} confluence
+ * @param {string} dir
+ * @param {string} targetSpaceKey
+ * @param {Object} options - Optional
+ * @param {string} options.parentId - Optional, page to recreate the tree under
+ * @returns {Promise.<Object>} report of `{space, content, attachments}`, listing `{sourceId, id, type, title, action}` for each page
+ */
+function importSpace(confluence, dir, targetSpaceKey, options) {
+    options = options || {};
+
+    var space;
+    var items;
+    var stateFile = path.join(dir, 'import-' + safeFilename(targetSpaceKey) + '.json');
+    var state;
+    var report = { space: targetSpaceKey, content: [], attachments: 0 };
+
+    try {
+        space = readJson(path.join(dir, 'space.json'));
+        items = fs.readdirSync(path.join(dir, 'content')).filter(function(name) {
+            return /\.json$/.test(name);
+        }).map(function(name) {
+            return readJson(path.join(dir, 'content', name));
+        }).sort(function(a, b) {
+            // parents before children, otherwise in export order
+            return (a.type === b.type ? 0 : a.type === 'page' ? -1 : 1) ||
+                a.ancestors.length - b.ancestors.length ||
+                a.position - b.position;
+        });
+        state = fs.existsSync(stateFile) ? readJson(stateFile) : { ids: {}, done: {}, linked: {} };
+    }
+    catch (e) {
+        return Promise.reject(e);
+    }
+
+    function save() {
+        writeJson(stateFile, state);
+    }
+
+    function remap(body) {
+        return remapLinks(body || "", state.ids, space.key, targetSpaceKey);
+    }
+
+    function parentOf(item) {
+        for (var i = item.ancestors.length - 1; i >= 0; i--) {
+            if (state.ids[item.ancestors[i]]) return state.ids[item.ancestors[i]];
+        }
+        return options.parentId;
+    }
+
+    function mapHomePage() {
+        if (options.parentId || !space.homepageId || state.ids[space.homepageId]) {
+            return Promise.resolve();
+        }
+        return confluence.getSpaceHomePage(targetSpaceKey).then(function(home) {
+            state.ids[space.homepageId] = home.id;
+            save();
+        });
+    }
+
+    function importItem(item) {
+        var created = state.ids[item.id] ? Promise.resolve(false) :
+            confluence.postContent(targetSpaceKey, item.title, remap(item.body),
+                item.type === 'page' ? parentOf(item) : null, { type: item.type }).then(function(page) {
+                state.ids[item.id] = page.id;
+                save();
+                return true;
+            });
+
+        return created.then(function(isNew) {
+            if (state.done[item.id]) {
+                report.content.push(entry(item, "skipped"));
+                return;
+            }
+            return importLabels(item).then(function() {
+                return importAttachments(item, isNew);
+            }).then(function() {
+                state.done[item.id] = true;
+                save();
+                report.content.push(entry(item, item.id === space.homepageId && !options.parentId ? "updated" : "created"));
+            });
+        });
+    }
+
+    function entry(item, action) {
+        return { sourceId: item.id, id: state.ids[item.id], type: item.type, title: item.title, action: action };
+    }
+
+    function importLabels(item) {
+        if (!item.labels || !item.labels.length) return Promise.resolve();
+        return confluence.postLabels(state.ids[item.id], item.labels);
+    }
+
+    function importAttachments(item, isNew) {
+        var id = state.ids[item.id];
+        var attachments = item.attachments || [];
+        if (!attachments.length) return Promise.resolve();
+
+        // after an interrupted run some attachments may already be uploaded
+        var existing = isNew ? Promise.resolve([]) : confluence.getAllAttachments(targetSpaceKey, id);
+
+        return existing.then(function(current) {
+            var titles = current.map(function(attachment) { return attachment.title; });
+
+            return attachments.reduce(function(previous, attachment) {
+                return previous.then(function() {
+                    if (titles.indexOf(path.basename(attachment.file)) !== -1) return;
+                    return confluence.createAttachment(targetSpaceKey, id, path.join(dir, attachment.file), {
+                        contentType: attachment.mediaType,
+                        comment: attachment.comment
+                    }).then(function() {
+                        report.attachments++;
+                    });
+                });
+            }, Promise.resolve());
+        });
+    }
+
+    function relink(item) {
+        var id = state.ids[item.id];
+        var isHome = item.id === space.homepageId && !options.parentId;
+
+        if (state.linked[item.id] || !(isHome || hasIdLinks(item.body))) {
+            return Promise.resolve();
+        }
+
+        return confluence.getContentById(id).then(function(page) {
+            return confluence.putContent(targetSpaceKey, id, page.version.number + 1, isHome ? page.title : item.title, remap(item.body));
+        }).then(function() {
+            state.linked[item.id] = true;
+            save();
+        });
+    }
+
+    function sequentially(fn) {
+        return items.reduce(function(previous, item) {
+            return previous.then(function() {
+                return fn(item);
+            });
+        }, Promise.resolve());
+    }
+
+    return mapHomePage().then(function() {
+        return sequentially(importItem);
+    }).then(function() {
+        return sequentially(relink);
+    }).then(function() {
+        return report;
+    });
+}
+
+module.exports = {
+    exportSpace: exportSpace,
+    importSpace: importSpace,
+    remapLinks: remapLinks
+};
@@ -0,0 +1,570 @@
+/**
+ * Read Confluence storage format and convert it to Markdown or plain text.
+ * See https://confluence.atlassian.com/doc/confluence-storage-format-790796544.html
+ */
+
+var VOID_ELEMENTS = ['br', 'hr', 'img', 'col', 'input', 'meta', 'link', 'wbr', 'area', 'base', 'source'];
+
+var BLOCK_ELEMENTS = ['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'table', 'pre', 'blockquote',
+    'hr', 'div', 'ac:task-list', 'ac:layout', 'ac:layout-section', 'ac:layout-cell', 'ac:rich-text-body'];
+
+// macros that only wrap content; their body is kept as if the macro were not there
+var CONTAINER_MACROS = ['section', 'column', 'div', 'excerpt', 'details', 'expand', 'ui-expand', 'center'];
+
+var PANEL_MACROS = {
+    info: 'INFO',
+    note: 'NOTE',
+    tip: 'TIP',
+    warning: 'WARNING',
+    panel: null
+};
+
+var ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    hellip: '…', mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’',
+    ldquo: '“', rdquo: '”', laquo: '«', raquo: '»', bull: '•',
+    middot: '·', times: '×', deg: '°', copy: '©', reg: '®',
+    trade: '™', euro: '€', pound: '£', sect: '§', para: '¶'
+};
+
+var EMOTICONS = {
+    smile: ':)', sad: ':(', cheeky: ':P', laugh: ':D', wink: ';)',
+    tick: '✔', cross: '✘', warning: '⚠', information: 'ℹ',
+    plus: '(+)', minus: '(-)', question: '(?)', 'light-on': '💡', 'light-off': '💡',
+    'yellow-star': '⭐', 'red-star': '⭐', 'green-star': '⭐', 'blue-star': '⭐',
+    'thumbs-up': '👍', 'thumbs-down': '👎', heart: '❤', 'broken-heart': '💔'
+};
+
+/**
+ * Decode XML and common HTML entities.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, function(match, entity) {
+        if (entity[0] === '#') {
+            var code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            // references outside Unicode, or to lone surrogates, are left as they are
+            var valid = code <= 0x10ffff && !(code >= 0xd800 && code <= 0xdfff);
+            return valid ? String.fromCodePoint(code) : match;
+        }
+        return ENTITIES.hasOwnProperty(entity) ? ENTITIES[entity] : match;
+    });
+}
+
+/**
+ * Parse storage format into a tree of `{type: 'element', name, attrs, children}`
+ * and `{type: 'text', value}` nodes. The parser is tolerant: unclosed elements
+ * are closed by their parent and stray closing tags are ignored.
+ *
+ * @param {string} xml
+ * @returns {Object} root node
+ */
+function parse(xml) {
+    var root = { type: 'element', name: '#root', attrs: {}, children: [] };
+    var stack = [root];
+    var token = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\/\s*([^\s>]+)\s*>|<([^\s\/>!?]+)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>|<[!?][^>]*>|([^<]+|<)/g;
+    var match;
+
+    function current() {
+        return stack[stack.length - 1];
+    }
+
+    function addText(value, cdata) {
+        var children = current().children;
+        var last = children[children.length - 1];
+        if (last && last.type === 'text' && !last.cdata && !cdata) {
+            last.value += value;
+        }
+        else {
+            children.push({ type: 'text', value: value, cdata: !!cdata });
+        }
+    }
+
+    while ((match = token.exec(String(xml || '')))) {
+        if (match[1] !== undefined) {
+            addText(match[1], true);
+        }
+        else if (match[2]) {
+            var name = match[2].toLowerCase();
+            for (var i = stack.length - 1; i > 0; i--) {
+                if (stack[i].name === name) {
+                    stack.length = i;
+                    break;
+                }
+            }
+        }
+        else if (match[3]) {
+            var element = {
+                type: 'element',
+                name: match[3].toLowerCase(),
+                attrs: parseAttributes(match[4]),
+                children: []
+            };
+            current().children.push(element);
+            if (!match[5] && VOID_ELEMENTS.indexOf(element.name) === -1) {
+                stack.push(element);
+            }
+        }
+        else if (match[6] !== undefined) {
+            addText(decodeEntities(match[6]));
+        }
+    }
+
+    return root;
+}
+
+function parseAttributes(source) {
+    var attrs = {};
+    var pattern = /([^\s=\/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+    var match;
+
+    while ((match = pattern.exec(source || ''))) {
+        var value = match[2] !== undefined ? match[2] : (match[3] !== undefined ? match[3] : match[4]);
+        attrs[match[1].toLowerCase()] = decodeEntities(value === undefined ? '' : value);
+    }
+    return attrs;
+}
+
+function childElements(node, name) {
+    return node.children.filter(function(child) {
+        return child.type === 'element' && (!name || child.name === name);
+    });
+}
+
+function firstChild(node, name) {
+    return childElements(node, name)[0];
+}
+
+function textContent(node) {
+    if (node.type === 'text') return node.value;
+    return node.children.map(textContent).join('');
+}
+
+function macroParameters(node) {
+    var params = {};
+    childElements(node, 'ac:parameter').forEach(function(param) {
+        params[param.attrs['ac:name'] || ''] = textContent(param);
+    });
+    return params;
+}
+
+function isBlock(node) {
+    if (node.type !== 'element') return false;
+    if (node.name === 'ac:structured-macro' || node.name === 'ac:macro') {
+        return macroName(node) !== 'status' && macroName(node) !== 'anchor';
+    }
+    return BLOCK_ELEMENTS.indexOf(node.name) !== -1;
+}
+
+function macroName(node) {
+    return (node.attrs['ac:name'] || '').toLowerCase();
+}
+
+/**
+ * Construct Renderer.
+ *
+ * @constructor
+ * @private
+ * @param {Object} options
+ * @param {boolean} plain - Render plain text instead of Markdown
+ */
+function Renderer(options, plain) {
+    this.options = options;
+    this.plain = plain;
+}
+
+/**
+ * Render the children of a node as a sequence of blocks; runs of inline
+ * content between block elements become paragraphs.
+ */
+Renderer.prototype.blocks = function(nodes, separator) {
+    var self = this;
+    var blocks = [];
+    var run = [];
+
+    function flush() {
+        var text = self.lineBreaks(self.inline(run));
+        if (text) blocks.push(text);
+        run = [];
+    }
+
+    nodes.forEach(function(node) {
+        if (isBlock(node)) {
+            flush();
+            var block = self.block(node);
+            if (block && block.trim()) blocks.push(block.replace(/\s+$/, ''));
+        }
+        else {
+            run.push(node);
+        }
+    });
+    flush();
+
+    return blocks.join(separator || '\n\n');
+};
+
+Renderer.prototype.block = function(node) {
+    var name = node.name;
+    var plain = this.plain;
+
+    if (/^h[1-6]$/.test(name)) {
+        var text = this.inline(node.children).replace(/\u0001/g, ' ').trim();
+        return plain ? text : new Array(Number(name[1]) + 1).join('#') + ' ' + text;
+    }
+    switch (name) {
+        case 'p':
+            return this.lineBreaks(this.inline(node.children));
+        case 'ul':
+        case 'ol':
+            return this.list(node, name === 'ol');
+        case 'ac:task-list':
+            return this.taskList(node);
+        case 'table':
+            return this.table(node);
+        case 'pre':
+            return this.code(textContent(node), '');
+        case 'blockquote':
+            return this.quote(this.blocks(node.children), null);
+        case 'hr':
+            return plain ? '' : '---';
+        case 'ac:structured-macro':
+        case 'ac:macro':
+            return this.macro(node);
+        default:
+            return this.blocks(node.children);
+    }
+};
+
+Renderer.prototype.list = function(node, ordered) {
+    var self = this;
+    var index = 0;
+
+    return childElements(node, 'li').map(function(item) {
+        index++;
+        var marker = ordered ? index + '. ' : '- ';
+        return self.listItem(marker, self.blocks(item.children, '\n'));
+    }).join('\n');
+};
+
+Renderer.prototype.taskList = function(node) {
+    var self = this;
+
+    return childElements(node, 'ac:task').map(function(task) {
+        var status = firstChild(task, 'ac:task-status');
+        var body = firstChild(task, 'ac:task-body');
+        var done = status && textContent(status).trim() === 'complete';
+        var marker = self.plain ? (done ? '[x] ' : '[ ] ') : (done ? '- [x] ' : '- [ ] ');
+        return self.listItem(marker, body ? self.blocks(body.children, '\n') : '');
+    }).join('\n');
+};
+
+Renderer.prototype.listItem = function(marker, content) {
+    var indent = new Array(marker.length + 1).join(' ');
+    return marker + content.split('\n').map(function(line, i) {
+        return i === 0 || !line ? line : indent + line;
+    }).join('\n');
+};
+
+Renderer.prototype.table = function(node) {
+    var self = this;
+    var rows = [];
+
+    (function collect(parent) {
+        childElements(parent).forEach(function(child) {
+            if (child.name === 'tr') rows.push(child);
+            else if (child.name === 'thead' || child.name === 'tbody' || child.name === 'tfoot') collect(child);
+        });
+    })(node);
+
+    var cells = rows.map(function(row) {
+        return childElements(row).filter(function(cell) {
+            return cell.name === 'td' || cell.name === 'th';
+        }).map(function(cell) {
+            return self.blocks(cell.children, ' ').replace(/\s*\\?\n\s*/g, ' ').trim();
+        });
+    });
+
+    if (!cells.length) return '';
+    if (this.plain) {
+        return cells.map(function(row) { return row.join('\t'); }).join('\n');
+    }
+
+    var width = Math.max.apply(null, cells.map(function(row) { return row.length; }));
+    function line(row) {
+        var padded = [];
+        for (var i = 0; i < width; i++) padded.push((row[i] || '').replace(/\|/g, '\\|'));
+        return '| ' + padded.join(' | ') + ' |';
+    }
+    var delimiter = [];
+    for (var i = 0; i < width; i++) delimiter.push('---');
+
+    return [line(cells[0]), '| ' + delimiter.join(' | ') + ' |'].concat(cells.slice(1).map(line)).join('\n');
+};
+
+Renderer.prototype.code = function(code, language) {
+    code = code.replace(/^\n+|\s+$/g, '');
+    if (this.plain) return code;
+
+    var fence = '```';
+    while (code.indexOf(fence) !== -1) fence += '`';
+    return fence + (language || '') + '\n' + code + '\n' + fence;
+};
+
+Renderer.prototype.quote = function(content, alert) {
+    if (this.plain) return content;
+
+    var lines = (alert ? [alert] : []).concat(content.split('\n'));
+    return lines.map(function(line) {
+        return line ? '> ' + line : '>';
+    }).join('\n');
+};
+
+Renderer.prototype.macro = function(node) {
+    var name = macroName(node);
+    var params = macroParameters(node);
+    var body = firstChild(node, 'ac:rich-text-body');
+    var plainBody = firstChild(node, 'ac:plain-text-body');
+
+    if (name === 'code' || name === 'noformat') {
+        return this.code(plainBody ? textContent(plainBody) : '', params.language || '');
+    }
+    if (PANEL_MACROS.hasOwnProperty(name)) {
+        var content = body ? this.blocks(body.children) : '';
+        var alert = PANEL_MACROS[name] ? '[!' + PANEL_MACROS[name] + ']' + (params.title ? ' ' + params.title : '') :
+            (params.title ? '**' + params.title + '**' : null);
+        if (this.plain) {
+            return [params.title, content].filter(Boolean).join('\n\n');
+        }
+        return this.quote(content, alert);
+    }
+    if (CONTAINER_MACROS.indexOf(name) !== -1) {
+        var inner = body ? this.blocks(body.children) : '';
+        if ((name === 'expand' || name === 'ui-expand') && params.title) {
+            inner = (this.plain ? params.title : '**' + params.title + '**') + '\n\n' + inner;
+        }
+        return inner;
+    }
+    return this.placeholder(name, params);
+};
+
+Renderer.prototype.placeholder = function(name, params) {
+    var placeholder = this.options.macroPlaceholder;
+
+    if (typeof placeholder === 'function') return placeholder(name, params) || '';
+    if (placeholder !== undefined) return placeholder;
+    return this.plain ? '' : '[' + name + ' macro]';
+};
+
+/**
+ * Render inline content. Whitespace is collapsed as HTML would; line breaks
+ * are marked with \u0001 until lineBreaks turns them into newlines.
+ */
+Renderer.prototype.inline = function(nodes) {
+    var self = this;
+
+    return nodes.map(function(node) {
+        return self.inlineNode(node);
+    }).join('').replace(/[ \t\r\n]+/g, ' ');
+};
+
+Renderer.prototype.lineBreaks = function(text) {
+    text = text.replace(/^[\s\u0001]+|[\s\u0001]+$/g, '');
+    if (this.plain) {
+        return text.replace(/ *\u0001 */g, '\n');
+    }
+    return text.split(/ *\u0001 */).map(escapeLineStart).join('\\\n');
+};
+
+Renderer.prototype.inlineNode = function(node) {
+    var plain = this.plain;
+
+    if (node.type === 'text') {
+        var text = node.value.replace(/\u00a0/g, ' ');
+        return plain ? text : escapeMarkdown(text);
+    }
+
+    var content;
+    switch (node.name) {
+        case 'strong':
+        case 'b':
+            return this.wrap(node, '**');
+        case 'em':
+        case 'i':
+            return this.wrap(node, '_');
+        case 'del':
+        case 's':
+        case 'strike':
+            return this.wrap(node, '~~');
+        case 'code':
+            content = textContent(node);
+            return plain ? content : '`' + content.replace(/`/g, '\\`') + '`';
+        case 'br':
+            // kept apart from collapsible whitespace until the inline run is joined
+            return '\u0001';
+        case 'a':
+            content = this.inline(node.children).trim() || node.attrs.href || '';
+            return plain || !node.attrs.href ? content : '[' + content + '](' + linkTarget(node.attrs.href) + ')';
+        case 'ac:link':
+            return this.acLink(node);
+        case 'ac:image':
+            return this.image(node);
+        case 'ac:emoticon':
+            var emoticon = node.attrs['ac:name'];
+            return EMOTICONS[emoticon] || (node.attrs['ac:emoji-fallback'] || ':' + emoticon + ':');
+        case 'time':
+            return node.attrs.datetime || '';
+        case 'ac:placeholder':
+        case 'ac:parameter':
+            return '';
+        case 'ac:structured-macro':
+        case 'ac:macro':
+            if (macroName(node) === 'status') {
+                var title = macroParameters(node).title || '';
+                return plain ? title : '**[' + escapeMarkdown(title) + ']**';
+            }
+            return '';
+        default:
+            if (isBlock(node)) {
+                return ' ' + this.block(node) + ' ';
+            }
+            return this.inline(node.children);
+    }
+};
+
+Renderer.prototype.wrap = function(node, mark) {
+    var content = this.inline(node.children);
+    if (this.plain || !content.trim()) return content;
+
+    // markers must touch the text, so surrounding spaces move outside
+    var match = /^(\s*)([\s\S]*?)(\s*)$/.exec(content);
+    return match[1] + mark + match[2] + mark + match[3];
+};
+
+Renderer.prototype.acLink = function(node) {
+    var body = firstChild(node, 'ac:link-body') || firstChild(node, 'ac:plain-text-link-body');
+    var label = body ? this.inline(body.children).trim() : '';
+    var user = firstChild(node, 'ri:user');
+    var page = firstChild(node, 'ri:page') || firstChild(node, 'ri:blog-post');
+    var attachment = firstChild(node, 'ri:attachment');
+    var anchor = node.attrs['ac:anchor'];
+
+    if (user) {
+        var ref = {
+            accountId: user.attrs['ri:account-id'],
+            userKey: user.attrs['ri:userkey'],
+            username: user.attrs['ri:username']
+        };
+        var name = this.options.resolveUser ? this.options.resolveUser(ref) : null;
+        return '@' + (name || ref.username || ref.accountId || ref.userKey || 'user');
+    }
+
+    var target = null;
+    if (page) {
+        var link = {
+            title: page.attrs['ri:content-title'],
+            space: page.attrs['ri:space-key'],
+            anchor: anchor
+        };
+        label = label || (this.plain ? '' : escapeMarkdown(link.title || '')) || link.title || '';
+        target = this.options.resolvePageLink ? this.options.resolvePageLink(link) : null;
+    }
+    else if (attachment) {
+        var filename = attachment.attrs['ri:filename'];
+        label = label || (this.plain ? filename : escapeMarkdown(filename));
+        target = this.options.resolveAttachment ? this.options.resolveAttachment(filename) : filename;
+    }
+    else if (anchor) {
+        label = label || anchor;
+        target = '#' + anchor;
+    }
+
+    if (this.plain || !target) return label;
+    return '[' + label + '](' + linkTarget(target) + ')';
+};
+
+Renderer.prototype.image = function(node) {
+    var alt = node.attrs['ac:alt'] || node.attrs['ac:title'] || '';
+    var attachment = firstChild(node, 'ri:attachment');
+    var url = firstChild(node, 'ri:url');
+    var src;
+
+    if (attachment) {
+        var filename = attachment.attrs['ri:filename'];
+        src = this.options.resolveAttachment ? this.options.resolveAttachment(filename) : filename;
+        alt = alt || filename;
+    }
+    else if (url) {
+        src = url.attrs['ri:value'];
+    }
+
+    if (this.plain) return alt;
+    return src ? '![' + escapeMarkdown(alt) + '](' + linkTarget(src) + ')' : '';
+};
+
+function linkTarget(target) {
+    return /[\s()<>]/.test(target) ? '<' + target.replace(/[<>]/g, encodeURIComponent) + '>' : target;
+}
+
+function escapeMarkdown(text) {
+    return text
+        .replace(/([\\`*\[\]<])/g, '\\$1')
+        .replace(/&(?=#?\w+;)/g, '\\&')
+        .replace(/(^|\W)_|_(?=\W|$)/g, function(match, before) {
+            return before !== undefined ? before + '\\_' : '\\_';
+        })
+        .replace(/~~/g, '\\~\\~');
+}
+
+/**
+ * Escape what would start a heading, quote, list or thematic break at the
+ * start of a line of paragraph text.
+ */
+function escapeLineStart(line) {
+    return line.replace(/^([ \t]*)(#{1,6}(?=[ \t]|$)|>|[-+](?=[ \t]|$)|[-=]+[ \t]*$|\d{1,9}(?=[.)](?:[ \t]|$)))/, function(match, indent, marker) {
+        return /^\d/.test(marker) ? indent + marker + '\\' : indent + '\\' + marker;
+    });
+}
+
+function tidy(text) {
+    return text.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim() + '\n';
+}
+
+/**
+ * Convert storage format to Markdown. The code macro becomes a fenced code
+ * block, info/note/tip/warning panels become `> [!NOTE]` style alerts, task
+ * lists become `- [ ]` lists, user mentions become `@name`, and macros
+ * without a Markdown equivalent are replaced by a placeholder.
+ *
+ * @param {string} storage
+ * @param {Object} options - Optional
+ * @param {Function} options.resolveUser - Optional, called with `{accountId, userKey, username}`; returns a display name
+ * @param {Function} options.resolvePageLink - Optional, called with `{title, space, anchor}`; returns a url, or null to keep only the link text
+ * @param {Function} options.resolveAttachment - Optional, called with an attachment filename; returns the url used for images and links
+ * @param {string|Function} options.macroPlaceholder - Optional, text for unknown macros, or a function of (name, params); defaults to "[name macro]"
+ * @returns {string}
+ */
+function toMarkdown(storage, options) {
+    return tidy(new Renderer(options || {}, false).blocks(parse(storage).children));
+}
+
+/**
+ * Convert storage format to plain text, e.g. for search indexing. Unknown
+ * macros are dropped unless options.macroPlaceholder says otherwise.
+ *
+ * @param {string} storage
+ * @param {Object} options - Optional, as for toMarkdown
+ * @returns {string}
+ */
+function toText(storage, options) {
+    return tidy(new Renderer(options || {}, true).blocks(parse(storage).children));
+}
+
+module.exports = {
+    parse: parse,
+    textContent: textContent,
+    decodeEntities: decodeEntities,
+    toMarkdown: toMarkdown,
+    toText: toText
+};
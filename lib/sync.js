@@ -0,0 +1,483 @@
+/**
+ * Publish a local directory of Markdown and HTML documents as a Confluence
+ * page tree.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var crypto = require('crypto');
+var markdown = require('./markdown');
+var errors = require('./errors');
+
+var MANIFEST = '.confluence-sync.json';
+var MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
+var HTML_EXTENSIONS = ['.html', '.htm'];
+var INDEX_NAMES = ['index.md', 'index.markdown', 'index.html', 'index.htm'];
+
+// content of folder pages without an index file
+var CHILDREN_MACRO = '<ac:structured-macro ac:name="children" />';
+
+function hash(data) {
+    return crypto.createHash('sha1').update(data).digest('hex');
+}
+
+function isPageFile(name) {
+    var extension = path.extname(name).toLowerCase();
+    return MARKDOWN_EXTENSIONS.indexOf(extension) !== -1 || HTML_EXTENSIONS.indexOf(extension) !== -1;
+}
+
+function toKey(root, file) {
+    return path.relative(root, file).split(path.sep).join('/');
+}
+
+/**
+ * Walk a directory and build the list of pages to publish, parents before
+ * children. Folders become pages whose content comes from their index file.
+ *
+ * @private
+ * @param {string} root
+ * @returns {Array.<Object>}
+ */
+function scan(root) {
+    var nodes = [];
+
+    (function walk(dir, parent) {
+        var entries = fs.readdirSync(dir).filter(function(name) {
+            return name[0] !== '.' && name !== 'node_modules';
+        }).sort();
+
+        entries.forEach(function(name) {
+            var file = path.join(dir, name);
+            var stat = fs.statSync(file);
+
+            if (stat.isDirectory()) {
+                var index = INDEX_NAMES.filter(function(indexName) {
+                    return fs.existsSync(path.join(file, indexName));
+                })[0];
+                var folder = {
+                    key: toKey(root, file),
+                    file: index ? path.join(file, index) : null,
+                    name: name,
+                    parent: parent,
+                    images: []
+                };
+                var position = nodes.length;
+                nodes.push(folder);
+                walk(file, folder);
+                // skip folders holding no documents, such as image folders
+                if (!folder.file && nodes.length === position + 1) {
+                    nodes.pop();
+                }
+            }
+            else if (isPageFile(name) && !(parent && parent.file === file)) {
+                nodes.push({
+                    key: toKey(root, file),
+                    file: file,
+                    name: name.slice(0, -path.extname(name).length),
+                    parent: parent,
+                    images: []
+                });
+            }
+        });
+    })(root, null);
+
+    return nodes;
+}
+
+/**
+ * Find the first level one heading of a Markdown document, outside fenced
+ * code, and take it out of the body.
+ *
+ * @param {string} source
+ * @returns {{title: string, body: string}} title is null when there is no such heading, and body is then the source
+ */
+function markdownTitle(source) {
+    var lines = source.split('\n');
+    var fence = null;
+
+    for (var i = 0; i < lines.length; i++) {
+        var marker = /^ {0,3}(`{3,}|~{3,})/.exec(lines[i]);
+
+        if (fence) {
+            if (marker && marker[1][0] === fence[0] && marker[1].length >= fence.length && !lines[i].slice(marker[0].length).trim()) {
+                fence = null;
+            }
+            continue;
+        }
+        if (marker) {
+            fence = marker[1];
+            continue;
+        }
+
+        var heading = /^ {0,3}#[ \t]+(.+?)[ \t#]*$/.exec(lines[i].replace(/\r$/, ''));
+        if (heading) {
+            return {
+                title: heading[1].trim(),
+                body: lines.slice(0, i).concat(lines.slice(i + 1)).join('\n')
+            };
+        }
+    }
+
+    return { title: null, body: source };
+}
+
+/**
+ * Read a node's source and work out its title: the first level one heading
+ * of a Markdown file (which is then dropped from the body), the <title> or
+ * <h1> of an HTML file, or else the file or folder name.
+ *
+ * @private
+ */
+function readSource(node, titlePrefix) {
+    var source = node.file ? fs.readFileSync(node.file, 'utf8') : null;
+    var title = null;
+
+    if (source !== null && MARKDOWN_EXTENSIONS.indexOf(path.extname(node.file).toLowerCase()) !== -1) {
+        node.format = 'markdown';
+        var heading = markdownTitle(source);
+        title = heading.title;
+        source = heading.body;
+    }
+    else if (source !== null) {
+        node.format = 'html';
+        var htmlTitle = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(source) || /<h1[^>]*>([\s\S]*?)<\/h1>/i.exec(source);
+        if (htmlTitle) {
+            title = htmlTitle[1].replace(/<[^>]+>/g, '').trim();
+        }
+        var body = /<body[^>]*>([\s\S]*)<\/body>/i.exec(source);
+        if (body) {
+            source = body[1];
+        }
+    }
+
+    node.source = source;
+    node.title = (titlePrefix || '') + (title || node.name);
+}
+
+/**
+ * Resolve a local image referenced from a node's source, and collect it into
+ * node.images for upload. Returns the attachment filename, or null for
+ * remote images.
+ *
+ * @private
+ */
+function localImage(node, src) {
+    if (/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(src)) return null;
+
+    var file = path.resolve(path.dirname(node.file), decodeURIComponent(src.split(/[?#]/)[0]));
+    if (fs.existsSync(file) && node.images.indexOf(file) === -1) {
+        node.images.push(file);
+    }
+    return path.basename(file);
+}
+
+function attribute(tag, name) {
+    var match = new RegExp('\\s' + name + '\\s*=\\s*(?:"([^"]*)"|\'([^\']*)\')', 'i').exec(tag);
+    if (!match) return null;
+    return (match[1] !== undefined ? match[1] : match[2]).replace(/"/g, '&quot;');
+}
+
+/**
+ * Render a node to storage format. Links to other synced files become page
+ * links, and local images become attachment references collected into
+ * node.images for upload.
+ *
+ * @private
+ */
+function render(node, root, byKey) {
+    if (node.source === null) {
+        return CHILDREN_MACRO;
+    }
+    if (node.format !== 'markdown') {
+        return node.source.trim().replace(/<img\b[^>]*>/gi, function(tag) {
+            var src = attribute(tag, 'src');
+            var filename = src && localImage(node, src);
+            if (!filename) return tag;
+
+            var alt = attribute(tag, 'alt');
+            var title = attribute(tag, 'title');
+            return '<ac:image' + (alt ? ' ac:alt="' + alt + '"' : '') + (title ? ' ac:title="' + title + '"' : '') +
+                '><ri:attachment ri:filename="' + markdown.escapeXml(filename) + '" /></ac:image>';
+        });
+    }
+
+    var dir = path.dirname(node.file);
+
+    return markdown.toStorage(node.source, {
+        resolveLink: function(href) {
+            if (/^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(href)) return null;
+
+            var parts = href.split('#');
+            var target = toKey(root, path.resolve(dir, decodeURIComponent(parts[0])));
+            var linked = byKey[target] || byKey[target.replace(/\/(index\.(md|markdown|html?))$/i, '')];
+            return linked ? { title: linked.title, anchor: parts[1] } : null;
+        },
+        resolveImage: function(src) {
+            return localImage(node, src);
+        }
+    });
+}
+
+/**
+ * Refuse to publish two files as the same page: pages are matched by title,
+ * so the second would overwrite the first. Confluence compares titles
+ * without regard to case.
+ *
+ * @private
+ */
+function checkTitles(nodes) {
+    var seen = {};
+
+    nodes.forEach(function(node) {
+        var other = seen[node.title.toLowerCase()];
+        if (other) {
+            throw new Error("Both " + other.key + " and " + node.key + " would be published as the page '" +
+                node.title + "'. Give one of them another title.");
+        }
+        seen[node.title.toLowerCase()] = node;
+    });
+}
+
+function readManifest(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+    catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+        return { pages: {} };
+    }
+}
+
+function writeManifest(file, manifest) {
+    fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + '\n');
+}
+
+/**
+ * Publish a local directory as a page tree. Markdown and HTML files become
+ * pages, folders become parent pages (using their index.md or index.html as
+ * content), and local images are uploaded as attachments of the page
+ * referencing them. Two files with the same title are refused, as they would
+ * be published as one page.
+ *
+ * A manifest of file to page id mappings and content hashes is kept in the
+ * directory (or options.manifest), so that only changed pages and
+ * attachments are written on later runs and renamed titles update the
+ * existing page. It is saved after every page, so an interrupted run can be
+ * resumed.
+ *
+ * @param {Confluence} confluence
+ * @param {string} localPath
+ * @param {Object} options
+ * @param {string} options.space - Key of the target space
+ * @param {string} options.parentId - Optional, parent of the top-level pages; defaults to the space home page
+ * @param {boolean} options.dryRun - Optional, report what would change without writing anything
+ * @param {boolean} options.deleteRemoved - Optional, delete pages whose source file was removed
+ * @param {string} options.manifest - Optional, path of the manifest file, defaults to .confluence-sync.json in localPath
+ * @param {string} options.titlePrefix - Optional, prepended to every page title
+ * @param {string} options.message - Optional, version comment for updated pages
+ * @returns {Promise.<Object>} report of `{dryRun, pages, attachments, deleted}`; each entry has an action of "created", "updated", "unchanged" or "deleted"
+ */
+function syncDirectory(confluence, localPath, options) {
+    options = options || {};
+
+    if (!options.space) {
+        return Promise.reject(new Error("syncDirectory expects a space option."));
+    }
+
+    var root = path.resolve(localPath);
+    var manifestFile = options.manifest || path.join(root, MANIFEST);
+    var dryRun = !!options.dryRun;
+    var report = { dryRun: dryRun, pages: [], attachments: [], deleted: [] };
+    var manifest;
+    var nodes;
+    var byKey = {};
+
+    try {
+        manifest = readManifest(manifestFile);
+        manifest.space = options.space;
+        manifest.pages = manifest.pages || {};
+
+        nodes = scan(root);
+        nodes.forEach(function(node) {
+            readSource(node, options.titlePrefix);
+            byKey[node.key] = node;
+        });
+        checkTitles(nodes);
+        nodes.forEach(function(node) {
+            node.body = render(node, root, byKey);
+        });
+    }
+    catch (e) {
+        return Promise.reject(e);
+    }
+
+    function save() {
+        if (!dryRun) writeManifest(manifestFile, manifest);
+    }
+
+    function syncPage(node) {
+        var parentId = node.parent ? node.parent.id : options.parentId;
+        var pageHash = hash([node.title, node.body, parentId || ''].join('\u0000'));
+        var entry = manifest.pages[node.key];
+
+        function done(action, id) {
+            node.id = id;
+            report.pages.push({ path: node.key, title: node.title, id: id, action: action });
+            if (!dryRun && id) {
+                manifest.pages[node.key] = {
+                    id: id,
+                    title: node.title,
+                    hash: pageHash,
+                    attachments: (entry && entry.attachments) || {}
+                };
+            }
+        }
+
+        function create() {
+            if (dryRun) {
+                return confluence.getContentByPageTitle(options.space, node.title).then(function(data) {
+                    var existing = data && data.results && data.results[0];
+                    done(existing ? "updated" : "created", existing && existing.id);
+                });
+            }
+            return confluence.upsertPage(options.space, node.title, node.body, {
+                parentId: parentId,
+                message: options.message
+            }).then(function(result) {
+                done(result.action, result.page.id);
+            });
+        }
+
+        function update() {
+            if (dryRun) {
+                done("updated", entry.id);
+                return Promise.resolve();
+            }
+            return confluence.getContentById(entry.id).then(function(page) {
+                return confluence.putContent(options.space, entry.id, page.version.number + 1, node.title, node.body, {
+                    parentId: parentId,
+                    message: options.message
+                });
+            }).then(function(page) {
+                done("updated", page.id);
+            }, function(err) {
+                // the page was deleted in Confluence; publish it again
+                if (err instanceof errors.NotFoundError) return create();
+                throw err;
+            });
+        }
+
+        var promise;
+        if (entry && entry.hash === pageHash) {
+            done("unchanged", entry.id);
+            promise = Promise.resolve();
+        }
+        else {
+            promise = entry && entry.id ? update() : create();
+        }
+
+        return promise.then(function() {
+            return syncAttachments(node);
+        }).then(save);
+    }
+
+    function syncAttachments(node) {
+        var entry = manifest.pages[node.key];
+        var known = (entry && entry.attachments) || {};
+        var existing = null;
+
+        return node.images.reduce(function(previous, file) {
+            return previous.then(function() {
+                var filename = path.basename(file);
+                var fileHash = hash(fs.readFileSync(file));
+
+                function record(action) {
+                    report.attachments.push({ path: toKey(root, file), pageId: node.id, filename: filename, action: action });
+                    if (!dryRun) known[filename] = fileHash;
+                }
+
+                if (known[filename] === fileHash) {
+                    return record("unchanged");
+                }
+                if (dryRun || !node.id) {
+                    return record(known[filename] ? "updated" : "created");
+                }
+
+                var listing = existing ? Promise.resolve(existing) :
+                    confluence.getAllAttachments(options.space, node.id).then(function(results) {
+                        existing = results;
+                        return results;
+                    });
+
+                return listing.then(function(attachments) {
+                    var current = attachments.filter(function(attachment) {
+                        return attachment.title === filename;
+                    })[0];
+
+                    if (current) {
+                        return confluence.updateAttachmentData(options.space, node.id, current.id, file).then(function() {
+                            record("updated");
+                        });
+                    }
+                    return confluence.createAttachment(options.space, node.id, file).then(function() {
+                        record("created");
+                    });
+                });
+            });
+        }, Promise.resolve()).then(function() {
+            if (entry) entry.attachments = known;
+        });
+    }
+
+    function deleteRemoved() {
+        // a file moved to another folder keeps its page
+        var inUse = {};
+        Object.keys(manifest.pages).forEach(function(key) {
+            if (byKey[key]) inUse[manifest.pages[key].id] = true;
+        });
+
+        var removed = Object.keys(manifest.pages).filter(function(key) {
+            if (byKey[key]) return false;
+            if (inUse[manifest.pages[key].id]) {
+                if (!dryRun) delete manifest.pages[key];
+                return false;
+            }
+            return true;
+        }).sort(function(a, b) {
+            // children before their parents
+            return b.split('/').length - a.split('/').length;
+        });
+
+        return removed.reduce(function(previous, key) {
+            return previous.then(function() {
+                var entry = manifest.pages[key];
+                report.deleted.push({ path: key, title: entry.title, id: entry.id, action: "deleted" });
+                if (dryRun) return;
+
+                return confluence.deleteContent(entry.id).catch(function(err) {
+                    if (!(err instanceof errors.NotFoundError)) throw err;
+                }).then(function() {
+                    delete manifest.pages[key];
+                    save();
+                });
+            });
+        }, Promise.resolve());
+    }
+
+    return nodes.reduce(function(previous, node) {
+        return previous.then(function() {
+            return syncPage(node);
+        });
+    }, Promise.resolve()).then(function() {
+        return options.deleteRemoved ? deleteRemoved() : null;
+    }).then(function() {
+        save();
+        return report;
+    });
+}
+
+module.exports = {
+    syncDirectory: syncDirectory,
+    markdownTitle: markdownTitle,
+    MANIFEST: MANIFEST
+};
@@ -1,23 +1,26 @@
 /**
- * Tests for confluence.js
+ * Tests for confluence.js, run against the in-memory fake Confluence server
+ * seeded with test/fixtures/test-space.json.
  *
  * Note that there are dependencies between some of these tests.
  * For instance, the delete tests clean up content created in post tests.
  * This design is intentional to speed execution of the full suite.
  * So, running these tests using mocha's -g or -f options may cause tests to
- * fail or to leave test data in the test confluence space.
+ * fail.
  */
 
 var expect = require('chai').expect;
 var Confluence = require("../lib/confluence");
 var path = require("path");
 var fs = require('fs');
+var FakeConfluence = require("../lib/fake-server");
 
 var config = {
     username: "testuser",
     password: "test-user-pw",
     baseUrl:  "https://confluence-api-test.atlassian.net/wiki"
 };
+var fake = new FakeConfluence(require("./fixtures/test-space.json"));
 var space = "TEST";
 var title = "TestPage" + Date.now();
 var pageContent = "<p>This is a new page with awesome content! Updated " +
@@ -34,6 +37,16 @@ var attachmentId = 0;
 describe('Confluence API', function () {
     this.timeout(0);
 
+    before(function () {
+        return fake.listen().then(function() {
+            config.baseUrl = fake.baseUrl;
+        });
+    });
+
+    after(function () {
+        return fake.close();
+    });
+
     describe('Constructor: #confluence', function(){
 
         it('should throw an error if no config object is passed in', function(){
@@ -0,0 +1,177 @@
+/**
+ * Tests for attachment uploads from Buffers and streams, upsertAttachment and
+ * downloadAttachment, run against a local stub server.
+ */
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Readable = require('stream').Readable;
+var expect = require('chai').expect;
+var Confluence = require("../lib/confluence");
+var StubServer = require("./support/stub-server");
+
+describe('Confluence API attachments', function () {
+    var server;
+    var confluence;
+    var dir;
+
+    function uploads() {
+        return server.requests.filter(function(req) {
+            return req.method === 'POST';
+        });
+    }
+
+    function readAll(stream) {
+        return new Promise(function(resolve, reject) {
+            var chunks = [];
+            stream.on('data', function(chunk) { chunks.push(chunk); });
+            stream.on('error', reject);
+            stream.on('end', function() { resolve(Buffer.concat(chunks).toString()); });
+        });
+    }
+
+    beforeEach(function (done) {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'confluence-attachment-'));
+
+        server = new StubServer({
+            'POST /wiki/rest/api/content/1/child/attachment': function(req, reply) {
+                reply(200, { results: [{ id: "att2", title: "new.png" }] });
+            },
+            'POST /wiki/rest/api/content/1/child/attachment/att1/data': function(req, reply) {
+                reply(200, { id: "att1", title: "diagram.png" });
+            },
+            'GET /wiki/rest/api/content/1/child/attachment': function(req, reply) {
+                reply(200, { results: [{ id: "att1", title: "diagram.png" }], start: 0, limit: 25, size: 1, _links: {} });
+            },
+            'GET /wiki/rest/api/content/att1': function(req, reply) {
+                reply(200, { id: "att1", title: "diagram.png", _links: { download: "/download/attachments/1/diagram.png" } });
+            },
+            'GET /wiki/download/attachments/1/diagram.png': function(req, reply) {
+                reply(200, Buffer.from("PNG data"), { 'Content-Type': 'image/png' });
+            },
+            'GET /wiki/download/attachments/1/missing.png': function(req, reply) {
+                reply(404, { statusCode: 404, message: "No attachment" });
+            }
+        });
+        server.listen(function() {
+            confluence = new Confluence({
+                username: "user",
+                password: "pass",
+                baseUrl: server.baseUrl + "/wiki"
+            });
+            done();
+        });
+    });
+
+    afterEach(function (done) {
+        fs.rmSync(dir, { recursive: true, force: true });
+        server.close(done);
+    });
+
+    it('uploads a Buffer with filename, content type, comment and minorEdit', function () {
+        return confluence.createAttachment("SPACE", "1", Buffer.from("in memory"), {
+            filename: "chart.svg",
+            contentType: "image/svg+xml",
+            comment: "Generated chart",
+            minorEdit: true
+        }).then(function(data) {
+            expect(data.results[0].id).to.equal("att2");
+
+            var raw = uploads()[0].raw.toString();
+            expect(uploads()[0].headers['x-atlassian-token']).to.equal("nocheck");
+            expect(raw).to.contain('filename="chart.svg"');
+            expect(raw).to.contain("Content-Type: image/svg+xml");
+            expect(raw).to.contain("in memory");
+            expect(raw).to.match(/name="comment"\r\n\r\nGenerated chart/);
+            expect(raw).to.match(/name="minorEdit"\r\n\r\ntrue/);
+        });
+    });
+
+    it('uploads a readable stream', function () {
+        return confluence.updateAttachmentData("SPACE", "1", "att1", Readable.from([Buffer.from("streamed "), Buffer.from("data")]), {
+            filename: "diagram.png"
+        }).then(function(data) {
+            expect(data.id).to.equal("att1");
+
+            var raw = uploads()[0].raw.toString();
+            expect(raw).to.contain('filename="diagram.png"');
+            expect(raw).to.contain("streamed data");
+        });
+    });
+
+    it('takes the filename of a file stream', function () {
+        var file = path.join(dir, "notes.txt");
+        fs.writeFileSync(file, "from disk");
+
+        return confluence.createAttachment("SPACE", "1", fs.createReadStream(file)).then(function() {
+            expect(uploads()[0].raw.toString()).to.contain('filename="notes.txt"');
+        });
+    });
+
+    it('still accepts a file path and a callback', function (done) {
+        var file = path.join(dir, "notes.txt");
+        fs.writeFileSync(file, "from disk");
+
+        confluence.createAttachment("SPACE", "1", file, function(err, data) {
+            expect(err).to.equal(null);
+            expect(data.results[0].id).to.equal("att2");
+            expect(uploads()[0].raw.toString()).to.contain('filename="notes.txt"');
+            done();
+        });
+    });
+
+    it('requires a filename for a Buffer', function () {
+        return confluence.createAttachment("SPACE", "1", Buffer.from("data")).then(function() {
+            throw new Error("expected a rejection");
+        }, function(err) {
+            expect(err.message).to.contain("expects a filename");
+            expect(server.requests).to.have.length(0);
+        });
+    });
+
+    it('upserts an attachment by filename', function () {
+        return confluence.upsertAttachment("SPACE", "1", Buffer.from("v2"), { filename: "diagram.png" }).then(function(result) {
+            expect(result.action).to.equal("updated");
+            expect(result.attachment.id).to.equal("att1");
+            expect(uploads()[0].path).to.equal("/wiki/rest/api/content/1/child/attachment/att1/data");
+
+            server.requests = [];
+            return confluence.upsertAttachment("SPACE", "1", Buffer.from("v1"), { filename: "new.png" });
+        }).then(function(result) {
+            expect(result.action).to.equal("created");
+            expect(result.attachment.id).to.equal("att2");
+            expect(uploads()[0].path).to.equal("/wiki/rest/api/content/1/child/attachment");
+        });
+    });
+
+    it('downloads an attachment as a stream', function () {
+        return confluence.downloadAttachment({ id: "att1", _links: { download: "/download/attachments/1/diagram.png" } }).then(function(stream) {
+            // nothing is lost when reading starts later
+            return new Promise(function(resolve) { setTimeout(resolve, 50); }).then(function() {
+                return readAll(stream);
+            });
+        }).then(function(data) {
+            expect(data).to.equal("PNG data");
+            expect(server.requests.map(function(req) { return req.path; })).to.deep.equal(["/wiki/download/attachments/1/diagram.png"]);
+        });
+    });
+
+    it('downloads an attachment by id to a file', function () {
+        var file = path.join(dir, "diagram.png");
+
+        return confluence.downloadAttachment("att1", { path: file }).then(function(result) {
+            expect(result).to.deep.equal({ path: file, size: 8 });
+            expect(fs.readFileSync(file, 'utf8')).to.equal("PNG data");
+        });
+    });
+
+    it('rejects with a ConfluenceError when the download fails', function () {
+        return confluence.downloadAttachment({ _links: { download: "/download/attachments/1/missing.png" } }).then(function() {
+            throw new Error("expected a rejection");
+        }, function(err) {
+            expect(err).to.be.an.instanceof(Confluence.NotFoundError);
+            expect(err.message).to.equal("No attachment");
+        });
+    });
+});
@@ -0,0 +1,111 @@
+/**
+ * Tests for the authentication strategies of confluence.js, run against a
+ * local stub server that records request headers.
+ */
+
+var expect = require('chai').expect;
+var crypto = require('crypto');
+var Confluence = require("../lib/confluence");
+var auth = require("../lib/auth");
+var StubServer = require("./support/stub-server");
+
+describe('Confluence API authentication', function () {
+    var server;
+
+    function client(config) {
+        return new Confluence(Object.assign({ baseUrl: server.baseUrl + "/wiki" }, config));
+    }
+
+    function lastHeaders() {
+        return server.requests[server.requests.length - 1].headers;
+    }
+
+    beforeEach(function (done) {
+        server = new StubServer({
+            'GET /wiki/rest/api/space': function(req, reply) {
+                reply(200, { results: [] });
+            }
+        });
+        server.listen(done);
+    });
+
+    afterEach(function (done) {
+        server.close(done);
+    });
+
+    it('should use basic authentication by default', function () {
+        return client({ username: "testuser", password: "test-user-pw" }).getSpace("TEST").then(function() {
+            expect(lastHeaders().authorization).to.equal("Basic " + Buffer.from("testuser:test-user-pw").toString("base64"));
+        });
+    });
+
+    it('should not require a username and password when a strategy is given', function () {
+        expect(function() {
+            client({ auth: { type: "bearer", token: "pat" } });
+        }).not.to.throw();
+    });
+
+    it('should reject unknown strategy types', function () {
+        expect(function() {
+            client({ auth: { type: "kerberos" } });
+        }).to.throw("Confluence module does not support auth type 'kerberos'.");
+    });
+
+    it('should send personal access tokens as bearer tokens', function () {
+        return client({ auth: { type: "bearer", token: "my-pat" } }).getSpace("TEST").then(function() {
+            expect(lastHeaders().authorization).to.equal("Bearer my-pat");
+        });
+    });
+
+    it('should send session cookies', function () {
+        return client({ auth: auth.cookie("JSESSIONID=abc") }).getSpace("TEST").then(function() {
+            expect(lastHeaders().cookie).to.equal("JSESSIONID=abc");
+            expect(lastHeaders().authorization).to.be.undefined;
+        });
+    });
+
+    it('should accept a function as a custom strategy', function () {
+        return client({ auth: function(req) { return req.set("X-Custom-Auth", "yes"); } }).getSpace("TEST").then(function() {
+            expect(lastHeaders()["x-custom-auth"]).to.equal("yes");
+        });
+    });
+
+    it('should sign requests with OAuth 1.0a RSA-SHA1', function () {
+        var keys = crypto.generateKeyPairSync("rsa", {
+            modulusLength: 1024,
+            publicKeyEncoding: { type: "spki", format: "pem" },
+            privateKeyEncoding: { type: "pkcs8", format: "pem" }
+        });
+        var confluence = client({ auth: { type: "oauth1", consumerKey: "consumer", token: "access", privateKey: keys.privateKey } });
+
+        return confluence.getSpace("TEST").then(function() {
+            var header = lastHeaders().authorization;
+            expect(header).to.match(/^OAuth /);
+
+            var params = {};
+            header.slice(6).split(", ").forEach(function(pair) {
+                var match = /^(\w+)="(.*)"$/.exec(pair);
+                params[match[1]] = decodeURIComponent(match[2]);
+            });
+            expect(params.oauth_consumer_key).to.equal("consumer");
+            expect(params.oauth_token).to.equal("access");
+            expect(params.oauth_signature_method).to.equal("RSA-SHA1");
+
+            var signature = params.oauth_signature;
+            delete params.oauth_signature;
+            var base = auth.signatureBaseString("GET", server.baseUrl + "/wiki/rest/api/space?spaceKey=TEST", params);
+            expect(crypto.createVerify("RSA-SHA1").update(base).verify(keys.publicKey, signature, "base64")).to.equal(true);
+        });
+    });
+
+    describe('#signatureBaseString', function () {
+        it('should sort and encode query and oauth parameters', function () {
+            var base = auth.signatureBaseString("get", "HTTPS://Example.com:443/wiki/rest/api/content?title=a%20b&spaceKey=X", {
+                oauth_nonce: "n",
+                oauth_token: "t"
+            });
+            expect(base).to.equal("GET&https%3A%2F%2Fexample.com%2Fwiki%2Frest%2Fapi%2Fcontent&" +
+                "oauth_nonce%3Dn%26oauth_token%3Dt%26spaceKey%3DX%26title%3Da%2520b");
+        });
+    });
+});
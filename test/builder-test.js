@@ -0,0 +1,149 @@
+/**
+ * Tests for the storage format builders and templates.
+ */
+
+var expect = require('chai').expect;
+var builder = require("../lib/builder");
+var storage = require("../lib/storage");
+var Confluence = require("../lib/confluence");
+var FakeConfluence = require("../lib/fake-server");
+
+describe('Storage format builder', function () {
+    var b = builder;
+
+    it('escapes text and keeps Markup as is', function () {
+        expect(b.paragraph("Tom & Jerry <3 ", b.element('strong', null, "\"quotes\""), null, ["!", false]).toString())
+            .to.equal('<p>Tom &amp; Jerry &lt;3 <strong>&quot;quotes&quot;</strong>!</p>');
+        expect(b.render(b.raw('<br />'))).to.equal('<br />');
+        expect(b.element('ac:task-status', {}).toString()).to.equal('<ac:task-status />');
+        expect(function() { b.element('p onclick="x"'); }).to.throw(TypeError, "Invalid element name");
+    });
+
+    it('builds headings, lists and tables', function () {
+        expect(b.heading(2, "Timeline").toString()).to.equal('<h2>Timeline</h2>');
+        expect(function() { b.heading(7, "x"); }).to.throw(TypeError, "Invalid heading level: 7");
+        expect(b.list(["a", b.element('em', null, "b")], { ordered: true }).toString())
+            .to.equal('<ol><li>a</li><li><em>b</em></li></ol>');
+        expect(b.table([["09:00", "Paged"]], { header: ["Time", "Event"] }).toString()).to.equal(
+            '<table><tbody><tr><th>Time</th><th>Event</th></tr><tr><td>09:00</td><td>Paged</td></tr></tbody></table>');
+    });
+
+    it('builds code blocks, keeping "]]>" in the code intact', function () {
+        var code = b.codeBlock("if (a]]>b) {}", { language: "JavaScript", linenumbers: true });
+
+        expect(code.toString()).to.equal(
+            '<ac:structured-macro ac:name="code">' +
+            '<ac:parameter ac:name="language">javascript</ac:parameter>' +
+            '<ac:parameter ac:name="linenumbers">true</ac:parameter>' +
+            '<ac:plain-text-body><![CDATA[if (a]]]]><![CDATA[>b) {}]]></ac:plain-text-body></ac:structured-macro>');
+        expect(storage.toText(code.toString()).trim()).to.equal("if (a]]>b) {}");
+    });
+
+    it('builds panels, table of contents and expand sections', function () {
+        expect(b.panel('warning', b.paragraph("Hot & fresh"), { title: "<Careful>" }).toString()).to.equal(
+            '<ac:structured-macro ac:name="warning"><ac:parameter ac:name="title">&lt;Careful&gt;</ac:parameter>' +
+            '<ac:rich-text-body><p>Hot &amp; fresh</p></ac:rich-text-body></ac:structured-macro>');
+        expect(function() { b.panel('danger', "x"); }).to.throw(TypeError, "Invalid panel type: danger");
+        expect(b.toc({ maxLevel: 3 }).toString()).to.equal(
+            '<ac:structured-macro ac:name="toc"><ac:parameter ac:name="maxLevel">3</ac:parameter></ac:structured-macro>');
+        expect(b.expand("Logs", "none").toString()).to.equal(
+            '<ac:structured-macro ac:name="expand"><ac:parameter ac:name="title">Logs</ac:parameter>' +
+            '<ac:rich-text-body>none</ac:rich-text-body></ac:structured-macro>');
+    });
+
+    it('builds status lozenges and Jira issue macros', function () {
+        expect(b.status("Resolved", { colour: "Green" }).toString()).to.equal(
+            '<ac:structured-macro ac:name="status"><ac:parameter ac:name="colour">Green</ac:parameter>' +
+            '<ac:parameter ac:name="title">Resolved</ac:parameter></ac:structured-macro>');
+        expect(function() { b.status("x", { colour: "green" }); }).to.throw(TypeError, "Invalid status colour: green");
+        expect(b.jiraIssue("OPS-12", { server: "Jira" }).toString()).to.equal(
+            '<ac:structured-macro ac:name="jira"><ac:parameter ac:name="server">Jira</ac:parameter>' +
+            '<ac:parameter ac:name="key">OPS-12</ac:parameter></ac:structured-macro>');
+        expect(b.jiraIssue({ jql: 'labels = "incident" & x' }, { columns: ["key", "summary"], maximumIssues: 20 }).toString()).to.equal(
+            '<ac:structured-macro ac:name="jira"><ac:parameter ac:name="jqlQuery">labels = &quot;incident&quot; &amp; x</ac:parameter>' +
+            '<ac:parameter ac:name="columns">key,summary</ac:parameter>' +
+            '<ac:parameter ac:name="maximumIssues">20</ac:parameter></ac:structured-macro>');
+    });
+
+    it('builds mentions, page links and attachment images', function () {
+        expect(b.mention("5b10ac8d82e05b22cc7d4ef5").toString()).to.equal(
+            '<ac:link><ri:user ri:account-id="5b10ac8d82e05b22cc7d4ef5" /></ac:link>');
+        expect(b.mention({ username: "jdoe" }).toString()).to.equal('<ac:link><ri:user ri:username="jdoe" /></ac:link>');
+        expect(function() { b.mention({}); }).to.throw(TypeError);
+        expect(b.pageLink("Q&A", { space: "OPS", anchor: "Escalation", text: "escalation" }).toString()).to.equal(
+            '<ac:link ac:anchor="Escalation"><ri:page ri:content-title="Q&amp;A" ri:space-key="OPS" />' +
+            '<ac:link-body>escalation</ac:link-body></ac:link>');
+        expect(b.attachmentImage("graph.png", { width: 600, page: "Metrics" }).toString()).to.equal(
+            '<ac:image ac:width="600"><ri:attachment ri:filename="graph.png"><ri:page ri:content-title="Metrics" /></ri:attachment></ac:image>');
+    });
+
+    it('produces storage format the reader understands', function () {
+        var page = [
+            b.toc(),
+            b.heading(1, "Summary"),
+            b.panel('info', b.paragraph("Status: ", b.status("Open", { colour: "Red" }))),
+            b.paragraph("See ", b.pageLink("Runbook"))
+        ];
+
+        expect(storage.toMarkdown(b.render(page))).to.equal(
+            "[toc macro]\n\n# Summary\n\n> [!INFO]\n> Status: **[Open]**\n\nSee Runbook\n");
+    });
+});
+
+describe('Storage format templates', function () {
+    var b = builder;
+
+    it('inserts escaped variables, nested values and Markup', function () {
+        var render = b.template('<h1>{{incident.id}}: {{incident.title}}</h1><p>{{status}} {{{note}}}</p>');
+
+        expect(render({
+            incident: { id: "INC-7", title: "DB <down> & out" },
+            status: b.status("Resolved", { colour: "Green" }),
+            note: "<em>ok</em>"
+        }).toString()).to.equal(
+            '<h1>INC-7: DB &lt;down&gt; &amp; out</h1><p>' +
+            '<ac:structured-macro ac:name="status"><ac:parameter ac:name="colour">Green</ac:parameter>' +
+            '<ac:parameter ac:name="title">Resolved</ac:parameter></ac:structured-macro> <em>ok</em></p>');
+    });
+
+    it('repeats sections for arrays and renders inverted sections when empty', function () {
+        var render = b.template(
+            '<ul>{{#events}}<li>{{time}} {{text}} ({{owner}})</li>{{/events}}</ul>' +
+            '{{^actions}}<p>No actions</p>{{/actions}}{{#tags}}[{{.}}]{{/tags}}{{#resolved}}done{{/resolved}}');
+
+        expect(render({
+            owner: "ops",
+            events: [{ time: "09:00", text: "Paged" }, { time: "09:05", text: "Acked", owner: "jdoe" }],
+            actions: [],
+            tags: ["db", "p1"],
+            resolved: false
+        }).toString()).to.equal('<ul><li>09:00 Paged (ops)</li><li>09:05 Acked (jdoe)</li></ul><p>No actions</p>[db][p1]');
+    });
+
+    it('reports undefined variables and malformed templates', function () {
+        expect(function() { b.template('{{missing}}')({}); }).to.throw("Template variable 'missing' is not defined.");
+        expect(b.template('[{{missing}}]', { strict: false })({}).toString()).to.equal('[]');
+        expect(function() { b.template('{{#a}}x'); }).to.throw("Unclosed {{#a}} in template.");
+        expect(function() { b.template('{{#a}}x{{/b}}'); }).to.throw("Unexpected {{/b}} in template.");
+    });
+
+    it('publishes built content', function () {
+        var fake = new FakeConfluence({ spaces: [{ key: "OPS", name: "Operations", homepage: { id: "1", title: "Home" } }] });
+        var content = b.template('{{summary}}')({ summary: b.panel('note', "Tom & Jerry") });
+
+        return fake.listen().then(function() {
+            var confluence = new Confluence(fake.clientConfig());
+            return confluence.postContent("OPS", "Incident 7", content, null).then(function(page) {
+                expect(page.body.storage.value).to.equal(
+                    '<ac:structured-macro ac:name="note"><ac:rich-text-body>Tom &amp; Jerry</ac:rich-text-body></ac:structured-macro>');
+                return confluence.upsertPage("OPS", "Incident 7", b.raw(page.body.storage.value));
+            }).then(function(result) {
+                expect(result.action).to.equal("unchanged");
+            });
+        }).then(function() {
+            return fake.close();
+        }, function(err) {
+            return fake.close().then(function() { throw err; });
+        });
+    });
+});
@@ -0,0 +1,201 @@
+/**
+ * Tests for bulk operations over CQL results, run against the fake
+ * Confluence server.
+ */
+
+var expect = require('chai').expect;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Confluence = require("../lib/confluence");
+var FakeConfluence = require("../lib/fake-server");
+
+describe('Confluence API bulk operations', function () {
+    var fake = new FakeConfluence();
+    var cql = Confluence.cql;
+    var confluence;
+    var dir;
+
+    var fixtures = {
+        spaces: [{
+            key: "OPS",
+            name: "Operations",
+            homepage: {
+                id: "10",
+                title: "Home",
+                children: [
+                    { id: "11", title: "Old runbook", labels: ["runbook", "legacy"] },
+                    { id: "12", title: "Older runbook", labels: ["runbook", "legacy"] },
+                    { id: "13", title: "Oldest runbook", labels: ["runbook", "legacy"] },
+                    { id: "14", title: "Current runbook", labels: ["runbook"] },
+                    { id: "20", title: "Archive" }
+                ]
+            }
+        }]
+    };
+
+    function legacy() {
+        return cql().space("OPS").type("page").label("legacy");
+    }
+
+    function writes() {
+        return fake.requests.filter(function(entry) { return entry.method !== 'GET'; });
+    }
+
+    function labelsOf(id) {
+        return fake.content[id].labels.map(function(label) { return label.name; });
+    }
+
+    before(function () {
+        return fake.listen();
+    });
+
+    after(function () {
+        return fake.close();
+    });
+
+    beforeEach(function () {
+        fake.reset(fixtures);
+        confluence = new Confluence(fake.clientConfig());
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "confluence-bulk-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('lists what would change in a dry run', function () {
+        return confluence.bulkDelete(legacy(), { dryRun: true }).then(function(report) {
+            expect(report).to.include({ operation: "delete", dryRun: true, total: 3, succeeded: 0, failed: 0, skipped: 0 });
+            expect(report.items.map(function(item) { return item.status + " " + item.id; }).sort()).to.deep.equal([
+                "planned 11", "planned 12", "planned 13"
+            ]);
+            expect(writes()).to.have.length(0);
+        });
+    });
+
+    it('adds and removes labels with bounded concurrency', function () {
+        var active = 0;
+        var peak = 0;
+
+        confluence.use({
+            beforeRequest: function(context) {
+                if (context.method !== 'GET') peak = Math.max(peak, ++active);
+            },
+            afterResponse: function(context) {
+                if (context.method !== 'GET') active--;
+            }
+        });
+
+        return confluence.bulkAddLabels(legacy(), ["deprecated"], { concurrency: 2 }).then(function(report) {
+            expect(report).to.include({ operation: "add labels deprecated", total: 3, succeeded: 3 });
+            expect(labelsOf("11")).to.deep.equal(["runbook", "legacy", "deprecated"]);
+            expect(labelsOf("14")).to.deep.equal(["runbook"]);
+            expect(peak).to.equal(2);
+
+            fake.removeLabel(fake.content["12"], "deprecated");
+            return confluence.bulkRemoveLabels(legacy(), ["legacy", "deprecated"]);
+        }).then(function(report) {
+            // a missing label is not a failure
+            expect(report).to.include({ succeeded: 3, failed: 0 });
+            expect(labelsOf("12")).to.deep.equal(["runbook"]);
+        });
+    });
+
+    it('rejects labels that are not an array', function (done) {
+        confluence.bulkAddLabels(legacy(), "deprecated").then(function() {
+            done(new Error("expected a rejection"));
+        }, function(err) {
+            expect(err).to.be.an.instanceof(TypeError);
+            expect(err.message).to.equal("bulkAddLabels expects a non-empty array of labels.");
+            confluence.bulkRemoveLabels(legacy(), [], function(err) {
+                expect(err.message).to.equal("bulkRemoveLabels expects a non-empty array of labels.");
+                expect(fake.requests).to.have.length(0);
+                done();
+            });
+        }).catch(done);
+    });
+
+    it('moves pages', function () {
+        return confluence.bulkMove(legacy(), "20").then(function(report) {
+            expect(report.succeeded).to.equal(3);
+            return confluence.getChildPages("20");
+        }).then(function(pages) {
+            expect(pages.map(function(page) { return page.id; })).to.have.members(["11", "12", "13"]);
+        });
+    });
+
+    it('archives pages', function () {
+        return confluence.bulkArchive(legacy(), { pollInterval: 0 }).then(function(report) {
+            expect(report.succeeded).to.equal(3);
+            expect(fake.content["11"].status).to.equal("archived");
+            return confluence.searchAll(legacy());
+        }).then(function(results) {
+            expect(results).to.have.length(0);
+        });
+    });
+
+    it('reports failures per item and resumes from a checkpoint', function () {
+        var checkpoint = path.join(dir, "delete.json");
+        var progress = [];
+
+        confluence.use({
+            beforeRequest: function(context) {
+                if (context.method === 'DELETE' && /\/content\/12$/.test(context.url)) {
+                    throw new Error("not now");
+                }
+            }
+        });
+
+        return confluence.bulkDelete(legacy(), { checkpoint: checkpoint, concurrency: 1, onProgress: function(item) { progress.push(item.status); } }).then(function(report) {
+            var failed = report.items.filter(function(item) { return item.status === "failed"; });
+
+            expect(report).to.include({ total: 3, succeeded: 2, failed: 1 });
+            expect(failed[0].id).to.equal("12");
+            expect(failed[0].error.message).to.equal("not now");
+            expect(progress).to.have.length(3);
+            expect(JSON.parse(fs.readFileSync(checkpoint, 'utf8')).done).to.have.members(["11", "13"]);
+
+            confluence.middleware = [];
+            return confluence.bulkUpdate(legacy(), function(content) {
+                return confluence.deleteContent(content.id);
+            }, { name: "delete", checkpoint: checkpoint });
+        }).then(function(report) {
+            expect(report).to.include({ total: 1, succeeded: 1, skipped: 0 });
+            expect(fake.content).to.not.have.property("12");
+            expect(fs.existsSync(checkpoint)).to.equal(false);
+        });
+    });
+
+    it('skips items done in an earlier run', function () {
+        var checkpoint = path.join(dir, "labels.json");
+        var key = "add labels done where cql=" + encodeURIComponent(legacy().toString());
+
+        fs.writeFileSync(checkpoint, JSON.stringify({ key: key, done: ["11"] }));
+
+        return confluence.bulkAddLabels(legacy(), ["done"], { checkpoint: checkpoint }).then(function(report) {
+            expect(report).to.include({ succeeded: 2, skipped: 1 });
+            expect(labelsOf("11")).to.not.include("done");
+            expect(labelsOf("12")).to.include("done");
+            // the checkpoint is removed once every item succeeded
+            expect(fs.existsSync(checkpoint)).to.equal(false);
+        });
+    });
+
+    it('refuses checkpoints of another operation, and more matches than maxItems', function () {
+        var checkpoint = path.join(dir, "other.json");
+        fs.writeFileSync(checkpoint, JSON.stringify({ key: "archive where cql=type%3Dpage", done: [] }));
+
+        return confluence.bulkDelete(legacy(), { checkpoint: checkpoint }).then(function() {
+            throw new Error("expected a rejection");
+        }, function(err) {
+            expect(err.message).to.contain("was written for another bulk operation");
+            return confluence.bulkDelete(legacy(), { maxItems: 2 });
+        }).then(function() {
+            throw new Error("expected a rejection");
+        }, function(err) {
+            expect(err.message).to.contain("matches 3 items, more than maxItems (2)");
+            expect(writes()).to.have.length(0);
+        });
+    });
+});
@@ -0,0 +1,289 @@
+/**
+ * Tests for the response cache, run against the fake Confluence server.
+ */
+
+var expect = require('chai').expect;
+var Confluence = require("../lib/confluence");
+var FakeConfluence = require("../lib/fake-server");
+var ResponseCache = require("../lib/cache");
+
+describe('Confluence API response cache', function () {
+    var fake = new FakeConfluence();
+    var confluence;
+
+    var fixtures = {
+        spaces: [{
+            key: "DOCS",
+            name: "Documentation",
+            homepage: {
+                id: "100",
+                title: "Home",
+                body: "<p>Welcome</p>",
+                children: [{ id: "101", title: "Guide", body: "<p>Read me</p>" }]
+            }
+        }]
+    };
+
+    function requests(method, path) {
+        return fake.requests.filter(function(entry) {
+            return entry.method === method && entry.path === "/wiki/rest/api" + path;
+        });
+    }
+
+    before(function () {
+        return fake.listen();
+    });
+
+    after(function () {
+        return fake.close();
+    });
+
+    beforeEach(function () {
+        fake.reset(fixtures);
+        confluence = new Confluence(Object.assign(fake.clientConfig(), { cache: true }));
+    });
+
+    it('evicts the least recently used entries from memory', function () {
+        var store = new ResponseCache.MemoryStore({ maxEntries: 2 });
+
+        store.set("a", 1);
+        store.set("b", 2);
+        store.get("a");
+        store.set("c", 3);
+
+        expect(Array.from(store.entries.keys())).to.deep.equal(["a", "c"]);
+    });
+
+    it('forgets the tags of evicted and invalidated entries', function () {
+        var cache = new ResponseCache({ maxEntries: 1 });
+        confluence = new Confluence(Object.assign(fake.clientConfig(), { cache: cache }));
+
+        return confluence.getContentById("100").then(function() {
+            return confluence.getContentById("101");
+        }).then(function() {
+            expect(Array.from(cache.tags.keys())).to.deep.equal(["content:101"]);
+            return cache.invalidate("content:101");
+        }).then(function() {
+            expect(cache.tags.size).to.equal(0);
+            expect(cache.keyTags.size).to.equal(0);
+        });
+    });
+
+    it('forgets the tags of entries a store dropped on its own', function () {
+        var values = {};
+        var cache = new ResponseCache({
+            store: {
+                get: function(key) { return values[key]; },
+                set: function(key, value) { values[key] = value; },
+                delete: function(key) { delete values[key]; },
+                clear: function() { values = {}; }
+            }
+        });
+
+        return cache.fetch("a", { tags: ["content:1", "space:A"] }, function() {
+            return Promise.resolve({ body: 1 });
+        }).then(function() {
+            expect(Array.from(cache.tags.keys())).to.deep.equal(["content:1", "space:A"]);
+            values = {};
+            return cache.fetch("a", { tags: ["content:1"] }, function() {
+                return Promise.reject(new Error("offline"));
+            });
+        }).then(function() {
+            throw new Error("expected a rejection");
+        }, function(err) {
+            expect(err.message).to.equal("offline");
+            expect(cache.tags.size).to.equal(0);
+        });
+    });
+
+    it('answers repeated reads from the cache with copies', function () {
+        return confluence.getContentById("101").then(function(page) {
+            page.title = "Changed by the caller";
+            return confluence.getContentById("101");
+        }).then(function(page) {
+            expect(page.title).to.equal("Guide");
+            expect(requests('GET', "/content/101")).to.have.length(1);
+        });
+    });
+
+    it('shares reads in progress', function () {
+        return Promise.all([
+            confluence.getContentById("101"),
+            confluence.getContentById("101"),
+            confluence.getSpace("DOCS")
+        ]).then(function(results) {
+            expect(results[0]).to.deep.equal(results[1]);
+            expect(requests('GET', "/content/101")).to.have.length(1);
+        });
+    });
+
+    it('looks up the space home page once for pages posted without a parent', function () {
+        return confluence.postContent("DOCS", "One", "<p>1</p>", null).then(function() {
+            return confluence.postContent("DOCS", "Two", "<p>2</p>", null);
+        }).then(function(page) {
+            expect(page.ancestors.map(function(ancestor) { return ancestor.id; })).to.deep.equal(["100"]);
+            expect(requests('GET', "/space")).to.have.length(1);
+            expect(requests('GET', "/content/100")).to.have.length(1);
+        });
+    });
+
+    it('drops cached content when it is written through the client', function () {
+        return confluence.getContentById("101").then(function(page) {
+            return confluence.putContent("DOCS", "101", page.version.number + 1, "Guide", "<p>Updated</p>");
+        }).then(function() {
+            return confluence.getContentById("101");
+        }).then(function(page) {
+            expect(page.body.storage.value).to.equal("<p>Updated</p>");
+            return confluence.postLabels("101", [{ prefix: "global", name: "howto" }]);
+        }).then(function() {
+            return confluence.getContentById("101");
+        }).then(function() {
+            expect(requests('GET', "/content/101")).to.have.length(3);
+            return confluence.deleteContent("101");
+        }).then(function() {
+            return confluence.getContentById("101");
+        }).then(function() {
+            throw new Error("expected a rejection");
+        }, function(err) {
+            expect(err).to.be.an.instanceof(Confluence.NotFoundError);
+        });
+    });
+
+    it('drops the cached home page when it is updated', function () {
+        return confluence.getSpaceHomePage("DOCS").then(function(home) {
+            return confluence.createAttachment("DOCS", home.id, Buffer.from("x"), { filename: "x.txt" });
+        }).then(function() {
+            return confluence.getSpaceHomePage("DOCS");
+        }).then(function() {
+            expect(requests('GET', "/space")).to.have.length(1);
+            expect(requests('GET', "/content/100")).to.have.length(2);
+        });
+    });
+
+    it('drops cached attachments when their data is updated', function () {
+        var attachment;
+
+        return confluence.createAttachment("DOCS", "101", Buffer.from("one"), { filename: "notes.txt" }).then(function(data) {
+            attachment = data.results[0];
+            return confluence.getContentById(attachment.id);
+        }).then(function(cached) {
+            expect(cached.version.number).to.equal(1);
+            return confluence.updateAttachmentData("DOCS", "101", attachment.id, Buffer.from("two"), { filename: "notes.txt" });
+        }).then(function() {
+            return confluence.getContentById(attachment.id);
+        }).then(function(updated) {
+            expect(updated.version.number).to.equal(2);
+            expect(requests('GET', "/content/" + attachment.id)).to.have.length(2);
+        });
+    });
+
+    it('drops cached spaces when they are written through the client', function () {
+        return confluence.getSpace("DOCS").then(function() {
+            return confluence.updateSpace("DOCS", { name: "Docs" });
+        }).then(function() {
+            return confluence.getSpace("DOCS");
+        }).then(function(data) {
+            expect(data.results[0].name).to.equal("Docs");
+            return confluence.getSpace("NEW");
+        }).then(function(data) {
+            expect(data.results).to.have.length(0);
+            return confluence.createSpace("NEW", "New space");
+        }).then(function() {
+            return confluence.getSpace("NEW");
+        }).then(function(data) {
+            expect(data.results[0].key).to.equal("NEW");
+        });
+    });
+
+    it('revalidates expired entries with their ETag', function () {
+        confluence = new Confluence(Object.assign(fake.clientConfig(), { cache: { ttl: { content: 0 } } }));
+
+        return confluence.getContentById("101").then(function() {
+            return confluence.getContentById("101");
+        }).then(function(page) {
+            var reads = requests('GET', "/content/101");
+
+            expect(page.title).to.equal("Guide");
+            expect(reads).to.have.length(2);
+            expect(reads[0].headers['if-none-match']).to.equal(undefined);
+            expect(reads[1].headers['if-none-match']).to.match(/^".+"$/);
+            // a change made by another client is picked up
+            return new Confluence(fake.clientConfig()).putContent("DOCS", "101", 2, "Guide, renamed", "<p>Read me</p>");
+        }).then(function() {
+            return confluence.getContentById("101");
+        }).then(function(page) {
+            expect(page.title).to.equal("Guide, renamed");
+        });
+    });
+
+    it('keeps entries in a pluggable store shared between clients', function () {
+        var values = {};
+        var cache = new ResponseCache({
+            store: {
+                get: function(key) { return Promise.resolve(values[key] && JSON.parse(values[key])); },
+                set: function(key, value) { values[key] = JSON.stringify(value); return Promise.resolve(); },
+                delete: function(key) { delete values[key]; return Promise.resolve(); },
+                clear: function() { values = {}; return Promise.resolve(); }
+            }
+        });
+        var first = new Confluence(Object.assign(fake.clientConfig(), { cache: cache }));
+        var second = new Confluence(Object.assign(fake.clientConfig(), { cache: cache }));
+
+        return first.getContentById("101").then(function() {
+            return second.getContentById("101");
+        }).then(function() {
+            expect(Object.keys(values)).to.have.length(1);
+            expect(requests('GET', "/content/101")).to.have.length(1);
+            return cache.clear();
+        }).then(function() {
+            expect(values).to.deep.equal({});
+        });
+    });
+
+    it('drops entries of a persistent store written through a later client', function () {
+        var values = {};
+        var store = {
+            get: function(key) { return values[key] && JSON.parse(values[key]); },
+            set: function(key, value) { values[key] = JSON.stringify(value); },
+            delete: function(key) { delete values[key]; },
+            clear: function() { values = {}; }
+        };
+        function client() {
+            return new Confluence(Object.assign(fake.clientConfig(), { cache: new ResponseCache({ store: store }) }));
+        }
+        var later;
+
+        return client().getContentById("101").then(function() {
+            // a later run writes the page without having read it
+            later = client();
+            return later.putContent("DOCS", "101", 2, "Guide", "<p>Second</p>");
+        }).then(function() {
+            return later.getContentById("101");
+        }).then(function(page) {
+            expect(page.body.storage.value).to.equal("<p>Second</p>");
+
+            // and one that read it from the store first drops it on a write
+            later = client();
+            return later.getContentById("101");
+        }).then(function() {
+            expect(later.cache.tags.has("content:101")).to.equal(true);
+            return later.putContent("DOCS", "101", 3, "Guide", "<p>Third</p>");
+        }).then(function() {
+            expect(values).to.deep.equal({});
+            return later.getContentById("101");
+        }).then(function(page) {
+            expect(page.body.storage.value).to.equal("<p>Third</p>");
+        });
+    });
+
+    it('is off unless configured', function () {
+        confluence = new Confluence(fake.clientConfig());
+
+        return confluence.getContentById("101").then(function() {
+            return confluence.getContentById("101");
+        }).then(function() {
+            expect(confluence.cache).to.equal(undefined);
+            expect(requests('GET', "/content/101")).to.have.length(2);
+        });
+    });
+});
@@ -0,0 +1,171 @@
+/**
+ * Tests for the command-line tool, run against the fake Confluence server.
+ */
+
+var expect = require('chai').expect;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var cli = require("../lib/cli");
+var FakeConfluence = require("../lib/fake-server");
+
+describe('confluence CLI', function () {
+    var fake = new FakeConfluence();
+    var dir;
+    var env;
+
+    var fixtures = {
+        users: [{ username: "ops", password: "token" }],
+        spaces: [{
+            key: "OPS",
+            name: "Operations",
+            homepage: {
+                id: "10",
+                title: "Home",
+                children: [{ id: "11", title: "Runbook & checklist", body: "<h2>Steps</h2><p>Restart <strong>it</strong></p>", labels: ["runbook"] }]
+            }
+        }]
+    };
+
+    function run(argv, options) {
+        var out = [];
+        var err = [];
+        var io = Object.assign({
+            stdout: { write: function(text) { out.push(text); } },
+            stderr: { write: function(text) { err.push(text); } },
+            env: env,
+            cwd: dir,
+            home: dir
+        }, options);
+
+        return cli.run(argv, io).then(function(code) {
+            return { code: code, stdout: out.join(""), stderr: err.join("") };
+        });
+    }
+
+    before(function () {
+        return fake.listen();
+    });
+
+    after(function () {
+        return fake.close();
+    });
+
+    beforeEach(function () {
+        fake.reset(fixtures);
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "confluence-cli-"));
+        env = { CONFLUENCE_BASE_URL: fake.baseUrl, CONFLUENCE_USERNAME: "ops", CONFLUENCE_API_TOKEN: "token" };
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('parses options and arguments', function () {
+        expect(cli.parseArgs(["get", "--format", "json", "12", "--minor-edit", "--space=OPS", "--", "--not-an-option"])).to.deep.equal({
+            args: ["get", "12", "--not-an-option"],
+            options: { format: "json", "minor-edit": true, space: "OPS" }
+        });
+        expect(function() { cli.parseArgs(["get", "--space"]); }).to.throw(cli.UsageError, "--space expects a value");
+    });
+
+    it('prints a page as storage, Markdown or JSON', function () {
+        return run(["get", "11"]).then(function(result) {
+            expect(result.code).to.equal(0);
+            expect(result.stdout).to.equal("<h2>Steps</h2><p>Restart <strong>it</strong></p>\n");
+            return run(["get", "--space", "OPS", "--title", "Runbook & checklist", "--format", "markdown"]);
+        }).then(function(result) {
+            expect(result.stdout).to.equal("## Steps\n\nRestart **it**\n");
+            return run(["get", "11", "--output", "json"]);
+        }).then(function(result) {
+            expect(JSON.parse(result.stdout).title).to.equal("Runbook & checklist");
+        });
+    });
+
+    it('publishes a Markdown file, titled after its heading', function () {
+        var file = path.join(dir, "deploy.md");
+        fs.writeFileSync(file, "# Deploy guide\n\nRun `deploy`.\n");
+
+        // file arguments are relative to the working directory given to run
+        return run(["publish", "deploy.md", "--space", "OPS", "--parent", "11"]).then(function(result) {
+            expect(result.code).to.equal(0);
+            expect(result.stdout).to.match(/^created \d+ Deploy guide\n$/);
+
+            var page = fake.content[result.stdout.split(" ")[1]];
+            expect(page.parentId).to.equal("11");
+            expect(page.body).to.equal("<p>Run <code>deploy</code>.</p>");
+
+            fs.writeFileSync(file, "# Deploy guide\n\nRun `deploy --all`.\n");
+            return run(["publish", file, "--space", "OPS", "--output", "json"]);
+        }).then(function(result) {
+            expect(JSON.parse(result.stdout)).to.include({ action: "updated", title: "Deploy guide" });
+        });
+    });
+
+    it('titles a Markdown file without a heading after the file, keeping its code', function () {
+        fs.writeFileSync(path.join(dir, "build.md"), "```bash\n# install deps\nnpm ci\n```\n");
+
+        return run(["publish", "build.md", "--space", "OPS"]).then(function(result) {
+            expect(result.stdout).to.match(/^created \d+ build\n$/);
+            expect(fake.content[result.stdout.split(" ")[1]].body).to.contain("# install deps");
+        });
+    });
+
+    it('uploads attachments', function () {
+        var file = path.join(dir, "report.txt");
+        fs.writeFileSync(file, "all good");
+
+        return run(["attach", "11", "report.txt"]).then(function(result) {
+            expect(result.code).to.equal(0);
+            expect(result.stdout.split("\n")[1]).to.match(/^created\s+\d+\s+report\.txt$/);
+            return run(["attach", "11", file, "--comment", "again"]);
+        }).then(function(result) {
+            expect(result.stdout).to.contain("updated");
+        });
+    });
+
+    it('lists, adds and removes labels', function () {
+        return run(["labels", "add", "11", "ops", "on call"]).then(function(result) {
+            expect(result.stdout).to.equal("runbook\nops\non call\n");
+            return run(["labels", "remove", "11", "runbook", "on call"]);
+        }).then(function(result) {
+            expect(result.stdout).to.equal("ops\n");
+        });
+    });
+
+    it('searches and prints a table or JSON', function () {
+        return run(["search", "label = runbook", "--space", "OPS"]).then(function(result) {
+            expect(result.code).to.equal(0);
+            expect(result.stdout).to.equal(
+                "ID  TYPE  SPACE  TITLE\n" +
+                "11  page  OPS    Runbook & checklist\n");
+            return run(["search", "--type", "page", "--limit", "1", "--output", "json"]);
+        }).then(function(result) {
+            expect(JSON.parse(result.stdout)).to.have.length(1);
+        });
+    });
+
+    it('reads credentials from a config file', function () {
+        fs.writeFileSync(path.join(dir, ".confluence.json"), JSON.stringify({ baseUrl: fake.baseUrl, username: "ops", password: "token" }));
+
+        return run(["labels", "11"], { env: {} }).then(function(result) {
+            expect(result.code).to.equal(0);
+            expect(result.stdout).to.equal("runbook\n");
+        });
+    });
+
+    it('exits with 2 on usage errors and 1 on failures', function () {
+        return run(["frobnicate"]).then(function(result) {
+            expect(result.code).to.equal(2);
+            expect(result.stderr).to.contain("Unknown command 'frobnicate'");
+            return run(["get", "11"], { env: {} });
+        }).then(function(result) {
+            expect(result.code).to.equal(2);
+            expect(result.stderr).to.contain("CONFLUENCE_BASE_URL");
+            return run(["get", "999"]);
+        }).then(function(result) {
+            expect(result.code).to.equal(1);
+            expect(result.stderr).to.contain("No content found with id");
+        });
+    });
+});
@@ -0,0 +1,137 @@
+/**
+ * Tests for the comments API, run against a local stub server holding the
+ * comments of page 1:
+ *
+ *     10 footer comment
+ *     └── 11 reply
+ *         └── 12 reply to the reply
+ *     20 inline comment on "design" (open)
+ */
+
+var expect = require('chai').expect;
+var Confluence = require("../lib/confluence");
+var StubServer = require("./support/stub-server");
+
+describe('Confluence API comments', function () {
+    var server;
+    var confluence;
+
+    function comment(id, ancestors, location) {
+        return {
+            id: id,
+            type: "comment",
+            ancestors: ancestors.map(function(ancestor) { return { id: ancestor, type: "comment" }; }),
+            body: { storage: { value: "<p>Comment " + id + "</p>" } },
+            version: { number: 2 },
+            extensions: location === "inline" ?
+                { location: "inline", inlineProperties: { originalSelection: "design" }, resolution: { status: "open" } } :
+                { location: "footer" }
+        };
+    }
+
+    function writes(method) {
+        return server.requests.filter(function(req) {
+            return req.method === method;
+        });
+    }
+
+    beforeEach(function (done) {
+        var comments = [comment("10", [], "footer"), comment("11", ["10"], "footer"), comment("12", ["10", "11"], "footer"), comment("20", [], "inline")];
+
+        server = new StubServer({
+            'GET /wiki/rest/api/content/1/child/comment': function(req, reply) {
+                var locations = [].concat(req.query.location || []);
+                var results = comments.filter(function(item) {
+                    return !locations.length || locations.indexOf(item.extensions.location) !== -1;
+                });
+                reply(200, { results: results, start: 0, limit: 25, size: results.length, _links: {} });
+            },
+            'POST /wiki/rest/api/content': function(req, reply) {
+                reply(200, { id: "30", type: "comment" });
+            },
+            'GET /wiki/rest/api/content/20': function(req, reply) {
+                reply(200, comment("20", [], "inline"));
+            },
+            'PUT /wiki/rest/api/content/20': function(req, reply) {
+                reply(200, req.body);
+            },
+            'DELETE /wiki/rest/api/content/20': function(req, reply) {
+                reply(204);
+            }
+        });
+        server.listen(function() {
+            confluence = new Confluence({
+                username: "user",
+                password: "pass",
+                baseUrl: server.baseUrl + "/wiki"
+            });
+            done();
+        });
+    });
+
+    afterEach(function (done) {
+        server.close(done);
+    });
+
+    it('lists footer and inline comments as reply threads', function () {
+        return confluence.getComments("1").then(function(threads) {
+            expect(threads.map(function(thread) { return thread.id; })).to.deep.equal(["10", "20"]);
+            expect(threads[0].replies.map(function(reply) { return reply.id; })).to.deep.equal(["11"]);
+            expect(threads[0].replies[0].replies.map(function(reply) { return reply.id; })).to.deep.equal(["12"]);
+            expect(threads[1].extensions.inlineProperties.originalSelection).to.equal("design");
+
+            var query = server.requests[0].query;
+            expect(query.depth).to.equal("all");
+            expect(query.expand.split(",")).to.include.members(["ancestors", "extensions.inlineProperties", "extensions.resolution"]);
+        });
+    });
+
+    it('filters comments by location', function () {
+        return confluence.iterateComments("1", { location: "inline" }).toArray().then(function(comments) {
+            expect(comments.map(function(item) { return item.id; })).to.deep.equal(["20"]);
+            expect(server.requests[0].query.location).to.equal("inline");
+        });
+    });
+
+    it('adds a comment and a reply', function () {
+        return confluence.addComment("1", "Looks **good**", { format: "markdown" }).then(function(created) {
+            expect(created.id).to.equal("30");
+
+            var body = writes('POST')[0].body;
+            expect(body.type).to.equal("comment");
+            expect(body.container).to.deep.equal({ id: "1", type: "page" });
+            expect(body.body.storage.value).to.equal("<p>Looks <strong>good</strong></p>");
+            expect(body.ancestors).to.equal(undefined);
+
+            return confluence.addComment("1", "<p>Agreed</p>", { parentId: "20" });
+        }).then(function() {
+            expect(writes('POST')[1].body.ancestors).to.deep.equal([{ id: "20" }]);
+        });
+    });
+
+    it('edits a comment, looking up its version', function () {
+        return confluence.updateComment("20", "<p>Edited</p>").then(function() {
+            var body = writes('PUT')[0].body;
+            expect(body.version).to.deep.equal({ number: 3 });
+            expect(body.body.storage).to.deep.equal({ value: "<p>Edited</p>", representation: "storage" });
+        });
+    });
+
+    it('deletes a comment', function () {
+        return confluence.deleteComment("20").then(function() {
+            expect(writes('DELETE')[0].path).to.equal("/wiki/rest/api/content/20");
+        });
+    });
+
+    it('resolves and reopens inline comments', function () {
+        return confluence.resolveComment("20").then(function() {
+            return confluence.reopenComment("20");
+        }).then(function() {
+            var puts = writes('PUT').map(function(req) { return req.body; });
+            expect(puts[0].extensions).to.deep.equal({ resolution: { status: "resolved" } });
+            expect(puts[0].body.storage.value).to.equal("<p>Comment 20</p>");
+            expect(puts[0].version.number).to.equal(3);
+            expect(puts[1].extensions).to.deep.equal({ resolution: { status: "open" } });
+        });
+    });
+});
@@ -0,0 +1,117 @@
+/**
+ * Tests for blog posts and other content types, run against a local stub
+ * server.
+ */
+
+var expect = require('chai').expect;
+var Confluence = require("../lib/confluence");
+var StubServer = require("./support/stub-server");
+
+describe('Confluence API content types', function () {
+    var server;
+    var confluence;
+
+    function bodies(method) {
+        return server.requests.filter(function(req) {
+            return req.method === method;
+        }).map(function(req) {
+            return req.body;
+        });
+    }
+
+    beforeEach(function (done) {
+        server = new StubServer({
+            'POST /wiki/rest/api/content': function(req, reply) {
+                reply(200, { id: "9", type: req.body.type, title: req.body.title });
+            },
+            'PUT /wiki/rest/api/content/9': function(req, reply) {
+                reply(200, { id: "9", type: req.body.type, version: req.body.version });
+            },
+            'GET /wiki/rest/api/space': function(req, reply) {
+                reply(200, { results: [{ key: "DOCS", _expandable: { homepage: "/rest/api/content/1" } }] });
+            },
+            'GET /wiki/rest/api/content/1': function(req, reply) {
+                reply(200, { id: "1", title: "Home" });
+            },
+            'GET /wiki/rest/api/content': function(req, reply) {
+                reply(200, { results: [{ id: "9", type: req.query.type }], start: 0, limit: 25, size: 1, _links: {} });
+            },
+            'GET /wiki/rest/api/content/search': function(req, reply) {
+                reply(200, { results: [{ id: "9", type: "blogpost" }], start: 0, limit: 25, size: 1, _links: {} });
+            }
+        });
+        server.listen(function() {
+            confluence = new Confluence({
+                username: "user",
+                password: "pass",
+                baseUrl: server.baseUrl + "/wiki"
+            });
+            done();
+        });
+    });
+
+    afterEach(function (done) {
+        server.close(done);
+    });
+
+    it('creates and updates blog posts without a parent', function () {
+        return confluence.createBlogPost("DOCS", "Release 1.2", "## Changes", { format: "markdown" }).then(function(post) {
+            expect(post.type).to.equal("blogpost");
+            return confluence.updateBlogPost("DOCS", "9", 2, "Release 1.2", "<p>Fixed</p>");
+        }).then(function(post) {
+            expect(post.version.number).to.equal(2);
+
+            var created = bodies('POST')[0];
+            expect(created.type).to.equal("blogpost");
+            expect(created.ancestors).to.equal(undefined);
+            expect(created.body.storage.value).to.equal("<h2>Changes</h2>");
+            expect(bodies('PUT')[0].type).to.equal("blogpost");
+
+            // no home page lookup for blog posts
+            expect(server.requests.filter(function(req) { return req.path === "/wiki/rest/api/space"; })).to.have.length(0);
+        });
+    });
+
+    it('still puts pages under the space home page by default', function () {
+        return confluence.postContent("DOCS", "Page", "<p>x</p>", null).then(function() {
+            expect(bodies('POST')[0].type).to.equal("page");
+            expect(bodies('POST')[0].ancestors).to.deep.equal([{ type: "page", id: "1" }]);
+        });
+    });
+
+    it('creates custom content with a container and parent', function () {
+        return confluence.postContent("DOCS", "Board", "<p>x</p>", "7", {
+            type: "ac:my-app:board",
+            container: { id: "1", type: "page" }
+        }).then(function() {
+            var created = bodies('POST')[0];
+            expect(created.type).to.equal("ac:my-app:board");
+            expect(created.container).to.deep.equal({ id: "1", type: "page" });
+            expect(created.ancestors).to.deep.equal([{ id: "7" }]);
+        });
+    });
+
+    it('lists content of a type', function () {
+        return confluence.getAllContentByType("DOCS", "ac:my-app:board").then(function(results) {
+            expect(results[0].type).to.equal("ac:my-app:board");
+            expect(server.requests[0].query).to.include({ spaceKey: "DOCS", type: "ac:my-app:board", expand: "version" });
+        });
+    });
+
+    it('lists blog posts of a space', function () {
+        return confluence.getBlogPosts("DOCS").then(function(posts) {
+            expect(posts).to.have.length(1);
+            expect(server.requests[0].path).to.equal("/wiki/rest/api/content");
+            expect(server.requests[0].query.type).to.equal("blogpost");
+        });
+    });
+
+    it('lists blog posts within a date range with CQL', function () {
+        return confluence.getBlogPosts("DOCS", { from: "2015-01-01", to: new Date(Date.UTC(2015, 0, 31)) }).then(function(posts) {
+            expect(posts).to.have.length(1);
+            expect(server.requests[0].path).to.equal("/wiki/rest/api/content/search");
+            expect(server.requests[0].query.cql).to.equal(
+                'type = blogpost and space = "DOCS" and created >= "2015-01-01" and created < "2015-02-01" order by created desc');
+        });
+    });
+});
@@ -0,0 +1,150 @@
+/**
+ * Tests for the CQL query builder, and for searching with it against a local
+ * stub server.
+ */
+
+var expect = require('chai').expect;
+var Confluence = require("../lib/confluence");
+var cql = require("../lib/cql");
+var StubServer = require("./support/stub-server");
+
+describe('cql', function () {
+    it('combines conditions with and', function () {
+        var query = cql().space("ENG").type("page").label("runbook")
+            .lastModifiedAfter(new Date(Date.UTC(2016, 2, 1))).text("outage");
+
+        expect(query.toString()).to.equal(
+            'space = "ENG" and type = "page" and label = "runbook" and lastmodified > "2016-03-01" and text ~ "outage"');
+    });
+
+    it('escapes quotes and backslashes in literals', function () {
+        expect(cql().title('Say "hi" \\ bye').toString()).to.equal('title = "Say \\"hi\\" \\\\ bye"');
+        expect(cql.literal(42)).to.equal("42");
+    });
+
+    it('tests membership for lists of values', function () {
+        expect(cql().space(["ENG", "OPS"]).where("label", "!=", ["old", "draft"]).toString())
+            .to.equal('space in ("ENG", "OPS") and label not in ("old", "draft")');
+    });
+
+    it('formats dates with a time of day', function () {
+        expect(cql().createdBefore(new Date(Date.UTC(2016, 2, 1, 9, 30))).toString()).to.equal('created < "2016-03-01 09:30"');
+        expect(cql().createdAfter("2016/03/01").toString()).to.equal('created > "2016/03/01"');
+    });
+
+    it('groups alternatives and negations', function () {
+        var query = cql().type("page")
+            .or(cql().label("a"), cql().label("b").space("X"))
+            .not(cql().creator("bot"));
+
+        expect(query.toString()).to.equal(
+            'type = "page" and (label = "a" or label = "b" and space = "X") and not (creator = "bot")');
+    });
+
+    it('orders results', function () {
+        expect(cql().type("blogpost").orderBy("created", "desc").orderBy("title").toString())
+            .to.equal('type = "blogpost" order by created desc, title');
+    });
+
+    it('rejects fields, operators and directions that are not CQL', function () {
+        expect(function() { cql().where("title = x or space", "=", "y"); }).to.throw(TypeError, "Invalid CQL field");
+        expect(function() { cql().where("title", "or", "y"); }).to.throw(TypeError, "Invalid CQL operator");
+        expect(function() { cql().orderBy("title", "sideways"); }).to.throw(TypeError, "Invalid CQL sort direction");
+    });
+
+    it('encodes the query string with its parameters', function () {
+        var query = cql().title("R&D notes").cqlcontext({ spaceKey: "ENG" }).expand(["content.version"]).limit(10);
+
+        expect(query.toQuery()).to.equal(
+            "cql=" + encodeURIComponent('title = "R&D notes"') +
+            "&cqlcontext=" + encodeURIComponent('{"spaceKey":"ENG"}') +
+            "&expand=content.version&limit=10");
+    });
+
+    it('builds the query string from options', function () {
+        expect(cql.queryString({ cql: 'type = page', excerpt: "none", start: 0 })).to.equal(
+            "cql=" + encodeURIComponent("type = page") + "&excerpt=none&start=0");
+        expect(cql.queryString({ cql: cql().type("page").limit(5), limit: 20 })).to.contain("&limit=20");
+        expect(cql.queryString("cql=type=page")).to.equal("cql=type=page");
+        expect(function() { cql.queryString({ expand: ["space"] }); }).to.throw(TypeError, "A CQL query is required");
+    });
+});
+
+describe('Confluence API search with CQL', function () {
+    var server;
+    var confluence;
+
+    beforeEach(function (done) {
+        server = new StubServer({
+            'GET /wiki/rest/api/search': function(req, reply) {
+                reply(200, { results: [{ title: "R&D notes" }], start: 0, limit: 25, size: 1, _links: {} });
+            }
+        });
+        server.listen(function() {
+            confluence = new Confluence({
+                username: "user",
+                password: "pass",
+                baseUrl: server.baseUrl + "/wiki"
+            });
+            done();
+        });
+    });
+
+    afterEach(function (done) {
+        server.close(done);
+    });
+
+    it('searches with a query builder', function () {
+        return confluence.search(Confluence.cql().space("ENG").title("R&D notes").limit(5)).then(function(data) {
+            expect(data.results).to.have.length(1);
+            expect(server.requests[0].query).to.deep.equal({ cql: 'space = "ENG" and title = "R&D notes"', limit: "5" });
+        });
+    });
+
+    it('searches with an options object', function () {
+        return confluence.search({ cql: 'title = "a b"', cqlcontext: { spaceKey: "ENG" }, expand: ["content.space"] }).then(function() {
+            expect(server.requests[0].query).to.deep.equal({
+                cql: 'title = "a b"',
+                cqlcontext: '{"spaceKey":"ENG"}',
+                expand: "content.space"
+            });
+        });
+    });
+
+    it('still accepts a raw query string', function () {
+        return confluence.search("cql=type=page").then(function() {
+            expect(server.requests[0].query).to.deep.equal({ cql: "type=page" });
+        });
+    });
+
+    it('follows pagination with a query builder', function () {
+        return confluence.searchAll(Confluence.cql().type("page"), { pageSize: 10 }).then(function(results) {
+            expect(results).to.have.length(1);
+            expect(server.requests[0].query).to.deep.equal({ cql: 'type = "page"', limit: "10" });
+        });
+    });
+
+    it('rejects a search without a query', function () {
+        return confluence.search({ limit: 5 }).then(function() {
+            throw new Error("expected a rejection");
+        }, function(err) {
+            expect(err).to.be.an.instanceof(TypeError);
+            expect(server.requests).to.have.length(0);
+        });
+    });
+
+    it('rejects iterating without a query instead of throwing', function (done) {
+        var iterator = confluence.iterateSearch({ limit: 5 });
+
+        iterator.next().then(function() {
+            done(new Error("expected a rejection"));
+        }, function(err) {
+            expect(err).to.be.an.instanceof(TypeError);
+            confluence.searchAll({ limit: 5 }, function(err) {
+                expect(err).to.be.an.instanceof(TypeError);
+                expect(server.requests).to.have.length(0);
+                done();
+            });
+        }).catch(done);
+    });
+});
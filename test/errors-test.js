@@ -0,0 +1,135 @@
+/**
+ * Tests for the error types raised by confluence.js, run against a local stub
+ * server.
+ */
+
+var expect = require('chai').expect;
+var Confluence = require("../lib/confluence");
+var errors = require("../lib/errors");
+var StubServer = require("./support/stub-server");
+
+function expectRejection(promise) {
+    return promise.then(function() {
+        throw new Error("expected a rejection");
+    }, function(err) {
+        return err;
+    });
+}
+
+describe('Confluence API errors', function () {
+    var server;
+    var confluence;
+
+    beforeEach(function (done) {
+        server = new StubServer({
+            'GET /wiki/rest/api/content/1': function(req, reply) {
+                reply(404, { statusCode: 404, message: "No content found with id: ContentId{id=1}" });
+            },
+            'PUT /wiki/rest/api/content/1': function(req, reply) {
+                reply(409, { statusCode: 409, message: "Version must be incremented on update. Current version is: 5" });
+            },
+            'GET /wiki/rest/api/space': function(req, reply) {
+                if (req.query.spaceKey === 'LOCKED') {
+                    return reply(401, { statusCode: 401, message: "Unauthorized" });
+                }
+                reply(200, { results: [] });
+            },
+            'GET /wiki/rest/api/search': function(req, reply) {
+                reply(429, { message: "Rate limit exceeded" }, { 'Retry-After': '7' });
+            },
+            'DELETE /wiki/rest/api/content/2': function(req, reply) {
+                reply(503, "Service Unavailable");
+            },
+            'DELETE /wiki/rest/api/content/2/label': function(req, reply) {
+                reply(403, { statusCode: 403, message: "Not permitted to remove labels" });
+            }
+        });
+        server.listen(function() {
+            confluence = new Confluence({
+                username: "testuser",
+                password: "test-user-pw",
+                baseUrl: server.baseUrl + "/wiki"
+            });
+            done();
+        });
+    });
+
+    afterEach(function (done) {
+        server.close(done);
+    });
+
+    it('should reject with NotFoundError carrying the Confluence message', function () {
+        return expectRejection(confluence.getContentById("1")).then(function(err) {
+            expect(err).to.be.an.instanceof(Confluence.NotFoundError);
+            expect(err).to.be.an.instanceof(Confluence.ConfluenceError);
+            expect(err).to.be.an.instanceof(Error);
+            expect(err.name).to.equal("NotFoundError");
+            expect(err.status).to.equal(404);
+            expect(err.message).to.equal("No content found with id: ContentId{id=1}");
+            expect(err.method).to.equal("GET");
+            expect(err.url).to.equal(server.baseUrl + "/wiki/rest/api/content/1?expand=body.storage,version");
+        });
+    });
+
+    it('should reject version mismatches with ConflictError', function () {
+        return expectRejection(confluence.putContent("TEST", "1", 2, "Title", "<p>x</p>")).then(function(err) {
+            expect(err).to.be.an.instanceof(Confluence.ConflictError);
+            expect(err.status).to.equal(409);
+            expect(err.method).to.equal("PUT");
+        });
+    });
+
+    it('should reject rejected credentials with UnauthorizedError', function () {
+        return expectRejection(confluence.getSpace("LOCKED")).then(function(err) {
+            expect(err).to.be.an.instanceof(Confluence.UnauthorizedError);
+        });
+    });
+
+    it('should reject throttled requests with RateLimitedError', function () {
+        return expectRejection(confluence.search("cql=type=page")).then(function(err) {
+            expect(err).to.be.an.instanceof(Confluence.RateLimitedError);
+            expect(err.retryAfter).to.equal(7);
+        });
+    });
+
+    it('should pass errors to callbacks of delete methods', function (done) {
+        confluence.deleteContent("2", function(err) {
+            expect(err).to.be.an.instanceof(Confluence.ServerError);
+            expect(err.status).to.equal(503);
+
+            confluence.deleteLabel("2", "some-label", function(err) {
+                expect(err).to.be.an.instanceof(Confluence.ForbiddenError);
+                expect(err.message).to.equal("Not permitted to remove labels");
+                done();
+            });
+        });
+    });
+
+    it('should reject a missing space home page with NotFoundError', function () {
+        return expectRejection(confluence.getSpaceHomePage("TEST")).then(function(err) {
+            expect(err).to.be.an.instanceof(Confluence.NotFoundError);
+            expect(err.status).to.be.undefined;
+            expect(err.message).to.contain("Can't find space home page.");
+        });
+    });
+
+    it('should wrap network failures in ConfluenceError', function () {
+        var offline = new Confluence({
+            username: "testuser",
+            password: "test-user-pw",
+            baseUrl: "http://127.0.0.1:1/wiki"
+        });
+        return expectRejection(offline.getSpace("TEST")).then(function(err) {
+            expect(err).to.be.an.instanceof(Confluence.ConfluenceError);
+            expect(err.status).to.be.undefined;
+            expect(err.code).to.equal("ECONNREFUSED");
+        });
+    });
+
+    describe('#redactUrl', function () {
+        it('should strip user info and sensitive query parameters', function () {
+            expect(errors.redactUrl("https://user:pw@example.com/wiki/rest/api/content?spaceKey=A&os_password=pw&access_token=t"))
+                .to.equal("https://example.com/wiki/rest/api/content?spaceKey=A&os_password=[REDACTED]&access_token=[REDACTED]");
+        });
+    });
+});
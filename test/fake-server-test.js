@@ -0,0 +1,238 @@
+/**
+ * Tests for the in-memory fake Confluence server, driven through the client.
+ */
+
+var expect = require('chai').expect;
+var Confluence = require("../lib/confluence");
+var FakeConfluence = require("../lib/fake-server");
+
+describe('FakeConfluence', function () {
+    var fake = new FakeConfluence();
+    var confluence;
+
+    var fixtures = {
+        users: [{ username: "jdoe", password: "secret" }],
+        spaces: [{
+            key: "DOCS",
+            name: "Documentation",
+            homepage: {
+                id: "100",
+                title: "Home",
+                body: "<p>Welcome</p>",
+                children: [
+                    { id: "101", title: "Install guide", body: "<p>Run the installer</p>", labels: ["howto"],
+                        children: [{ id: "102", title: "Windows", body: "<p>Double click</p>" }] },
+                    { id: "103", title: "Outage runbook", body: "<p>Restart the outage service</p>", labels: ["runbook", "ops"],
+                        attachments: [{ title: "notes.txt", data: "first notes", mediaType: "text/plain" }] }
+                ]
+            },
+            blogposts: [{ id: "200", title: "Launch", body: "<p>We launched</p>", created: "2015-06-01T10:00:00.000Z" }]
+        }]
+    };
+
+    before(function () {
+        return fake.listen();
+    });
+
+    after(function () {
+        return fake.close();
+    });
+
+    beforeEach(function () {
+        fake.reset(fixtures);
+        confluence = new Confluence(fake.clientConfig());
+    });
+
+    it('serves seeded spaces and their home page', function () {
+        return confluence.getSpaceHomePage("DOCS").then(function(home) {
+            expect(home).to.include({ id: "100", title: "Home" });
+            return confluence.getSpaces();
+        }).then(function(spaces) {
+            expect(spaces.map(function(space) { return space.key; })).to.deep.equal(["DOCS"]);
+        });
+    });
+
+    it('rejects unknown credentials', function () {
+        return new Confluence({ username: "jdoe", password: "wrong", baseUrl: fake.baseUrl }).getSpace("DOCS").then(function() {
+            throw new Error("expected a rejection");
+        }, function(err) {
+            expect(err).to.be.an.instanceof(Confluence.UnauthorizedError);
+        });
+    });
+
+    it('creates pages under the home page and refuses duplicate titles', function () {
+        return confluence.postContent("DOCS", "New page", "<p>x</p>", null).then(function(page) {
+            expect(page.version.number).to.equal(1);
+            expect(page.ancestors.map(function(ancestor) { return ancestor.id; })).to.deep.equal(["100"]);
+            return confluence.postContent("DOCS", "New page", "<p>y</p>", null);
+        }).then(function() {
+            throw new Error("expected a rejection");
+        }, function(err) {
+            expect(err).to.be.an.instanceof(Confluence.BadRequestError);
+            expect(err.message).to.contain("A page with this title already exists");
+        });
+    });
+
+    it('versions updates and answers stale versions with 409', function () {
+        return confluence.putContent("DOCS", "101", 2, "Install guide", "<p>Run setup</p>").then(function(page) {
+            expect(page.version.number).to.equal(2);
+            return confluence.putContent("DOCS", "101", 2, "Install guide", "<p>Again</p>");
+        }).then(function() {
+            throw new Error("expected a rejection");
+        }, function(err) {
+            expect(err).to.be.an.instanceof(Confluence.ConflictError);
+            expect(err.message).to.equal("Version must be incremented on update. Current version is: 2");
+            return confluence.getVersionHistory("101");
+        }).then(function(versions) {
+            expect(versions.map(function(version) { return version.number; })).to.deep.equal([2, 1]);
+            return confluence.getContentVersion("101", 1);
+        }).then(function(version) {
+            expect(version.body.storage.value).to.equal("<p>Run the installer</p>");
+        });
+    });
+
+    it('leaves a page as it was when an update names a missing parent', function () {
+        return confluence.putContent("DOCS", "101", 2, "Setup guide", "<p>Run setup</p>", { parentId: "999" }).then(function() {
+            throw new Error("expected a rejection");
+        }, function(err) {
+            expect(err).to.be.an.instanceof(Confluence.NotFoundError);
+            return confluence.getContentById("101");
+        }).then(function(page) {
+            expect(page.title).to.equal("Install guide");
+            expect(page.version.number).to.equal(1);
+            expect(page.body.storage.value).to.equal("<p>Run the installer</p>");
+            return confluence.getChildPages("100");
+        }).then(function(pages) {
+            expect(pages.map(function(page) { return page.id; })).to.include("101");
+        });
+    });
+
+    it('lists children and descendants, and moves children up on delete', function () {
+        return confluence.getDescendantPages("100").then(function(pages) {
+            expect(pages.map(function(page) { return page.id; })).to.have.members(["101", "102", "103"]);
+            return confluence.deleteContent("101");
+        }).then(function() {
+            return confluence.getChildPages("100");
+        }).then(function(pages) {
+            expect(pages.map(function(page) { return page.id; })).to.have.members(["102", "103"]);
+        });
+    });
+
+    it('refuses to copy a page tree into itself', function () {
+        function pageCount() {
+            return Object.keys(fake.content).length;
+        }
+        var before = pageCount();
+
+        // the home page is copied under the home page by default
+        return confluence.copyPageTree("100").then(function() {
+            throw new Error("expected a rejection");
+        }, function(err) {
+            expect(err.message).to.equal("Can't copy page 100 under page 100, which is part of the copied tree.");
+            return confluence.copyPageTree("101", { parentId: "102" });
+        }).then(function() {
+            throw new Error("expected a rejection");
+        }, function(err) {
+            expect(err.message).to.contain("under page 102");
+            expect(pageCount()).to.equal(before);
+            return confluence.copyPageTree("101", { parentId: "103" });
+        }).then(function(result) {
+            expect(result.pages.map(function(page) { return page.title; })).to.deep.equal(["Copy of Install guide", "Copy of Windows"]);
+            return confluence.getDescendantPages("103");
+        }).then(function(pages) {
+            expect(pages).to.have.length(2);
+        });
+    });
+
+    it('uploads, updates and downloads attachments', function () {
+        return confluence.createAttachment("DOCS", "101", Buffer.from("hello"), { filename: "hello.txt", contentType: "text/plain" }).then(function(data) {
+            expect(data.results[0]).to.include({ title: "hello.txt" });
+            return confluence.createAttachment("DOCS", "101", Buffer.from("again"), { filename: "hello.txt" });
+        }).then(function() {
+            throw new Error("expected a rejection");
+        }, function(err) {
+            expect(err.status).to.equal(400);
+            return confluence.upsertAttachment("DOCS", "103", Buffer.from("second notes"), { filename: "notes.txt", comment: "Updated" });
+        }).then(function(result) {
+            expect(result.action).to.equal("updated");
+            expect(result.attachment.version.number).to.equal(2);
+            return confluence.downloadAttachment(result.attachment.id);
+        }).then(function(stream) {
+            return new Promise(function(resolve) {
+                var chunks = [];
+                stream.on('data', function(chunk) { chunks.push(chunk); });
+                stream.on('end', function() { resolve(Buffer.concat(chunks).toString()); });
+            });
+        }).then(function(text) {
+            expect(text).to.equal("second notes");
+        });
+    });
+
+    it('adds, lists and removes labels', function () {
+        return confluence.postLabels("102", [{ prefix: "global", name: "Windows" }, { prefix: "global", name: "install" }]).then(function(data) {
+            expect(data.results.map(function(label) { return label.name; })).to.deep.equal(["windows", "install"]);
+            return confluence.deleteLabel("102", "windows");
+        }).then(function() {
+            return confluence.getLabels("102");
+        }).then(function(data) {
+            expect(data.results.map(function(label) { return label.name; })).to.deep.equal(["install"]);
+        });
+    });
+
+    it('finds titles and labels with &, # and +', function () {
+        var cql = Confluence.cql;
+
+        return confluence.postContent("DOCS", "Q&A #1 + 2", "<p>Ask</p>", null).then(function(page) {
+            return confluence.postLabels(page.id, [{ prefix: "global", name: "c++" }]);
+        }).then(function() {
+            return confluence.getAllContentByPageTitle("DOCS", "Q&A #1 + 2");
+        }).then(function(pages) {
+            expect(pages.map(function(page) { return page.title; })).to.deep.equal(["Q&A #1 + 2"]);
+            return confluence.searchAll(cql().label("c++"));
+        }).then(function(results) {
+            expect(results.map(function(result) { return result.title; })).to.deep.equal(["Q&A #1 + 2"]);
+            return confluence.deleteLabel(results[0].content.id, "c++");
+        }).then(function() {
+            return confluence.searchAll(cql().label("c++"));
+        }).then(function(results) {
+            expect(results).to.have.length(0);
+            return confluence.getAttachments(null, "103");
+        }).then(function(data) {
+            expect(data.results.map(function(attachment) { return attachment.title; })).to.deep.equal(["notes.txt"]);
+        });
+    });
+
+    it('searches with CQL', function () {
+        var cql = Confluence.cql;
+
+        return confluence.searchAll(cql().space("DOCS").type("page").label("runbook").text("outage")).then(function(results) {
+            expect(results.map(function(result) { return result.content.id; })).to.deep.equal(["103"]);
+            return confluence.searchAll(cql().ancestor("100").not(cql().label("howto")).orderBy("title", "desc"));
+        }).then(function(results) {
+            expect(results.map(function(result) { return result.title; })).to.deep.equal(["Windows", "Outage runbook"]);
+            return confluence.getBlogPosts("DOCS", { from: "2015-06-01", to: "2015-06-30" });
+        }).then(function(posts) {
+            expect(posts.map(function(post) { return post.id; })).to.deep.equal(["200"]);
+            return confluence.search("cql=" + encodeURIComponent("title = "));
+        }).then(function() {
+            throw new Error("expected a rejection");
+        }, function(err) {
+            expect(err).to.be.an.instanceof(Confluence.BadRequestError);
+        });
+    });
+
+    it('pages results', function () {
+        return confluence.iterateDescendantPages("100", { pageSize: 1 }).toArray().then(function(pages) {
+            expect(pages).to.have.length(3);
+            expect(fake.requests.slice(0, 3).map(function(req) { return req.query.start; })).to.deep.equal([undefined, "1", "2"]);
+        });
+    });
+
+    it('answers 501 for resources it does not implement', function () {
+        return confluence.getRestrictions("100").then(function() {
+            throw new Error("expected a rejection");
+        }, function(err) {
+            expect(err.status).to.equal(501);
+        });
+    });
+});
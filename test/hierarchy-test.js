@@ -0,0 +1,179 @@
+/**
+ * Tests for the page hierarchy methods of confluence.js, run against a local
+ * stub server holding a small page tree:
+ *
+ *     1 Root
+ *     ├── 2 Child A (label "a", attachment "a.txt")
+ *     │   └── 4 Grandchild
+ *     └── 3 Child B
+ */
+
+var expect = require('chai').expect;
+var Confluence = require("../lib/confluence");
+var StubServer = require("./support/stub-server");
+
+describe('Confluence API page hierarchy', function () {
+    var server;
+    var confluence;
+    var pages;
+    var created;
+
+    function children(id) {
+        return Object.keys(pages).map(function(key) { return pages[key]; }).filter(function(page) {
+            return page.parent === id;
+        });
+    }
+
+    function content(id) {
+        return {
+            id: id,
+            title: pages[id].title,
+            space: { key: "SRC" },
+            body: { storage: { value: "<p>" + pages[id].title + "</p>" } },
+            ancestors: pages[id].ancestors
+        };
+    }
+
+    beforeEach(function (done) {
+        created = [];
+        pages = {
+            "1": { id: "1", title: "Root", parent: null, ancestors: [] },
+            "2": { id: "2", title: "Child A", parent: "1", ancestors: [{ id: "1" }] },
+            "3": { id: "3", title: "Child B", parent: "1", ancestors: [{ id: "1" }] },
+            "4": { id: "4", title: "Grandchild", parent: "2", ancestors: [{ id: "1" }, { id: "2" }] }
+        };
+
+        var routes = {
+            'GET /wiki/rest/api/content/1/descendant/page': function(req, reply) {
+                reply(200, { results: [content("2"), content("3"), content("4")], start: 0, limit: 25, size: 3, _links: {} });
+            },
+            'PUT /wiki/rest/api/content/4/move/append/3': function(req, reply) {
+                reply(200, { pageId: "4" });
+            },
+            'POST /wiki/rest/api/content': function(req, reply) {
+                var id = String(100 + created.length);
+                created.push(req.body);
+                reply(200, { id: id, title: req.body.title, space: req.body.space, ancestors: req.body.ancestors });
+            },
+            'GET /wiki/rest/api/space': function(req, reply) {
+                reply(200, { results: [{ key: req.query.spaceKey, _expandable: { homepage: "/rest/api/content/50" } }] });
+            },
+            'GET /wiki/rest/api/content/50': function(req, reply) {
+                reply(200, { id: "50" });
+            },
+            'GET /wiki/download/attachments/2/a.txt': function(req, reply) {
+                reply(200, "attached text", { 'Content-Type': 'text/plain' });
+            }
+        };
+        Object.keys(pages).forEach(function(id) {
+            routes['GET /wiki/rest/api/content/' + id] = function(req, reply) {
+                reply(200, content(id));
+            };
+            routes['GET /wiki/rest/api/content/' + id + '/child/page'] = function(req, reply) {
+                reply(200, { results: children(id).map(function(page) { return content(page.id); }), start: 0, limit: 25, size: 0, _links: {} });
+            };
+            routes['GET /wiki/rest/api/content/' + id + '/label'] = function(req, reply) {
+                reply(200, { results: id === "2" ? [{ prefix: "global", name: "a", id: "9" }] : [] });
+            };
+            routes['GET /wiki/rest/api/content/' + id + '/child/attachment'] = function(req, reply) {
+                reply(200, { results: id === "2" ? [{
+                    id: "att1",
+                    title: "a.txt",
+                    metadata: { mediaType: "text/plain" },
+                    _links: { download: "/download/attachments/2/a.txt" }
+                }] : [], start: 0, limit: 25, size: 0, _links: {} });
+            };
+        });
+        ["100", "101", "102", "103"].forEach(function(id) {
+            routes['POST /wiki/rest/api/content/' + id + '/label'] = function(req, reply) {
+                reply(200, { results: req.body });
+            };
+            routes['POST /wiki/rest/api/content/' + id + '/child/attachment'] = function(req, reply) {
+                reply(200, { results: [{ title: "a.txt" }] });
+            };
+        });
+
+        server = new StubServer(routes);
+        server.listen(function() {
+            confluence = new Confluence({
+                username: "testuser",
+                password: "test-user-pw",
+                baseUrl: server.baseUrl + "/wiki"
+            });
+            done();
+        });
+    });
+
+    afterEach(function (done) {
+        server.close(done);
+    });
+
+    it('should list child pages', function () {
+        return confluence.getChildPages("1").then(function(results) {
+            expect(results.map(function(page) { return page.id; })).to.deep.equal(["2", "3"]);
+            expect(server.requests[0].query.expand).to.equal("version");
+        });
+    });
+
+    it('should list descendant pages', function () {
+        return confluence.getDescendantPages("1").then(function(results) {
+            expect(results.map(function(page) { return page.id; })).to.deep.equal(["2", "3", "4"]);
+        });
+    });
+
+    it('should get the ancestors of a page', function (done) {
+        confluence.getAncestors("4", function(err, ancestors) {
+            expect(err).to.be.null;
+            expect(ancestors.map(function(page) { return page.id; })).to.deep.equal(["1", "2"]);
+            expect(server.requests[0].query.expand).to.equal("ancestors");
+            done();
+        });
+    });
+
+    it('should move a page under a new parent', function () {
+        return confluence.movePage("4", "3").then(function(data) {
+            expect(data.pageId).to.equal("4");
+        });
+    });
+
+    it('should reject unknown move positions', function () {
+        return confluence.movePage("4", "3", { position: "below" }).then(function() {
+            throw new Error("expected a rejection");
+        }, function(err) {
+            expect(err.message).to.contain("movePage expects a position");
+        });
+    });
+
+    it('should copy a page subtree into another space', function () {
+        return confluence.copyPageTree("1", { space: "DEST" }).then(function(result) {
+            expect(result.page.id).to.equal("100");
+            expect(result.pages).to.deep.equal([
+                { sourceId: "1", id: "100", title: "Root" },
+                { sourceId: "2", id: "101", title: "Child A" },
+                { sourceId: "4", id: "102", title: "Grandchild" },
+                { sourceId: "3", id: "103", title: "Child B" }
+            ]);
+            expect(created[0].ancestors[0].id).to.equal("50");
+            expect(created[0].space.key).to.equal("DEST");
+            expect(created[2].ancestors[0].id).to.equal("101");
+
+            var labels = server.requests.filter(function(r) { return r.method === "POST" && /label$/.test(r.path); });
+            expect(labels.length).to.equal(1);
+            expect(labels[0].path).to.equal("/wiki/rest/api/content/101/label");
+            expect(labels[0].body).to.deep.equal([{ prefix: "global", name: "a" }]);
+
+            var uploads = server.requests.filter(function(r) { return r.method === "POST" && /attachment$/.test(r.path); });
+            expect(uploads.length).to.equal(1);
+            expect(uploads[0].path).to.equal("/wiki/rest/api/content/101/child/attachment");
+            expect(uploads[0].raw.toString()).to.contain('filename="a.txt"');
+            expect(uploads[0].raw.toString()).to.contain("attached text");
+        });
+    });
+
+    it('should prefix copied titles within the same space', function () {
+        return confluence.copyPageTree("2", { parentId: "3", attachments: false, labels: false }).then(function(result) {
+            expect(result.pages.map(function(page) { return page.title; })).to.deep.equal(["Copy of Child A", "Copy of Grandchild"]);
+            expect(created[0].ancestors[0].id).to.equal("3");
+        });
+    });
+});
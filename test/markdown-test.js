@@ -0,0 +1,125 @@
+/**
+ * Tests for the Markdown to storage format converter in markdown.js.
+ */
+
+var expect = require('chai').expect;
+var Confluence = require("../lib/confluence");
+var markdown = require("../lib/markdown");
+var StubServer = require("./support/stub-server");
+
+describe('Markdown to storage format', function () {
+
+    function convert(text, options) {
+        return markdown.toStorage(text, options);
+    }
+
+    it('should convert headings and paragraphs', function () {
+        expect(convert("# Title\n\nSome text\non two lines\n\nSub\n---")).to.equal(
+            "<h1>Title</h1><p>Some text on two lines</p><h2>Sub</h2>");
+    });
+
+    it('should convert inline formatting and escape markup', function () {
+        expect(convert("**bold** *em* _em_ ~~gone~~ `a < b` & <i>")).to.equal(
+            "<p><strong>bold</strong> <em>em</em> <em>em</em> <del>gone</del> <code>a &lt; b</code> &amp; &lt;i&gt;</p>");
+    });
+
+    it('should convert links and leave page links to a resolver', function () {
+        expect(convert("[site](https://example.com/?a=1&b=2)")).to.equal(
+            '<p><a href="https://example.com/?a=1&amp;b=2">site</a></p>');
+        expect(convert("[guide](guide.md)", {
+            resolveLink: function(href) { return href === "guide.md" ? { title: "User Guide" } : null; }
+        })).to.equal(
+            '<p><ac:link><ri:page ri:content-title="User Guide" /><ac:link-body>guide</ac:link-body></ac:link></p>');
+    });
+
+    it('should keep code spans, escapes and images in link labels', function () {
+        expect(convert("[`a < b`](https://example.com/)")).to.equal(
+            '<p><a href="https://example.com/"><code>a &lt; b</code></a></p>');
+        expect(convert("[a\\_b\\_c](https://example.com/)")).to.equal(
+            '<p><a href="https://example.com/">a_b_c</a></p>');
+        expect(convert("[![Logo](https://example.com/logo.png)](https://example.com/)")).to.equal(
+            '<p><a href="https://example.com/"><ac:image ac:alt="Logo"><ri:url ri:value="https://example.com/logo.png" /></ac:image></a></p>');
+    });
+
+    it('should convert local images to attachment references', function () {
+        expect(convert('![Diagram](img/arch.png "Architecture")')).to.equal(
+            '<p><ac:image ac:alt="Diagram" ac:title="Architecture"><ri:attachment ri:filename="arch.png" /></ac:image></p>');
+        expect(convert("![](https://example.com/a.png)")).to.equal(
+            '<p><ac:image><ri:url ri:value="https://example.com/a.png" /></ac:image></p>');
+    });
+
+    it('should convert nested and ordered lists', function () {
+        expect(convert("- one\n- two\n  - two.a\n\n1. first\n2. second")).to.equal(
+            "<ul><li>one</li><li>two<ul><li>two.a</li></ul></li></ul><ol><li>first</li><li>second</li></ol>");
+    });
+
+    it('should convert task lists', function () {
+        expect(convert("- [ ] todo\n- [x] done")).to.equal(
+            "<ac:task-list>" +
+            "<ac:task><ac:task-status>incomplete</ac:task-status><ac:task-body>todo</ac:task-body></ac:task>" +
+            "<ac:task><ac:task-status>complete</ac:task-status><ac:task-body>done</ac:task-body></ac:task>" +
+            "</ac:task-list>");
+    });
+
+    it('should convert tables', function () {
+        expect(convert("| Name | Value |\n|------|------:|\n| `a|b` | 1 \\| 2 |")).to.equal(
+            "<table><tbody><tr><th>Name</th><th>Value</th></tr>" +
+            "<tr><td><code>a|b</code></td><td>1 | 2</td></tr></tbody></table>");
+    });
+
+    it('should convert fenced code to the code macro', function () {
+        expect(convert("```JavaScript\nif (a < b) { return ']]>'; }\n```")).to.equal(
+            '<ac:structured-macro ac:name="code"><ac:parameter ac:name="language">javascript</ac:parameter>' +
+            "<ac:plain-text-body><![CDATA[if (a < b) { return ']]]]><![CDATA[>'; }]]></ac:plain-text-body></ac:structured-macro>");
+    });
+
+    it('should convert blockquotes to panels', function () {
+        expect(convert("> plain")).to.equal(
+            '<ac:structured-macro ac:name="info"><ac:rich-text-body><p>plain</p></ac:rich-text-body></ac:structured-macro>');
+        expect(convert("> [!WARNING] Careful\n> Hot")).to.equal(
+            '<ac:structured-macro ac:name="warning"><ac:parameter ac:name="title">Careful</ac:parameter>' +
+            '<ac:rich-text-body><p>Hot</p></ac:rich-text-body></ac:structured-macro>');
+        expect(convert("> **Note:** mind the gap")).to.equal(
+            '<ac:structured-macro ac:name="note"><ac:rich-text-body><p>mind the gap</p></ac:rich-text-body></ac:structured-macro>');
+    });
+
+    it('should pass storage format blocks through', function () {
+        expect(convert('<ac:structured-macro ac:name="toc" />\n\n---')).to.equal(
+            '<ac:structured-macro ac:name="toc" /><hr />');
+    });
+
+    describe('format option', function () {
+        var server;
+
+        beforeEach(function (done) {
+            server = new StubServer({
+                'POST /wiki/rest/api/content': function(req, reply) {
+                    reply(200, req.body);
+                },
+                'PUT /wiki/rest/api/content/1': function(req, reply) {
+                    reply(200, req.body);
+                }
+            });
+            server.listen(done);
+        });
+
+        afterEach(function (done) {
+            server.close(done);
+        });
+
+        it('should convert markdown content when publishing', function () {
+            var confluence = new Confluence({
+                username: "testuser",
+                password: "test-user-pw",
+                baseUrl: server.baseUrl + "/wiki"
+            });
+
+            return confluence.postContent("TEST", "Doc", "# Hello", 1, { format: "markdown" }).then(function(page) {
+                expect(page.body.storage).to.deep.equal({ value: "<h1>Hello</h1>", representation: "storage" });
+                return confluence.putContent("TEST", "1", 2, "Doc", "*hi*", { format: "markdown" });
+            }).then(function(page) {
+                expect(page.body.storage).to.deep.equal({ value: "<p><em>hi</em></p>", representation: "storage" });
+            });
+        });
+    });
+});
@@ -0,0 +1,101 @@
+/**
+ * Tests for paginated iteration in confluence.js, run against a local stub
+ * server that serves 7 search results.
+ */
+
+var expect = require('chai').expect;
+var Confluence = require("../lib/confluence");
+var StubServer = require("./support/stub-server");
+
+function pageOf(items, req, path) {
+    var start = parseInt(req.query.start || "0", 10);
+    var limit = parseInt(req.query.limit || "3", 10);
+    var results = items.slice(start, start + limit);
+    var body = { results: results, start: start, limit: limit, size: results.length, _links: {} };
+
+    if (start + limit < items.length) {
+        body._links.next = path + "&limit=" + limit + "&start=" + (start + limit);
+    }
+    return body;
+}
+
+describe('Confluence API pagination', function () {
+    var items = [1, 2, 3, 4, 5, 6, 7].map(function(n) { return { id: String(n) }; });
+    var server;
+    var confluence;
+
+    beforeEach(function (done) {
+        server = new StubServer({
+            'GET /wiki/rest/api/search': function(req, reply) {
+                reply(200, pageOf(items, req, "/rest/api/search?cql=type=page"));
+            },
+            'GET /wiki/rest/api/content/1/child/attachment': function(req, reply) {
+                // no _links.next: the iterator falls back to start/limit
+                var body = pageOf(items, req, "");
+                delete body._links.next;
+                reply(200, body);
+            }
+        });
+        server.listen(function() {
+            confluence = new Confluence({
+                username: "testuser",
+                password: "test-user-pw",
+                baseUrl: server.baseUrl + "/wiki"
+            });
+            done();
+        });
+    });
+
+    afterEach(function (done) {
+        server.close(done);
+    });
+
+    it('should collect every search result across pages', function () {
+        return confluence.searchAll("cql=type=page").then(function(results) {
+            expect(results.map(function(r) { return r.id; })).to.deep.equal(["1", "2", "3", "4", "5", "6", "7"]);
+            expect(server.requests.length).to.equal(3);
+        });
+    });
+
+    it('should request the given page size', function () {
+        return confluence.searchAll("cql=type=page", { pageSize: 5 }).then(function(results) {
+            expect(results.length).to.equal(7);
+            expect(server.requests[0].query.limit).to.equal("5");
+            expect(server.requests.length).to.equal(2);
+        });
+    });
+
+    it('should stop after maxItems without fetching further pages', function (done) {
+        confluence.searchAll("cql=type=page", { maxItems: 2 }, function(err, results) {
+            expect(err).to.be.null;
+            expect(results.length).to.equal(2);
+            expect(server.requests.length).to.equal(1);
+            done();
+        });
+    });
+
+    it('should stop early when until returns true', function () {
+        return confluence.searchAll("cql=type=page", {
+            until: function(item) { return item.id === "5"; }
+        }).then(function(results) {
+            expect(results.length).to.equal(4);
+        });
+    });
+
+    it('should be usable with for await', async function () {
+        var seen = [];
+        for await (var item of confluence.iterateSearch("cql=type=page")) {
+            seen.push(item.id);
+            if (seen.length === 4) break;
+        }
+        expect(seen).to.deep.equal(["1", "2", "3", "4"]);
+        expect(server.requests.length).to.equal(2);
+    });
+
+    it('should page by start and limit when no next link is returned', function () {
+        return confluence.getAllAttachments("TEST", "1").then(function(results) {
+            expect(results.length).to.equal(7);
+            expect(server.requests.map(function(r) { return r.query.start; })).to.deep.equal([undefined, "3", "6"]);
+        });
+    });
+});
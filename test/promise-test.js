@@ -0,0 +1,123 @@
+/**
+ * Tests for the promise and callback interfaces of confluence.js, run against
+ * a local stub server.
+ */
+
+var expect = require('chai').expect;
+var Confluence = require("../lib/confluence");
+var StubServer = require("./support/stub-server");
+
+describe('Confluence API promises', function () {
+    var server;
+    var confluence;
+
+    beforeEach(function (done) {
+        server = new StubServer({
+            'GET /wiki/rest/api/space': function(req, reply) {
+                if (req.query.spaceKey === 'EMPTY') {
+                    return reply(200, { results: [] });
+                }
+                reply(200, { results: [{ id: 1, key: req.query.spaceKey, _expandable: { homepage: "/rest/api/content/100" } }] });
+            },
+            'GET /wiki/rest/api/content/100': function(req, reply) {
+                reply(200, { id: "100", title: "Home" });
+            },
+            'GET /wiki/rest/api/content/404': function(req, reply) {
+                reply(404, { statusCode: 404, message: "No content found with id 404" });
+            },
+            'POST /wiki/rest/api/content': function(req, reply) {
+                reply(200, { id: "200", ancestors: req.body.ancestors, body: req.body.body });
+            },
+            'PUT /wiki/rest/api/content/200': function(req, reply) {
+                reply(200, { id: "200", version: req.body.version, body: req.body.body });
+            }
+        });
+        server.listen(function() {
+            confluence = new Confluence({
+                username: "testuser",
+                password: "test-user-pw",
+                baseUrl: server.baseUrl + "/wiki"
+            });
+            done();
+        });
+    });
+
+    afterEach(function (done) {
+        server.close(done);
+    });
+
+    it('should resolve with the response body when no callback is given', function () {
+        return confluence.getSpace("TEST").then(function(data) {
+            expect(data.results[0].key).to.equal("TEST");
+        });
+    });
+
+    it('should still call back when a callback is given', function (done) {
+        var result = confluence.getSpace("TEST", function(err, data) {
+            expect(err).to.be.null;
+            expect(data.results[0].key).to.equal("TEST");
+            done();
+        });
+        expect(result).to.be.undefined;
+    });
+
+    it('should reject with HTTP errors', function () {
+        return confluence.getContentById("404").then(function() {
+            throw new Error("expected a rejection");
+        }, function(err) {
+            expect(err.status).to.equal(404);
+        });
+    });
+
+    it('should resolve the space home page', function () {
+        return confluence.getSpaceHomePage("TEST").then(function(data) {
+            expect(data.id).to.equal("100");
+        });
+    });
+
+    it('should reject when the space has no home page', function (done) {
+        confluence.getSpaceHomePage("EMPTY", function(err) {
+            expect(err).to.be.an.instanceof(Error);
+            expect(err.message).to.contain("Can't find space home page.");
+            done();
+        });
+    });
+
+    it('should post content under the space home page by default', function () {
+        return confluence.postContent("TEST", "Title", "<p>x</p>", null).then(function(data) {
+            expect(data.ancestors[0].id).to.equal("100");
+            expect(data.body.storage.representation).to.equal("storage");
+        });
+    });
+
+    it('should propagate home page lookup errors from postContent', function (done) {
+        confluence.postContent("EMPTY", "Title", "<p>x</p>", null, function(err) {
+            expect(err.message).to.contain("Can't find space home page.");
+            expect(server.requests.filter(function(r) { return r.method === 'POST'; })).to.be.empty;
+            done();
+        });
+    });
+
+    it('should accept an options object for postContent', function () {
+        return confluence.postContent("TEST", "Title", "h1. x", 5, { representation: "wiki" }).then(function(data) {
+            expect(data.ancestors[0].id).to.equal(5);
+            expect(data.body.storage.representation).to.equal("wiki");
+        });
+    });
+
+    it('should keep the legacy putContent argument order', function (done) {
+        confluence.putContent("TEST", "200", 2, "Title", "h1. x", function(err, data) {
+            expect(err).to.be.null;
+            expect(data.version.minorEdit).to.equal(true);
+            expect(data.body.storage.representation).to.equal("wiki");
+            done();
+        }, true, "wiki");
+    });
+
+    it('should accept an options object for putContent', function () {
+        return confluence.putContent("TEST", "200", 2, "Title", "<p>x</p>", { minorEdit: true }).then(function(data) {
+            expect(data.version.minorEdit).to.equal(true);
+            expect(data.body.storage.representation).to.equal("storage");
+        });
+    });
+});
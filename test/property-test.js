@@ -0,0 +1,177 @@
+/**
+ * Tests for content and space properties, run against a local stub server
+ * keeping properties in memory.
+ */
+
+var expect = require('chai').expect;
+var Confluence = require("../lib/confluence");
+var StubServer = require("./support/stub-server");
+
+describe('Confluence API content properties', function () {
+    var server;
+    var confluence;
+    var properties;
+    var conflicts;
+
+    function propertyRoutes(base) {
+        var routes = {};
+
+        routes['GET ' + base] = function(req, reply) {
+            var results = Object.keys(properties).map(function(key) { return properties[key]; });
+            reply(200, { results: results, start: 0, limit: 25, size: results.length, _links: {} });
+        };
+        routes['POST ' + base] = function(req, reply) {
+            if (properties[req.body.key]) {
+                return reply(409, { statusCode: 409, message: "Property exists" });
+            }
+            properties[req.body.key] = { key: req.body.key, value: req.body.value, version: { number: 1 } };
+            reply(200, properties[req.body.key]);
+        };
+        ['owner', 'review'].forEach(function(key) {
+            routes['GET ' + base + '/' + key] = function(req, reply) {
+                if (!properties[key]) return reply(404, { statusCode: 404, message: "No property" });
+                reply(200, properties[key]);
+            };
+            routes['PUT ' + base + '/' + key] = function(req, reply) {
+                var property = properties[key];
+                if (conflicts > 0) {
+                    // another writer updates the property first
+                    conflicts--;
+                    property.version.number++;
+                    return reply(409, { statusCode: 409, message: "Version conflict" });
+                }
+                if (req.body.version.number !== property.version.number + 1) {
+                    return reply(409, { statusCode: 409, message: "Version conflict" });
+                }
+                properties[key] = { key: key, value: req.body.value, version: req.body.version };
+                reply(200, properties[key]);
+            };
+            routes['DELETE ' + base + '/' + key] = function(req, reply) {
+                delete properties[key];
+                reply(204);
+            };
+        });
+        return routes;
+    }
+
+    beforeEach(function (done) {
+        properties = {
+            owner: { key: "owner", value: { team: "docs" }, version: { number: 4 } }
+        };
+        conflicts = 0;
+
+        var routes = Object.assign(
+            propertyRoutes('/wiki/rest/api/content/1/property'),
+            propertyRoutes('/wiki/rest/api/space/DOCS/property'),
+            {
+                'GET /wiki/rest/api/content/search': function(req, reply) {
+                    reply(200, { results: [{ id: "1", title: "Owned" }], start: 0, limit: 25, size: 1, _links: {} });
+                }
+            }
+        );
+
+        server = new StubServer(routes);
+        server.listen(function() {
+            confluence = new Confluence({
+                username: "user",
+                password: "pass",
+                baseUrl: server.baseUrl + "/wiki"
+            });
+            done();
+        });
+    });
+
+    afterEach(function (done) {
+        server.close(done);
+    });
+
+    it('lists and gets the properties of a page', function () {
+        return confluence.getContentProperties("1").then(function(list) {
+            expect(list.map(function(property) { return property.key; })).to.deep.equal(["owner"]);
+            return confluence.getContentProperty("1", "owner");
+        }).then(function(property) {
+            expect(property.value).to.deep.equal({ team: "docs" });
+            expect(server.requests[1].query.expand).to.equal("version");
+        });
+    });
+
+    it('creates a property', function () {
+        return confluence.createContentProperty("1", "review", { due: "2016-01-01" }).then(function(property) {
+            expect(property.version.number).to.equal(1);
+            expect(server.requests[0].body).to.deep.equal({ key: "review", value: { due: "2016-01-01" } });
+        });
+    });
+
+    it('updates a property to its next version', function () {
+        return confluence.updateContentProperty("1", "owner", { team: "platform" }).then(function(property) {
+            expect(property.version).to.deep.equal({ number: 5, minorEdit: true });
+            expect(properties.owner.value).to.deep.equal({ team: "platform" });
+        });
+    });
+
+    it('retries version conflicts with a fresh read', function () {
+        conflicts = 2;
+
+        return confluence.updateContentProperty("1", "owner", { team: "platform" }, { version: 4 }).then(function(property) {
+            expect(property.version.number).to.equal(7);
+            expect(server.requests.filter(function(req) { return req.method === 'PUT'; })).to.have.length(3);
+        });
+    });
+
+    it('gives up after the configured conflict retries', function () {
+        conflicts = 5;
+
+        return confluence.updateContentProperty("1", "owner", "x", { conflictRetries: 1 }).then(function() {
+            throw new Error("expected a rejection");
+        }, function(err) {
+            expect(err).to.be.an.instanceof(Confluence.ConflictError);
+            expect(server.requests.filter(function(req) { return req.method === 'PUT'; })).to.have.length(2);
+        });
+    });
+
+    it('sets a property, creating or updating it', function () {
+        return confluence.setContentProperty("1", "review", "soon").then(function(created) {
+            expect(created.version.number).to.equal(1);
+            return confluence.setContentProperty("1", "review", "later");
+        }).then(function(updated) {
+            expect(updated.version.number).to.equal(2);
+            expect(properties.review.value).to.equal("later");
+        });
+    });
+
+    it('deletes a property', function () {
+        return confluence.deleteContentProperty("1", "owner").then(function() {
+            expect(properties.owner).to.equal(undefined);
+        });
+    });
+
+    it('manages space properties', function () {
+        return confluence.setSpaceProperty("DOCS", "owner", { team: "platform" }).then(function(property) {
+            expect(property.version.number).to.equal(5);
+            expect(server.requests.map(function(req) { return req.method + " " + req.path; })).to.deep.equal([
+                "GET /wiki/rest/api/space/DOCS/property/owner",
+                "PUT /wiki/rest/api/space/DOCS/property/owner"
+            ]);
+            return confluence.getSpaceProperties("DOCS");
+        }).then(function(list) {
+            expect(list).to.have.length(1);
+        });
+    });
+
+    it('finds content by property value with CQL', function () {
+        return confluence.getContentByProperty("owner", "team", 'docs "core"', { space: "DOCS", type: "page" }).then(function(results) {
+            expect(results[0].id).to.equal("1");
+            expect(server.requests[0].query.cql).to.equal('content.property[owner].team = "docs \\"core\\"" and space = "DOCS" and type = "page"');
+        });
+    });
+
+    it('rejects property paths that are not CQL instead of throwing', function () {
+        return confluence.getContentByProperty("owner", "team = x or 1", "docs").then(function() {
+            throw new Error("expected a rejection");
+        }, function(err) {
+            expect(err).to.be.an.instanceof(TypeError);
+            expect(err.message).to.equal("Invalid CQL field: content.property[owner].team = x or 1");
+            expect(server.requests).to.have.length(0);
+        });
+    });
+});
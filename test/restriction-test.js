@@ -0,0 +1,168 @@
+/**
+ * Tests for content restrictions and space permissions, run against a local
+ * stub server where page 1 has children 2 and 3.
+ */
+
+var expect = require('chai').expect;
+var Confluence = require("../lib/confluence");
+var StubServer = require("./support/stub-server");
+
+describe('Confluence API restrictions', function () {
+    var server;
+    var confluence;
+
+    function byOperation(users, groups) {
+        return {
+            restrictions: {
+                user: { results: users, size: users.length },
+                group: { results: groups.map(function(name) { return { type: "group", name: name }; }), size: groups.length }
+            }
+        };
+    }
+
+    function writes() {
+        return server.requests.filter(function(req) {
+            return req.method !== 'GET';
+        }).map(function(req) {
+            return req.method + " " + req.path + (req.query.accountId ? "?accountId=" + req.query.accountId : "") +
+                (req.query.userName ? "?userName=" + req.query.userName : "");
+        });
+    }
+
+    beforeEach(function (done) {
+        var ok = function(req, reply) { reply(200, {}); };
+
+        server = new StubServer({
+            'GET /wiki/rest/api/content/1/restriction/byOperation': function(req, reply) {
+                reply(200, {
+                    read: Object.assign({ operation: "read" }, byOperation([{ accountId: "a1", displayName: "Ann" }], ["security"])),
+                    update: Object.assign({ operation: "update" }, byOperation([], ["admins"]))
+                });
+            },
+            'PUT /wiki/rest/api/content/1/restriction/byOperation/read/user': ok,
+            'DELETE /wiki/rest/api/content/1/restriction/byOperation/update/user': ok,
+            'PUT /wiki/rest/api/content/1/restriction/byOperation/update/group/dev%20team': ok,
+            'PUT /wiki/rest/api/content/1/restriction': ok,
+            'PUT /wiki/rest/api/content/2/restriction': ok,
+            'PUT /wiki/rest/api/content/3/restriction': ok,
+            'DELETE /wiki/rest/api/content/1/restriction': ok,
+            'DELETE /wiki/rest/api/content/2/restriction': ok,
+            'DELETE /wiki/rest/api/content/3/restriction': ok,
+            'GET /wiki/rest/api/content/1/descendant/page': function(req, reply) {
+                reply(200, { results: [{ id: "2" }, { id: "3" }], start: 0, limit: 25, size: 2, _links: {} });
+            },
+            'GET /wiki/rest/api/content': function(req, reply) {
+                reply(200, {
+                    results: [
+                        { id: "1", title: "Open", restrictions: { read: byOperation([], []), update: byOperation([], []) } },
+                        { id: "2", title: "Secret", restrictions: { read: byOperation([], ["security"]), update: byOperation([], []) } }
+                    ],
+                    start: 0, limit: 25, size: 2, _links: {}
+                });
+            },
+            'GET /wiki/rest/api/space/DOCS': function(req, reply) {
+                reply(200, {
+                    key: "DOCS",
+                    permissions: [{
+                        operation: { operation: "read", targetType: "space" },
+                        subjects: { group: { results: [{ name: "staff" }] } }
+                    }]
+                });
+            }
+        });
+        server.listen(function() {
+            confluence = new Confluence({
+                username: "user",
+                password: "pass",
+                baseUrl: server.baseUrl + "/wiki"
+            });
+            done();
+        });
+    });
+
+    afterEach(function (done) {
+        server.close(done);
+    });
+
+    it('reads restrictions by operation', function () {
+        return confluence.getRestrictions("1").then(function(restrictions) {
+            expect(restrictions.read.users.map(function(user) { return user.accountId; })).to.deep.equal(["a1"]);
+            expect(restrictions.read.groups).to.deep.equal(["security"]);
+            expect(restrictions.update).to.deep.equal({ users: [], groups: ["admins"] });
+        });
+    });
+
+    it('adds and removes user and group restrictions', function () {
+        return confluence.addRestriction("1", "read", { accountId: "a2" }).then(function() {
+            return confluence.removeRestriction("1", "update", { username: "jdoe" });
+        }).then(function() {
+            return confluence.addRestriction("1", "update", { group: "dev team" });
+        }).then(function() {
+            expect(writes()).to.deep.equal([
+                "PUT /wiki/rest/api/content/1/restriction/byOperation/read/user?accountId=a2",
+                "DELETE /wiki/rest/api/content/1/restriction/byOperation/update/user?userName=jdoe",
+                "PUT /wiki/rest/api/content/1/restriction/byOperation/update/group/dev%20team"
+            ]);
+        });
+    });
+
+    it('rejects a subject without a user or group', function () {
+        return confluence.addRestriction("1", "read", { displayName: "Ann" }).then(function() {
+            throw new Error("expected a rejection");
+        }, function(err) {
+            expect(err.message).to.contain("accountId, username or userKey");
+            expect(server.requests).to.have.length(0);
+        });
+    });
+
+    it('replaces and clears restrictions', function () {
+        return confluence.setRestrictions("1", { read: { users: [{ accountId: "a1" }], groups: ["security"] } }).then(function() {
+            expect(server.requests[0].body).to.deep.equal([{
+                operation: "read",
+                restrictions: {
+                    user: [{ type: "known", accountId: "a1" }],
+                    group: [{ type: "group", name: "security" }]
+                }
+            }]);
+            return confluence.clearRestrictions("1");
+        }).then(function() {
+            expect(writes()[1]).to.equal("DELETE /wiki/rest/api/content/1/restriction");
+        });
+    });
+
+    it('copies restrictions down a subtree', function () {
+        return confluence.inheritRestrictions("1").then(function(ids) {
+            expect(ids).to.deep.equal(["2", "3"]);
+            expect(writes()).to.deep.equal([
+                "PUT /wiki/rest/api/content/2/restriction",
+                "PUT /wiki/rest/api/content/3/restriction"
+            ]);
+            var body = server.requests.filter(function(req) { return req.method === 'PUT'; })[0].body;
+            expect(body[0].restrictions.group).to.deep.equal([{ type: "group", name: "security" }]);
+            expect(body[1].restrictions.group).to.deep.equal([{ type: "group", name: "admins" }]);
+        });
+    });
+
+    it('clears restrictions across a subtree', function () {
+        return confluence.clearTreeRestrictions("1", { includeRoot: true }).then(function(ids) {
+            expect(ids).to.deep.equal(["1", "2", "3"]);
+            expect(writes()).to.have.length(3);
+        });
+    });
+
+    it('finds restricted pages in a space', function () {
+        return confluence.findRestrictedPages("DOCS").then(function(pages) {
+            expect(pages).to.have.length(1);
+            expect(pages[0]).to.deep.include({ id: "2", title: "Secret" });
+            expect(pages[0].restrictions.read.groups).to.deep.equal(["security"]);
+            expect(server.requests[0].query.expand).to.contain("restrictions.read.restrictions.group");
+        });
+    });
+
+    it('reads space permissions', function () {
+        return confluence.getSpacePermissions("DOCS").then(function(permissions) {
+            expect(permissions[0].operation).to.deep.equal({ operation: "read", targetType: "space" });
+            expect(server.requests[0].query.expand).to.equal("permissions");
+        });
+    });
+});
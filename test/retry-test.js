@@ -0,0 +1,171 @@
+/**
+ * Tests for retries and the concurrency limit in confluence.js, run against a
+ * local stub server that throttles and fails requests.
+ */
+
+var expect = require('chai').expect;
+var Confluence = require("../lib/confluence");
+var RetryPolicy = require("../lib/retry");
+var StubServer = require("./support/stub-server");
+
+describe('Confluence API retries', function () {
+    var server;
+    var failures;
+    var inFlight;
+    var maxInFlight;
+    var retryAfter;
+
+    function client(retry, maxConcurrency) {
+        return new Confluence({
+            username: "testuser",
+            password: "test-user-pw",
+            baseUrl: server.baseUrl + "/wiki",
+            retry: retry,
+            maxConcurrency: maxConcurrency
+        });
+    }
+
+    beforeEach(function (done) {
+        failures = 0;
+        retryAfter = '0';
+        inFlight = 0;
+        maxInFlight = 0;
+        server = new StubServer({
+            'GET /wiki/rest/api/space': function(req, reply) {
+                if (failures-- > 0) {
+                    return reply(429, { message: "Rate limit exceeded" }, { 'Retry-After': retryAfter });
+                }
+                reply(200, { results: [{ key: req.query.spaceKey }] });
+            },
+            'GET /wiki/rest/api/content/1': function(req, reply) {
+                if (failures-- > 0) {
+                    return reply(503, "Service Unavailable");
+                }
+                reply(200, { id: "1" });
+            },
+            'POST /wiki/rest/api/content/1/label': function(req, reply) {
+                if (failures-- > 0) {
+                    return reply(502, "Bad Gateway");
+                }
+                reply(200, { results: req.body });
+            },
+            'GET /wiki/rest/api/content/2': function(req, reply) {
+                inFlight++;
+                maxInFlight = Math.max(maxInFlight, inFlight);
+                setTimeout(function() {
+                    inFlight--;
+                    reply(200, { id: "2" });
+                }, 20);
+            }
+        });
+        server.listen(done);
+    });
+
+    afterEach(function (done) {
+        server.close(done);
+    });
+
+    it('should not retry unless configured', function () {
+        failures = 1;
+        return client().getSpace("TEST").then(function() {
+            throw new Error("expected a rejection");
+        }, function(err) {
+            expect(err).to.be.an.instanceof(Confluence.RateLimitedError);
+            expect(server.requests.length).to.equal(1);
+        });
+    });
+
+    it('should retry 429 responses, respecting Retry-After', function () {
+        failures = 2;
+        // a long backoff would time the test out unless Retry-After: 0 wins
+        return client({ maxAttempts: 3, baseDelay: 10000 }).getSpace("TEST").then(function(data) {
+            expect(data.results[0].key).to.equal("TEST");
+            expect(server.requests.length).to.equal(3);
+        });
+    });
+
+    it('should fail instead of waiting when Retry-After exceeds maxRetryAfter', function () {
+        failures = 1;
+        retryAfter = '86400';
+        return client({ maxAttempts: 3, maxRetryAfter: 60000 }).getSpace("TEST").then(function() {
+            throw new Error("expected a rejection");
+        }, function(err) {
+            expect(err).to.be.an.instanceof(Confluence.RateLimitedError);
+            expect(err.retryAfter).to.equal(86400);
+            expect(server.requests.length).to.equal(1);
+        });
+    });
+
+    it('should give up after maxAttempts', function () {
+        failures = 5;
+        return client({ maxAttempts: 2, baseDelay: 1 }).getContentById("1").then(function() {
+            throw new Error("expected a rejection");
+        }, function(err) {
+            expect(err).to.be.an.instanceof(Confluence.ServerError);
+            expect(err.attempts).to.equal(2);
+            expect(server.requests.length).to.equal(2);
+        });
+    });
+
+    it('should retry server errors of idempotent methods', function () {
+        failures = 1;
+        return client({ baseDelay: 1 }).getContentById("1").then(function(data) {
+            expect(data.id).to.equal("1");
+            expect(server.requests.length).to.equal(2);
+        });
+    });
+
+    it('should not retry server errors of non-idempotent methods by default', function () {
+        failures = 1;
+        return client({ baseDelay: 1 }).postLabels("1", [{ prefix: "global", name: "a" }]).then(function() {
+            throw new Error("expected a rejection");
+        }, function(err) {
+            expect(err.status).to.equal(502);
+            expect(server.requests.length).to.equal(1);
+        });
+    });
+
+    it('should retry the configured methods', function () {
+        failures = 1;
+        return client({ baseDelay: 1, methods: ['POST'] }).postLabels("1", [{ prefix: "global", name: "a" }]).then(function(data) {
+            expect(data.results[0].name).to.equal("a");
+            expect(server.requests[1].body).to.deep.equal([{ prefix: "global", name: "a" }]);
+        });
+    });
+
+    it('should limit the number of requests in flight', function () {
+        var confluence = client(null, 2);
+        var ids = ["2", "2", "2", "2", "2"];
+        return Promise.all(ids.map(function(id) {
+            return confluence.getContentById(id);
+        })).then(function(results) {
+            expect(results.length).to.equal(5);
+            expect(maxInFlight).to.equal(2);
+        });
+    });
+
+    describe('RetryPolicy#delay', function () {
+        it('should back off exponentially up to maxDelay', function () {
+            var policy = new RetryPolicy({ baseDelay: 100, maxDelay: 350, jitter: false });
+            expect([1, 2, 3, 4].map(function(n) { return policy.delay({}, n); })).to.deep.equal([100, 200, 350, 350]);
+        });
+
+        it('should stay within the backoff window with jitter', function () {
+            var policy = new RetryPolicy({ baseDelay: 100 });
+            for (var i = 0; i < 20; i++) {
+                expect(policy.delay({}, 3)).to.be.within(0, 400);
+            }
+        });
+
+        it('should use Retry-After when given', function () {
+            var policy = new RetryPolicy(true);
+            expect(policy.delay({ retryAfter: 2 }, 1)).to.equal(2000);
+        });
+
+        it('should cap Retry-After at maxRetryAfter, which defaults to maxDelay', function () {
+            expect(new RetryPolicy({ maxDelay: 5000 }).maxRetryAfter).to.equal(5000);
+            expect(new RetryPolicy({ maxRetryAfter: 1000 }).delay({ retryAfter: 3600 }, 1)).to.equal(1000);
+            expect(new RetryPolicy({ maxRetryAfter: 1000 }).shouldRetry({ status: 429, method: 'GET', retryAfter: 3600 }, 1)).to.equal(false);
+        });
+    });
+});
@@ -0,0 +1,243 @@
+/**
+ * Tests for exportSpace and importSpace, run against a local stub server
+ * holding a source space:
+ *
+ *     10 SRC Home
+ *     └── 11 Guide (label "docs", attachment "a.txt", links to page 10 by id)
+ *     20 Release notes (blog post)
+ *
+ * and an empty target space "TGT" whose home page is 50.
+ */
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var expect = require('chai').expect;
+var Confluence = require("../lib/confluence");
+var StubServer = require("./support/stub-server");
+
+describe('Confluence API space export and import', function () {
+    var server;
+    var confluence;
+    var dir;
+    var created;
+    var updated;
+    var labels;
+    var uploads;
+
+    var source = [
+        {
+            id: "10", type: "page", title: "SRC Home", ancestors: [],
+            body: { storage: { value: "<p>Welcome</p>" } },
+            version: { number: 3, when: "2015-01-02T00:00:00.000Z", message: "", by: { username: "jdoe" } },
+            history: { createdDate: "2015-01-01T00:00:00.000Z", createdBy: { username: "jdoe" } },
+            metadata: { labels: { results: [] } }
+        },
+        {
+            id: "11", type: "page", title: "Guide", ancestors: [{ id: "10" }],
+            body: { storage: { value: '<p><a href="/wiki/pages/viewpage.action?pageId=10">home</a>' +
+                '<ac:link><ri:page ri:space-key="SRC" ri:content-title="SRC Home" /></ac:link></p>' } },
+            version: { number: 1, when: "2015-01-03T00:00:00.000Z", by: { username: "jdoe" } },
+            history: { createdDate: "2015-01-03T00:00:00.000Z", createdBy: { username: "jdoe" } },
+            metadata: { labels: { results: [{ prefix: "global", name: "docs" }] } }
+        }
+    ];
+    var blogposts = [
+        {
+            id: "20", type: "blogpost", title: "Release notes", ancestors: [],
+            body: { storage: { value: "<p>Released</p>" } },
+            version: { number: 1 },
+            metadata: { labels: { results: [] } }
+        }
+    ];
+
+    function listing(results) {
+        return { results: results, start: 0, limit: 25, size: results.length, _links: {} };
+    }
+
+    beforeEach(function (done) {
+        created = [];
+        updated = [];
+        labels = [];
+        uploads = [];
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'confluence-export-'));
+
+        server = new StubServer({
+            'GET /wiki/rest/api/space': function(req, reply) {
+                var home = req.query.spaceKey === "SRC" ? "10" : "50";
+                reply(200, { results: [{ key: req.query.spaceKey, name: req.query.spaceKey + " space", _expandable: { homepage: "/rest/api/content/" + home } }] });
+            },
+            'GET /wiki/rest/api/content': function(req, reply) {
+                reply(200, listing(req.query.type === "blogpost" ? blogposts : source));
+            },
+            'GET /wiki/rest/api/content/10/child/attachment': function(req, reply) {
+                reply(200, listing([]));
+            },
+            'GET /wiki/rest/api/content/20/child/attachment': function(req, reply) {
+                reply(200, listing([]));
+            },
+            'GET /wiki/rest/api/content/11/child/attachment': function(req, reply) {
+                reply(200, listing([{
+                    id: "att1", title: "a.txt",
+                    metadata: { mediaType: "text/plain", comment: "greeting" },
+                    extensions: { fileSize: 5 },
+                    version: { number: 2 },
+                    _links: { download: "/download/attachments/11/a.txt" }
+                }]));
+            },
+            'GET /wiki/rest/api/content/10/version': function(req, reply) {
+                reply(200, listing([
+                    { number: 3, when: "2015-01-02T00:00:00.000Z", message: "", minorEdit: false, by: { username: "jdoe" } },
+                    { number: 2, when: "2015-01-01T12:00:00.000Z", message: "typo", minorEdit: true, by: { username: "asmith" } },
+                    { number: 1, when: "2015-01-01T00:00:00.000Z", message: "", minorEdit: false, by: { username: "jdoe" } }
+                ]));
+            },
+            'GET /wiki/rest/api/content/11/version': function(req, reply) {
+                reply(200, listing([
+                    { number: 1, when: "2015-01-03T00:00:00.000Z", message: "", minorEdit: false, by: { username: "jdoe" } }
+                ]));
+            },
+            'GET /wiki/rest/api/content/20/version': function(req, reply) {
+                reply(200, listing([{ number: 1, minorEdit: false }]));
+            },
+            'GET /wiki/download/attachments/11/a.txt': function(req, reply) {
+                reply(200, Buffer.from("hello"), { 'Content-Type': 'application/octet-stream' });
+            },
+            'GET /wiki/rest/api/content/50': function(req, reply) {
+                reply(200, { id: "50", title: "TGT Home", version: { number: 1 } });
+            },
+            'PUT /wiki/rest/api/content/50': function(req, reply) {
+                updated.push({ id: "50", body: req.body });
+                reply(200, { id: "50" });
+            },
+            'POST /wiki/rest/api/content': function(req, reply) {
+                var id = String(500 + created.length);
+                created.push({ id: id, body: req.body });
+                server.routes['GET /wiki/rest/api/content/' + id] = function(req, reply) {
+                    reply(200, { id: id, title: "Guide", version: { number: 1 } });
+                };
+                server.routes['PUT /wiki/rest/api/content/' + id] = function(req, reply) {
+                    updated.push({ id: id, body: req.body });
+                    reply(200, { id: id });
+                };
+                server.routes['POST /wiki/rest/api/content/' + id + '/label'] = function(req, reply) {
+                    labels.push({ id: id, labels: req.body });
+                    reply(200, { results: req.body });
+                };
+                server.routes['POST /wiki/rest/api/content/' + id + '/child/attachment'] = function(req, reply) {
+                    uploads.push({ id: id, raw: req.raw.toString() });
+                    reply(200, { results: [{ id: "att9" }] });
+                };
+                reply(200, { id: id, title: req.body.title });
+            }
+        });
+        server.listen(function() {
+            confluence = new Confluence({
+                username: "user",
+                password: "pass",
+                baseUrl: server.baseUrl + "/wiki"
+            });
+            done();
+        });
+    });
+
+    afterEach(function (done) {
+        fs.rmSync(dir, { recursive: true, force: true });
+        server.close(done);
+    });
+
+    it('exports content, labels, version history and attachments to disk', function () {
+        return confluence.exportSpace("SRC", dir).then(function(report) {
+            expect(report.content.map(function(item) { return item.id + " " + item.action; })).to.deep.equal([
+                "10 exported", "11 exported", "20 exported"
+            ]);
+            expect(report.attachments).to.equal(1);
+
+            var space = JSON.parse(fs.readFileSync(path.join(dir, "space.json"), 'utf8'));
+            expect(space).to.include({ format: 1, key: "SRC", homepageId: "10" });
+
+            var guide = JSON.parse(fs.readFileSync(path.join(dir, "content", "11.json"), 'utf8'));
+            expect(guide).to.include({ id: "11", type: "page", title: "Guide", parentId: "10" });
+            expect(guide.labels).to.deep.equal([{ prefix: "global", name: "docs" }]);
+            expect(guide.version).to.deep.equal({ number: 1, when: "2015-01-03T00:00:00.000Z", by: "jdoe" });
+            expect(guide.attachments).to.deep.equal([{
+                id: "att1", title: "a.txt", mediaType: "text/plain", comment: "greeting", version: 2, file: "attachments/11/a.txt"
+            }]);
+            expect(fs.readFileSync(path.join(dir, "attachments", "11", "a.txt"), 'utf8')).to.equal("hello");
+
+            var home = JSON.parse(fs.readFileSync(path.join(dir, "content", "10.json"), 'utf8'));
+            expect(home.versions).to.deep.equal([
+                { number: 3, when: "2015-01-02T00:00:00.000Z", message: "", minorEdit: false, by: "jdoe" },
+                { number: 2, when: "2015-01-01T12:00:00.000Z", message: "typo", minorEdit: true, by: "asmith" },
+                { number: 1, when: "2015-01-01T00:00:00.000Z", message: "", minorEdit: false, by: "jdoe" }
+            ]);
+        });
+    });
+
+    it('leaves out the version history when asked to', function () {
+        return confluence.exportSpace("SRC", dir, { history: false }).then(function() {
+            var home = JSON.parse(fs.readFileSync(path.join(dir, "content", "10.json"), 'utf8'));
+            expect(home.versions).to.deep.equal([]);
+            expect(server.requests.filter(function(req) { return /\/version$/.test(req.path); })).to.have.length(0);
+        });
+    });
+
+    it('resumes an export, skipping content already on disk', function () {
+        return confluence.exportSpace("SRC", dir).then(function() {
+            fs.unlinkSync(path.join(dir, "content", "20.json"));
+            server.requests = [];
+            return confluence.exportSpace("SRC", dir);
+        }).then(function(report) {
+            expect(report.content.map(function(item) { return item.id + " " + item.action; })).to.deep.equal([
+                "10 skipped", "11 skipped", "20 exported"
+            ]);
+            expect(report.attachments).to.equal(0);
+            expect(server.requests.filter(function(req) { return /download/.test(req.path); })).to.have.length(0);
+        });
+    });
+
+    it('imports into another space, remapping parents and links', function () {
+        return confluence.exportSpace("SRC", dir).then(function() {
+            return confluence.importSpace(dir, "TGT");
+        }).then(function(report) {
+            expect(report.content.map(function(item) { return [item.sourceId, item.id, item.action]; })).to.deep.equal([
+                ["10", "50", "updated"],
+                ["11", "500", "created"],
+                ["20", "501", "created"]
+            ]);
+
+            var guide = created[0].body;
+            expect(guide.space.key).to.equal("TGT");
+            expect(guide.ancestors[0].id).to.equal("50");
+            expect(guide.body.storage.value).to.contain('ri:space-key="TGT"');
+
+            var post = created[1].body;
+            expect(post.type).to.equal("blogpost");
+            expect(post.ancestors).to.equal(undefined);
+
+            expect(labels).to.deep.equal([{ id: "500", labels: [{ prefix: "global", name: "docs" }] }]);
+            expect(uploads).to.have.length(1);
+            expect(uploads[0].raw).to.contain('filename="a.txt"');
+            expect(uploads[0].raw).to.contain("Content-Type: text/plain");
+            expect(uploads[0].raw).to.contain("greeting");
+            expect(uploads[0].raw).to.contain("hello");
+
+            // the home page takes the exported content, and links by id are rewritten
+            expect(updated.map(function(update) { return update.id; })).to.deep.equal(["50", "500"]);
+            expect(updated[0].body.body.storage.value).to.equal("<p>Welcome</p>");
+            expect(updated[1].body.body.storage.value).to.contain("viewpage.action?pageId=50");
+        });
+    });
+
+    it('resumes an import without recreating pages', function () {
+        return confluence.exportSpace("SRC", dir).then(function() {
+            return confluence.importSpace(dir, "TGT");
+        }).then(function() {
+            server.requests = [];
+            return confluence.importSpace(dir, "TGT");
+        }).then(function(report) {
+            expect(report.content.map(function(item) { return item.action; })).to.deep.equal(["skipped", "skipped", "skipped"]);
+            expect(server.requests).to.have.length(0);
+        });
+    });
+});
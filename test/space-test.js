@@ -0,0 +1,171 @@
+/**
+ * Tests for space management, run against a local stub server.
+ */
+
+var expect = require('chai').expect;
+var Confluence = require("../lib/confluence");
+var StubServer = require("./support/stub-server");
+
+describe('Confluence API spaces', function () {
+    var server;
+    var confluence;
+    var polls;
+
+    function requests(method) {
+        return server.requests.filter(function(req) {
+            return req.method === method;
+        });
+    }
+
+    beforeEach(function (done) {
+        polls = 0;
+
+        server = new StubServer({
+            'GET /wiki/rest/api/space': function(req, reply) {
+                if (req.query.spaceKey === "NEW") {
+                    return reply(200, { results: [{ key: "NEW", _expandable: { homepage: "/rest/api/content/70" } }] });
+                }
+                var start = Number(req.query.start || 0);
+                var all = [{ key: "ONE" }, { key: "TWO" }, { key: "THREE" }];
+                reply(200, {
+                    results: all.slice(start, start + 2), start: start, limit: 2, size: Math.min(2, all.length - start),
+                    _links: start === 0 ? { next: "/rest/api/space?limit=2&start=2" } : {}
+                });
+            },
+            'POST /wiki/rest/api/space': function(req, reply) {
+                reply(200, { id: 1, key: req.body.key, name: req.body.name });
+            },
+            'POST /wiki/rest/api/space/_private': function(req, reply) {
+                reply(200, { id: 2, key: req.body.key, name: req.body.name });
+            },
+            'GET /wiki/rest/api/content/70': function(req, reply) {
+                reply(200, { id: "70", title: "New Home", version: { number: 1 } });
+            },
+            'PUT /wiki/rest/api/content/70': function(req, reply) {
+                reply(200, { id: "70" });
+            },
+            'PUT /wiki/rest/api/space/NEW': function(req, reply) {
+                reply(200, Object.assign({ key: "NEW" }, req.body));
+            },
+            'DELETE /wiki/rest/api/space/OLD': function(req, reply) {
+                reply(202, { id: "task-1", links: { status: "/rest/api/longtask/task-1" } });
+            },
+            'DELETE /wiki/rest/api/space/BROKEN': function(req, reply) {
+                reply(202, { id: "task-2", links: { status: "/rest/api/longtask/task-2" } });
+            },
+            'GET /wiki/rest/api/longtask/task-1': function(req, reply) {
+                polls++;
+                reply(200, { id: "task-1", percentageComplete: polls * 50, finished: polls === 2, successful: polls === 2 });
+            },
+            'GET /wiki/rest/api/longtask/task-2': function(req, reply) {
+                reply(200, { id: "task-2", percentageComplete: 100, finished: true, successful: false, messages: [{ translation: "Space is locked" }] });
+            }
+        });
+        server.listen(function() {
+            confluence = new Confluence({
+                username: "user",
+                password: "pass",
+                baseUrl: server.baseUrl + "/wiki"
+            });
+            done();
+        });
+    });
+
+    afterEach(function (done) {
+        server.close(done);
+    });
+
+    it('lists every space with filters', function () {
+        return confluence.getSpaces({ type: "global", status: "current", label: ["team", "eng"] }).then(function(spaces) {
+            expect(spaces.map(function(space) { return space.key; })).to.deep.equal(["ONE", "TWO", "THREE"]);
+
+            var query = server.requests[0].query;
+            expect(query).to.include({ type: "global", status: "current" });
+            expect(query.label).to.deep.equal(["team", "eng"]);
+        });
+    });
+
+    it('creates a space with a description and home page content', function () {
+        return confluence.createSpace("NEW", "New project", {
+            description: "Project space",
+            homepage: "# Welcome",
+            format: "markdown"
+        }).then(function(space) {
+            expect(space.key).to.equal("NEW");
+            expect(requests('POST')[0].body).to.deep.equal({
+                key: "NEW",
+                name: "New project",
+                description: { plain: { value: "Project space", representation: "plain" } }
+            });
+
+            var home = requests('PUT')[0];
+            expect(home.path).to.equal("/wiki/rest/api/content/70");
+            expect(home.body.title).to.equal("New Home");
+            expect(home.body.version.number).to.equal(2);
+            expect(home.body.body.storage.value).to.equal("<h1>Welcome</h1>");
+        });
+    });
+
+    it('creates private and personal spaces', function () {
+        return confluence.createSpace("PRIV", "Mine", { private: true }).then(function() {
+            expect(requests('POST')[0].path).to.equal("/wiki/rest/api/space/_private");
+            return confluence.createSpace("~jdoe", "Jane Doe", { type: "personal" });
+        }).then(function() {
+            expect(requests('POST')[1].body).to.deep.equal({ key: "~jdoe", name: "Jane Doe", type: "personal" });
+        });
+    });
+
+    it('updates, archives and unarchives a space', function () {
+        return confluence.updateSpace("NEW", { name: "Renamed", description: "Updated", homepageId: "71" }).then(function(space) {
+            expect(space.name).to.equal("Renamed");
+            expect(requests('PUT')[0].body).to.deep.equal({
+                name: "Renamed",
+                description: { plain: { value: "Updated", representation: "plain" } },
+                homepage: { id: "71" }
+            });
+            return confluence.archiveSpace("NEW");
+        }).then(function() {
+            return confluence.unarchiveSpace("NEW");
+        }).then(function() {
+            expect(requests('PUT').slice(1).map(function(req) { return req.body; })).to.deep.equal([
+                { status: "archived" },
+                { status: "current" }
+            ]);
+        });
+    });
+
+    it('deletes a space and waits for the task to finish', function () {
+        var progress = [];
+
+        return confluence.deleteSpace("OLD", {
+            pollInterval: 5,
+            onProgress: function(task) { progress.push(task.percentageComplete); }
+        }).then(function(task) {
+            expect(task).to.include({ id: "task-1", finished: true, successful: true });
+            expect(progress).to.deep.equal([50, 100]);
+        });
+    });
+
+    it('returns the task without waiting when asked to', function () {
+        return confluence.deleteSpace("OLD", { wait: false }).then(function(task) {
+            expect(task.id).to.equal("task-1");
+            expect(polls).to.equal(0);
+        });
+    });
+
+    it('rejects when the delete task fails or times out', function () {
+        return confluence.deleteSpace("BROKEN", { pollInterval: 5 }).then(function() {
+            throw new Error("expected a rejection");
+        }, function(err) {
+            expect(err).to.be.an.instanceof(Confluence.ConfluenceError);
+            expect(err.message).to.equal("Confluence task task-2 failed.");
+            expect(err.body.messages[0].translation).to.equal("Space is locked");
+
+            return confluence.deleteSpace("OLD", { pollInterval: 50, timeout: 10 });
+        }).then(function() {
+            throw new Error("expected a rejection");
+        }, function(err) {
+            expect(err.message).to.equal("Confluence task task-1 did not finish within 10ms.");
+        });
+    });
+});
@@ -0,0 +1,122 @@
+/**
+ * Tests for the storage format to Markdown and plain text converters in
+ * storage.js.
+ */
+
+var expect = require('chai').expect;
+var Confluence = require("../lib/confluence");
+var storage = require("../lib/storage");
+var StubServer = require("./support/stub-server");
+
+describe('Storage format to Markdown and text', function () {
+
+    it('should convert headings, paragraphs and inline formatting', function () {
+        expect(storage.toMarkdown("<h2>Intro &amp; more</h2><p>Some <strong>bold </strong>and <em>it</em><br/>text with *stars*</p>"))
+            .to.equal("## Intro & more\n\nSome **bold** and _it_\\\ntext with \\*stars\\*\n");
+    });
+
+    it('should escape text that would read as Markdown blocks or HTML', function () {
+        expect(storage.toMarkdown("<p>1. not a list</p><p># not a heading</p><p>&gt; quote<br/>- item<br/>+ x<br/>---<br/>2) two</p>"))
+            .to.equal("1\\. not a list\n\n\\# not a heading\n\n\\> quote\\\n\\- item\\\n\\+ x\\\n\\---\\\n2\\) two\n");
+        expect(storage.toMarkdown("<ul><li>3. three</li></ul><p>1.5 is fine, C# too</p>")).to.equal("- 3\\. three\n\n1.5 is fine, C# too\n");
+        expect(storage.toMarkdown("<p>&lt;script&gt;alert(1)&lt;/script&gt; &amp;lt; a &lt; b</p>"))
+            .to.equal("\\<script>alert(1)\\</script> \\&lt; a \\< b\n");
+    });
+
+    it('should leave invalid character references as they are', function () {
+        expect(storage.toText("<p>&#x110000; &#55296; &#99999999999; &#x41;</p>")).to.equal("&#x110000; &#55296; &#99999999999; A\n");
+    });
+
+    it('should convert nested lists', function () {
+        expect(storage.toMarkdown("<ul><li>one</li><li><p>two</p><ol><li>a</li><li>b</li></ol></li></ul>"))
+            .to.equal("- one\n- two\n  1. a\n  2. b\n");
+    });
+
+    it('should convert task lists and user mentions', function () {
+        var xml = '<ac:task-list><ac:task><ac:task-status>complete</ac:task-status>' +
+            '<ac:task-body>ship <ac:link><ri:user ri:account-id="557058" /></ac:link></ac:task-body></ac:task>' +
+            '<ac:task><ac:task-status>incomplete</ac:task-status><ac:task-body>test</ac:task-body></ac:task></ac:task-list>';
+        expect(storage.toMarkdown(xml)).to.equal("- [x] ship @557058\n- [ ] test\n");
+        expect(storage.toMarkdown(xml, {
+            resolveUser: function(user) { return user.accountId === "557058" ? "Jane Doe" : null; }
+        })).to.equal("- [x] ship @Jane Doe\n- [ ] test\n");
+    });
+
+    it('should convert tables', function () {
+        expect(storage.toMarkdown("<table><tbody><tr><th>A</th><th>B|C</th></tr><tr><td><p>1</p></td><td>2</td></tr></tbody></table>"))
+            .to.equal("| A | B\\|C |\n| --- | --- |\n| 1 | 2 |\n");
+    });
+
+    it('should convert the code macro to a fenced block', function () {
+        var xml = '<ac:structured-macro ac:name="code"><ac:parameter ac:name="language">python</ac:parameter>' +
+            '<ac:plain-text-body><![CDATA[if a < b:\n    pass]]></ac:plain-text-body></ac:structured-macro>';
+        expect(storage.toMarkdown(xml)).to.equal("```python\nif a < b:\n    pass\n```\n");
+    });
+
+    it('should convert panels to alerts', function () {
+        var xml = '<ac:structured-macro ac:name="note"><ac:parameter ac:name="title">Heads up</ac:parameter>' +
+            '<ac:rich-text-body><p>Read this</p></ac:rich-text-body></ac:structured-macro>';
+        expect(storage.toMarkdown(xml)).to.equal("> [!NOTE] Heads up\n> Read this\n");
+    });
+
+    it('should convert attachment images and page links', function () {
+        var xml = '<p><ac:image ac:alt="Diagram"><ri:attachment ri:filename="arch.png" /></ac:image> see ' +
+            '<ac:link><ri:page ri:content-title="Runbook" /><ac:plain-text-link-body><![CDATA[the runbook]]></ac:plain-text-link-body></ac:link></p>';
+        expect(storage.toMarkdown(xml)).to.equal("![Diagram](arch.png) see the runbook\n");
+        expect(storage.toMarkdown(xml, {
+            resolvePageLink: function(link) { return "/wiki/" + link.title; }
+        })).to.equal("![Diagram](arch.png) see [the runbook](/wiki/Runbook)\n");
+    });
+
+    it('should replace unknown macros with a placeholder', function () {
+        var xml = '<p>before</p><ac:structured-macro ac:name="jira"><ac:parameter ac:name="key">ABC-1</ac:parameter></ac:structured-macro>';
+        expect(storage.toMarkdown(xml)).to.equal("before\n\n[jira macro]\n");
+        expect(storage.toMarkdown(xml, { macroPlaceholder: "" })).to.equal("before\n");
+        expect(storage.toText(xml)).to.equal("before\n");
+    });
+
+    it('should convert to plain text without markup', function () {
+        var xml = '<h1>Title</h1><p><strong>Bold</strong> <a href="http://x">link</a></p><ul><li>item</li></ul>' +
+            '<table><tr><td>a</td><td>b</td></tr></table>';
+        expect(storage.toText(xml)).to.equal("Title\n\nBold link\n\n- item\n\na\tb\n");
+    });
+
+    describe('#getContentAsMarkdown', function () {
+        var server;
+        var confluence;
+
+        beforeEach(function (done) {
+            server = new StubServer({
+                'GET /wiki/rest/api/content/1': function(req, reply) {
+                    reply(200, { id: "1", title: "Page", body: { storage: { value: "<p><em>hi</em></p>" } } });
+                }
+            });
+            server.listen(function() {
+                confluence = new Confluence({
+                    username: "testuser",
+                    password: "test-user-pw",
+                    baseUrl: server.baseUrl + "/wiki"
+                });
+                done();
+            });
+        });
+
+        afterEach(function (done) {
+            server.close(done);
+        });
+
+        it('should fetch a page as Markdown', function () {
+            return confluence.getContentAsMarkdown("1", { includeTitle: true }).then(function(text) {
+                expect(text).to.equal("# Page\n\n_hi_\n");
+            });
+        });
+
+        it('should fetch a page as text', function (done) {
+            confluence.getContentAsText("1", function(err, text) {
+                expect(err).to.be.null;
+                expect(text).to.equal("hi\n");
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,77 @@
+/**
+ * Minimal HTTP server used to exercise the Confluence client without network
+ * access. Each route maps "METHOD /path" to a handler receiving the request,
+ * the response and the parsed request body.
+ */
+
+var http = require('http');
+var url = require('url');
+
+function StubServer(routes) {
+    this.routes = routes || {};
+    this.requests = [];
+    this.server = http.createServer(this.handle.bind(this));
+}
+
+StubServer.prototype.handle = function(req, res) {
+    var self = this;
+    var chunks = [];
+
+    req.on('data', function(chunk) { chunks.push(chunk); });
+    req.on('end', function() {
+        var parsed = url.parse(req.url, true);
+        var raw = Buffer.concat(chunks);
+        var body = raw.toString();
+
+        if (/json/.test(req.headers['content-type'] || '') && body) {
+            body = JSON.parse(body);
+        }
+
+        var entry = {
+            method: req.method,
+            path: parsed.pathname,
+            query: parsed.query,
+            headers: req.headers,
+            body: body,
+            raw: raw
+        };
+        self.requests.push(entry);
+
+        var handler = self.routes[req.method + ' ' + parsed.pathname];
+        if (!handler) {
+            return send(res, 404, { statusCode: 404, message: "No route for " + req.method + " " + parsed.pathname });
+        }
+        handler(entry, function(status, payload, headers) {
+            send(res, status, payload, headers);
+        });
+    });
+};
+
+StubServer.prototype.listen = function(done) {
+    var self = this;
+    this.server.listen(0, '127.0.0.1', function() {
+        self.baseUrl = 'http://127.0.0.1:' + self.server.address().port;
+        done();
+    });
+};
+
+StubServer.prototype.close = function(done) {
+    this.server.close(done);
+};
+
+function send(res, status, payload, headers) {
+    headers = headers || {};
+    if (payload === undefined || payload === null) {
+        res.writeHead(status, headers);
+        return res.end();
+    }
+    if (Buffer.isBuffer(payload) || typeof payload === 'string') {
+        res.writeHead(status, headers);
+        return res.end(payload);
+    }
+    headers['Content-Type'] = 'application/json';
+    res.writeHead(status, headers);
+    res.end(JSON.stringify(payload));
+}
+
+module.exports = StubServer;
@@ -0,0 +1,287 @@
+/**
+ * Tests for syncDirectory, publishing a temporary docs folder to a local stub
+ * server:
+ *
+ *     intro.md         -> "Introduction", links to guide/setup.md, shows img/diagram.png
+ *     guide/index.md   -> "Guide"
+ *     guide/setup.md   -> "Setup", child of "Guide"
+ *     img/diagram.png  -> attachment of "Introduction"
+ */
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var expect = require('chai').expect;
+var Confluence = require("../lib/confluence");
+var StubServer = require("./support/stub-server");
+
+describe('Confluence API syncDirectory', function () {
+    var server;
+    var confluence;
+    var dir;
+    var pages;
+    var attachments;
+
+    function write(file, content) {
+        var target = path.join(dir, file);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, content);
+    }
+
+    function writes() {
+        return server.requests.filter(function(req) {
+            return req.method !== 'GET';
+        }).map(function(req) {
+            return req.method + ' ' + req.path;
+        });
+    }
+
+    function byTitle(title) {
+        return Object.keys(pages).map(function(id) { return pages[id]; }).filter(function(page) {
+            return page.title === title;
+        })[0];
+    }
+
+    function addPageRoutes(id) {
+        server.routes['GET /wiki/rest/api/content/' + id] = function(req, reply) {
+            reply(200, pages[id]);
+        };
+        server.routes['PUT /wiki/rest/api/content/' + id] = function(req, reply) {
+            pages[id].title = req.body.title;
+            pages[id].body = req.body.body;
+            pages[id].version = req.body.version;
+            pages[id].ancestors = req.body.ancestors || pages[id].ancestors;
+            reply(200, pages[id]);
+        };
+        server.routes['DELETE /wiki/rest/api/content/' + id] = function(req, reply) {
+            delete pages[id];
+            reply(204);
+        };
+        server.routes['GET /wiki/rest/api/content/' + id + '/child/attachment'] = function(req, reply) {
+            var results = attachments.filter(function(attachment) { return attachment.pageId === id; });
+            reply(200, { results: results, start: 0, limit: 25, size: results.length, _links: {} });
+        };
+        server.routes['POST /wiki/rest/api/content/' + id + '/child/attachment'] = function(req, reply) {
+            var attachment = { id: "att" + attachments.length, title: "diagram.png", pageId: id };
+            attachments.push(attachment);
+            server.routes['POST /wiki/rest/api/content/' + id + '/child/attachment/' + attachment.id + '/data'] = function(req, reply) {
+                reply(200, attachment);
+            };
+            reply(200, { results: [attachment] });
+        };
+    }
+
+    beforeEach(function (done) {
+        pages = {};
+        attachments = [];
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'confluence-sync-'));
+
+        write("intro.md", "# Introduction\n\nSee the [install steps](guide/setup.md#install).\n\n![Diagram](img/diagram.png)\n");
+        write("guide/index.md", "# Guide\n\nAll the guides.\n");
+        write("guide/setup.md", "# Setup\n\n## Install\n\nRun the installer.\n");
+        write("img/diagram.png", Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+
+        server = new StubServer({
+            'GET /wiki/rest/api/space': function(req, reply) {
+                reply(200, { results: [{ key: "DOCS", _expandable: { homepage: "/rest/api/content/1" } }] });
+            },
+            'GET /wiki/rest/api/content': function(req, reply) {
+                var page = byTitle(req.query.title);
+                reply(200, { results: page ? [page] : [], size: page ? 1 : 0 });
+            },
+            'POST /wiki/rest/api/content': function(req, reply) {
+                var id = String(100 + Object.keys(pages).length + server.requests.length);
+                pages[id] = {
+                    id: id,
+                    title: req.body.title,
+                    ancestors: req.body.ancestors,
+                    version: { number: 1 },
+                    body: req.body.body
+                };
+                addPageRoutes(id);
+                reply(200, pages[id]);
+            }
+        });
+        server.listen(function() {
+            confluence = new Confluence({
+                username: "user",
+                password: "pass",
+                baseUrl: server.baseUrl + "/wiki"
+            });
+            done();
+        });
+    });
+
+    afterEach(function (done) {
+        fs.rmSync(dir, { recursive: true, force: true });
+        server.close(done);
+    });
+
+    it('publishes folders as parent pages with attachments and a manifest', function () {
+        return confluence.syncDirectory(dir, { space: "DOCS", parentId: "1" }).then(function(report) {
+            expect(report.pages.map(function(page) { return [page.path, page.title, page.action]; })).to.deep.equal([
+                ["guide", "Guide", "created"],
+                ["guide/setup.md", "Setup", "created"],
+                ["intro.md", "Introduction", "created"]
+            ]);
+
+            var guide = byTitle("Guide");
+            var setup = byTitle("Setup");
+            var intro = byTitle("Introduction");
+            expect(guide.ancestors[0].id).to.equal("1");
+            expect(setup.ancestors[0].id).to.equal(guide.id);
+            expect(intro.body.storage.value).to.contain('<ri:page ri:content-title="Setup" />');
+            expect(intro.body.storage.value).to.contain('ac:anchor="install"');
+            expect(intro.body.storage.value).to.contain('<ri:attachment ri:filename="diagram.png" />');
+            expect(intro.body.storage.value).to.not.contain("<h1>");
+
+            expect(report.attachments).to.have.length(1);
+            expect(report.attachments[0]).to.include({ path: "img/diagram.png", pageId: intro.id, action: "created" });
+            expect(attachments).to.have.length(1);
+
+            var manifest = JSON.parse(fs.readFileSync(path.join(dir, ".confluence-sync.json"), 'utf8'));
+            expect(Object.keys(manifest.pages)).to.deep.equal(["guide", "guide/setup.md", "intro.md"]);
+            expect(manifest.pages["intro.md"].id).to.equal(intro.id);
+        });
+    });
+
+    it('only writes pages and attachments that changed', function () {
+        return confluence.syncDirectory(dir, { space: "DOCS", parentId: "1" }).then(function() {
+            server.requests = [];
+            return confluence.syncDirectory(dir, { space: "DOCS", parentId: "1" });
+        }).then(function(report) {
+            expect(report.pages.map(function(page) { return page.action; })).to.deep.equal(["unchanged", "unchanged", "unchanged"]);
+            expect(report.attachments[0].action).to.equal("unchanged");
+            expect(server.requests).to.have.length(0);
+
+            write("guide/setup.md", "# Setup\n\n## Install\n\nRun the new installer.\n");
+            write("img/diagram.png", Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d]));
+            return confluence.syncDirectory(dir, { space: "DOCS", parentId: "1", message: "Synced" });
+        }).then(function(report) {
+            var setup = byTitle("Setup");
+            var intro = byTitle("Introduction");
+
+            expect(report.pages.map(function(page) { return page.action; })).to.deep.equal(["unchanged", "updated", "unchanged"]);
+            expect(report.attachments[0].action).to.equal("updated");
+            expect(writes()).to.deep.equal([
+                "PUT /wiki/rest/api/content/" + setup.id,
+                "POST /wiki/rest/api/content/" + intro.id + "/child/attachment/att0/data"
+            ]);
+            expect(setup.version).to.deep.equal({ number: 2, minorEdit: false, message: "Synced" });
+            expect(setup.body.storage.value).to.contain("Run the new installer.");
+        });
+    });
+
+    it('reports what would change without writing on a dry run', function () {
+        return confluence.syncDirectory(dir, { space: "DOCS", dryRun: true }).then(function(report) {
+            expect(report.dryRun).to.equal(true);
+            expect(report.pages.map(function(page) { return page.action; })).to.deep.equal(["created", "created", "created"]);
+            expect(report.attachments[0].action).to.equal("created");
+            expect(writes()).to.deep.equal([]);
+            expect(fs.existsSync(path.join(dir, ".confluence-sync.json"))).to.equal(false);
+        });
+    });
+
+    it('deletes pages whose source was removed when asked to', function () {
+        return confluence.syncDirectory(dir, { space: "DOCS", parentId: "1" }).then(function() {
+            fs.rmSync(path.join(dir, "guide"), { recursive: true });
+            return confluence.syncDirectory(dir, { space: "DOCS", parentId: "1" });
+        }).then(function(report) {
+            expect(report.deleted).to.deep.equal([]);
+            expect(byTitle("Setup")).to.exist;
+
+            var setupId = byTitle("Setup").id;
+            var guideId = byTitle("Guide").id;
+            server.requests = [];
+            return confluence.syncDirectory(dir, { space: "DOCS", parentId: "1", deleteRemoved: true }).then(function(report) {
+                expect(report.deleted.map(function(page) { return page.path; })).to.deep.equal(["guide/setup.md", "guide"]);
+                expect(writes()).to.deep.equal([
+                    "DELETE /wiki/rest/api/content/" + setupId,
+                    "DELETE /wiki/rest/api/content/" + guideId
+                ]);
+                var manifest = JSON.parse(fs.readFileSync(path.join(dir, ".confluence-sync.json"), 'utf8'));
+                expect(Object.keys(manifest.pages)).to.deep.equal(["intro.md"]);
+            });
+        });
+    });
+
+    it('refuses two files with the same title', function () {
+        write("reference/setup.md", "# setup\n\nOptions.\n");
+
+        return confluence.syncDirectory(dir, { space: "DOCS", parentId: "1" }).then(function() {
+            throw new Error("expected a rejection");
+        }, function(err) {
+            expect(err.message).to.equal("Both guide/setup.md and reference/setup.md would be published as the page 'setup'. " +
+                "Give one of them another title.");
+            expect(writes()).to.deep.equal([]);
+        });
+    });
+
+    it('moves pages whose file moved to another folder, and keeps them', function () {
+        write("notes.md", "# Notes\n\nPlain.\n");
+
+        return confluence.syncDirectory(dir, { space: "DOCS", parentId: "1" }).then(function() {
+            fs.renameSync(path.join(dir, "notes.md"), path.join(dir, "guide/notes.md"));
+            return confluence.syncDirectory(dir, { space: "DOCS", parentId: "1", deleteRemoved: true });
+        }).then(function(report) {
+            var notes = byTitle("Notes");
+
+            expect(report.pages.filter(function(page) { return page.title === "Notes"; })[0])
+                .to.include({ path: "guide/notes.md", id: notes.id, action: "updated" });
+            expect(notes.ancestors[0].id).to.equal(byTitle("Guide").id);
+            expect(report.deleted).to.deep.equal([]);
+
+            var manifest = JSON.parse(fs.readFileSync(path.join(dir, ".confluence-sync.json"), 'utf8'));
+            expect(manifest.pages).to.not.have.property("notes.md");
+        });
+    });
+
+    it('uploads local images referenced from HTML files', function () {
+        fs.rmSync(path.join(dir, "intro.md"));
+        write("status.html", '<html><head><title>Status</title></head><body><p><img alt="Diagram" src="img/diagram.png"></p>' +
+            '<p><img src="https://example.com/a.png"></p></body></html>');
+
+        return confluence.syncDirectory(dir, { space: "DOCS", parentId: "1" }).then(function(report) {
+            var status = byTitle("Status");
+
+            expect(status.body.storage.value).to.equal('<p><ac:image ac:alt="Diagram"><ri:attachment ri:filename="diagram.png" /></ac:image></p>' +
+                '<p><img src="https://example.com/a.png"></p>');
+            expect(report.attachments).to.have.length(1);
+            expect(report.attachments[0]).to.include({ path: "img/diagram.png", pageId: status.id, action: "created" });
+        });
+    });
+
+    it('finds pages whose titles need encoding', function () {
+        write("faq.md", "# Q&A #1 + 2\n\nAsk away.\n");
+
+        return confluence.syncDirectory(dir, { space: "DOCS", parentId: "1" }).then(function() {
+            // without the manifest, pages are found by title
+            fs.rmSync(path.join(dir, ".confluence-sync.json"));
+            return confluence.syncDirectory(dir, { space: "DOCS", parentId: "1" });
+        }).then(function(report) {
+            expect(report.pages.filter(function(page) { return page.path === "faq.md"; })[0])
+                .to.include({ title: "Q&A #1 + 2", action: "unchanged" });
+            expect(byTitle("Q&A #1 + 2")).to.exist;
+            expect(Object.keys(pages)).to.have.length(4);
+        });
+    });
+
+    it('ignores comments in fenced code when looking for the title', function () {
+        write("build.md", "Steps:\n\n```bash\n# install deps\nnpm ci\n```\n");
+
+        return confluence.syncDirectory(dir, { space: "DOCS", parentId: "1" }).then(function(report) {
+            var build = byTitle("build");
+
+            expect(report.pages.map(function(page) { return page.title; })).to.include("build");
+            expect(build.body.storage.value).to.contain("# install deps\nnpm ci");
+        });
+    });
+
+    it('requires a space', function () {
+        return confluence.syncDirectory(dir, {}).then(function() {
+            throw new Error("expected a rejection");
+        }, function(err) {
+            expect(err.message).to.equal("syncDirectory expects a space option.");
+        });
+    });
+});
@@ -0,0 +1,149 @@
+/**
+ * Tests for upsertPage in confluence.js, run against a local stub server
+ * holding a single space with versioned pages.
+ */
+
+var expect = require('chai').expect;
+var Confluence = require("../lib/confluence");
+var StubServer = require("./support/stub-server");
+
+describe('Confluence API upsertPage', function () {
+    var server;
+    var confluence;
+    var pages;
+    var conflicts;
+
+    function page(id) {
+        return pages[id];
+    }
+
+    beforeEach(function (done) {
+        pages = {};
+        conflicts = 0;
+        server = new StubServer({
+            'GET /wiki/rest/api/space': function(req, reply) {
+                reply(200, { results: [{ key: "TEST", _expandable: { homepage: "/rest/api/content/1" } }] });
+            },
+            'GET /wiki/rest/api/content/1': function(req, reply) {
+                reply(200, { id: "1", title: "Home" });
+            },
+            'GET /wiki/rest/api/content': function(req, reply) {
+                reply(200, { results: Object.keys(pages).map(page).filter(function(p) {
+                    return p.title === req.query.title;
+                }) });
+            },
+            'POST /wiki/rest/api/content': function(req, reply) {
+                var id = String(100 + Object.keys(pages).length);
+                pages[id] = { id: id, title: req.body.title, ancestors: req.body.ancestors, version: { number: 1 }, body: req.body.body };
+                reply(200, pages[id]);
+            },
+            'GET /wiki/rest/api/content/100': function(req, reply) {
+                reply(200, page("100"));
+            },
+            'PUT /wiki/rest/api/content/100': function(req, reply) {
+                var current = page("100");
+                if (conflicts-- > 0) {
+                    // somebody else saved a new version in the meantime
+                    current.version.number++;
+                }
+                if (req.body.version.number !== current.version.number + 1) {
+                    return reply(409, { statusCode: 409, message: "Version must be incremented on update. Current version is: " + current.version.number });
+                }
+                current.version = req.body.version;
+                current.body = req.body.body;
+                current.ancestors = req.body.ancestors || current.ancestors;
+                reply(200, current);
+            }
+        });
+        server.listen(function() {
+            confluence = new Confluence({
+                username: "testuser",
+                password: "test-user-pw",
+                baseUrl: server.baseUrl + "/wiki"
+            });
+            done();
+        });
+    });
+
+    afterEach(function (done) {
+        server.close(done);
+    });
+
+    it('should create a missing page under the space home page', function () {
+        return confluence.upsertPage("TEST", "Doc", "<p>one</p>").then(function(result) {
+            expect(result.action).to.equal("created");
+            expect(result.page.id).to.equal("100");
+            expect(result.page.ancestors[0].id).to.equal("1");
+        });
+    });
+
+    it('should update an existing page with the next version', function () {
+        return confluence.upsertPage("TEST", "Doc", "<p>one</p>").then(function() {
+            return confluence.upsertPage("TEST", "Doc", "<p>two</p>", { message: "second" });
+        }).then(function(result) {
+            expect(result.action).to.equal("updated");
+            expect(result.page.version.number).to.equal(2);
+            expect(result.page.version.message).to.equal("second");
+            expect(result.page.body.storage.value).to.equal("<p>two</p>");
+        });
+    });
+
+    it('should skip the update when the body is unchanged', function (done) {
+        confluence.upsertPage("TEST", "Doc", "<p>one</p>", function(err) {
+            expect(err).to.be.null;
+            confluence.upsertPage("TEST", "Doc", "<p>one</p>\n", function(err, result) {
+                expect(err).to.be.null;
+                expect(result.action).to.equal("unchanged");
+                expect(server.requests.filter(function(r) { return r.method === 'PUT'; })).to.be.empty;
+                done();
+            });
+        });
+    });
+
+    it('should find pages whose titles contain &, # and +', function () {
+        return confluence.upsertPage("TEST", "Q&A #1 + 2", "<p>one</p>").then(function() {
+            return confluence.upsertPage("TEST", "Q&A #1 + 2", "<p>two</p>");
+        }).then(function(result) {
+            var lookups = server.requests.filter(function(r) { return r.method === 'GET' && r.path === "/wiki/rest/api/content"; });
+
+            expect(result.action).to.equal("updated");
+            expect(Object.keys(pages)).to.deep.equal(["100"]);
+            expect(lookups[1].query).to.include({ spaceKey: "TEST", title: "Q&A #1 + 2" });
+        });
+    });
+
+    it('should refetch and retry on version conflicts', function () {
+        return confluence.upsertPage("TEST", "Doc", "<p>one</p>").then(function() {
+            conflicts = 2;
+            return confluence.upsertPage("TEST", "Doc", "<p>two</p>");
+        }).then(function(result) {
+            expect(result.action).to.equal("updated");
+            expect(result.page.version.number).to.equal(4);
+        });
+    });
+
+    it('should still move the page when a conflict interrupts the move', function () {
+        return confluence.upsertPage("TEST", "Doc", "<p>one</p>").then(function() {
+            conflicts = 1;
+            return confluence.upsertPage("TEST", "Doc", "<p>one</p>", { parentId: "7" });
+        }).then(function(result) {
+            var refetch = server.requests.filter(function(r) { return r.method === 'GET' && r.path === "/wiki/rest/api/content/100"; });
+
+            expect(result.action).to.equal("updated");
+            expect(page("100").ancestors).to.deep.equal([{ id: "7" }]);
+            expect(refetch).to.have.length(1);
+            expect(refetch[0].query.expand).to.equal("body.storage,version,ancestors");
+        });
+    });
+
+    it('should give up after the configured number of conflicts', function () {
+        return confluence.upsertPage("TEST", "Doc", "<p>one</p>").then(function() {
+            conflicts = 5;
+            return confluence.upsertPage("TEST", "Doc", "<p>two</p>", { conflictRetries: 1 });
+        }).then(function() {
+            throw new Error("expected a rejection");
+        }, function(err) {
+            expect(err).to.be.an.instanceof(Confluence.ConflictError);
+        });
+    });
+});
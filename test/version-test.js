@@ -0,0 +1,177 @@
+/**
+ * Tests for page version history, diffs and restores, run against a local
+ * stub server holding page 1 at three versions.
+ */
+
+var expect = require('chai').expect;
+var Confluence = require("../lib/confluence");
+var diff = require("../lib/diff");
+var StubServer = require("./support/stub-server");
+
+describe('Confluence API version history', function () {
+    var server;
+    var confluence;
+
+    var versions = {
+        "1": { title: "Policy", body: "<h1>Scope</h1><p>All staff.</p><p>Review yearly.</p>",
+            by: { displayName: "Ann" }, when: "2015-01-01T00:00:00.000Z", message: "Draft" },
+        "2": { title: "Policy", body: "<h1>Scope</h1><p>All staff and contractors.</p><p>Review yearly.</p>",
+            by: { displayName: "Bob" }, when: "2015-02-01T00:00:00.000Z", message: "Widen scope" },
+        "3": { title: "Security policy", body: "<h1>Scope</h1><p>All staff and contractors.</p><p>Review yearly.</p><table><tbody><tr><td>Owner</td></tr></tbody></table>",
+            by: { displayName: "Ann" }, when: "2015-03-01T00:00:00.000Z", message: "" }
+    };
+
+    function metadata(number) {
+        var version = versions[number];
+        return { number: Number(number), by: version.by, when: version.when, message: version.message, minorEdit: false };
+    }
+
+    beforeEach(function (done) {
+        server = new StubServer({
+            'GET /wiki/rest/api/content/1/version': function(req, reply) {
+                var start = Number(req.query.start || 0);
+                var all = [metadata("3"), metadata("2"), metadata("1")];
+                var results = all.slice(start, start + 2);
+                reply(200, {
+                    results: results, start: start, limit: 2, size: results.length,
+                    _links: start + 2 < all.length ? { next: "/rest/api/content/1/version?limit=2&start=" + (start + 2) } : {}
+                });
+            },
+            'GET /wiki/rest/api/content/1': function(req, reply) {
+                var number = req.query.version || "3";
+                var version = versions[number];
+                reply(200, {
+                    id: "1", type: "page", title: version.title, space: { key: "DOCS" },
+                    version: metadata(number), body: { storage: { value: version.body } }
+                });
+            },
+            'PUT /wiki/rest/api/content/1': function(req, reply) {
+                reply(200, { id: "1", title: req.body.title, version: req.body.version });
+            }
+        });
+        server.listen(function() {
+            confluence = new Confluence({
+                username: "user",
+                password: "pass",
+                baseUrl: server.baseUrl + "/wiki"
+            });
+            done();
+        });
+    });
+
+    afterEach(function (done) {
+        server.close(done);
+    });
+
+    it('lists the version history across pages of results', function () {
+        return confluence.getVersionHistory("1").then(function(history) {
+            expect(history.map(function(version) { return [version.number, version.by.displayName, version.message]; })).to.deep.equal([
+                [3, "Ann", ""],
+                [2, "Bob", "Widen scope"],
+                [1, "Ann", "Draft"]
+            ]);
+        });
+    });
+
+    it('fetches the body of a historical version', function () {
+        return confluence.getContentVersion("1", 1).then(function(page) {
+            expect(page.version.number).to.equal(1);
+            expect(page.body.storage.value).to.contain("All staff.");
+
+            var req = server.requests[0];
+            expect(req.query).to.include({ status: "any", version: "1" });
+        });
+    });
+
+    it('diffs the text of two versions', function () {
+        return confluence.diffVersions("1", 1, 2).then(function(result) {
+            expect(result.from.number).to.equal(1);
+            expect(result.to.by.displayName).to.equal("Bob");
+            expect(result.title).to.equal(undefined);
+            expect(result.changes.filter(function(change) { return change.type !== "equal"; })).to.deep.equal([
+                { type: "removed", value: "All staff." },
+                { type: "added", value: "All staff and contractors." }
+            ]);
+            expect(result.added).to.equal(1);
+            expect(result.removed).to.equal(1);
+            expect(result.patch).to.contain("- All staff.\n+ All staff and contractors.");
+        });
+    });
+
+    it('diffs the storage blocks of two versions', function () {
+        return confluence.diffVersions("1", 2, 3, { format: "storage" }).then(function(result) {
+            expect(result.title).to.deep.equal({ from: "Policy", to: "Security policy" });
+            expect(result.changes.map(function(change) { return change.type; })).to.deep.equal(["equal", "equal", "equal", "added"]);
+            expect(result.changes[3].value).to.equal("<table><tbody><tr><td>Owner</td></tr></tbody></table>");
+        });
+    });
+
+    it('rejects unknown diff formats', function () {
+        return confluence.diffVersions("1", 1, 2, { format: "pdf" }).then(function() {
+            throw new Error("expected a rejection");
+        }, function(err) {
+            expect(err.message).to.equal("Confluence module does not support diff format 'pdf'.");
+        });
+    });
+
+    it('restores a previous version as a new version', function () {
+        return confluence.restoreVersion("1", 1).then(function(page) {
+            var put = server.requests.filter(function(req) { return req.method === "PUT"; })[0];
+            expect(put.body.title).to.equal("Policy");
+            expect(put.body.space.key).to.equal("DOCS");
+            expect(put.body.body.storage.value).to.equal(versions["1"].body);
+            expect(put.body.version).to.deep.equal({ number: 4, minorEdit: false, message: "Restored version 1" });
+            expect(page.version.number).to.equal(4);
+        });
+    });
+});
+
+describe('diff', function () {
+    it('finds the shortest edit script', function () {
+        var changes = diff.diffSequences(["a", "b", "c", "a", "b", "b", "a"], ["c", "b", "a", "b", "a", "c"]);
+        var edits = changes.filter(function(change) { return change.type !== "equal"; });
+
+        expect(edits).to.have.length(5);
+        expect(changes.filter(function(change) { return change.type !== "added"; }).map(function(change) {
+            return change.value;
+        })).to.deep.equal(["a", "b", "c", "a", "b", "b", "a"]);
+        expect(changes.filter(function(change) { return change.type !== "removed"; }).map(function(change) {
+            return change.value;
+        })).to.deep.equal(["c", "b", "a", "b", "a", "c"]);
+    });
+
+    it('diffs long inputs and refuses ones too large to diff', function () {
+        var a = [];
+        for (var i = 0; i < 5000; i++) a.push("line " + i);
+        var b = a.filter(function(line, index) { return index % 100 !== 0; }).concat(["last"]);
+
+        var changes = diff.diffSequences(a, b);
+        expect(changes.filter(function(change) { return change.type === "removed"; })).to.have.length(50);
+        expect(changes.filter(function(change) { return change.type === "added"; })).to.deep.equal([{ type: "added", value: "last" }]);
+
+        // the common start and end do not count
+        expect(diff.diffSequences(a.concat(["x"]), a.concat(["y"]), { maxLength: 2 })).to.have.length(5002);
+        expect(function() { diff.diffSequences(a, b, { maxLength: 100 }); }).to.throw(RangeError,
+            "Can't diff more than 100 changed lines or blocks at a time.");
+    });
+
+    it('handles empty inputs', function () {
+        expect(diff.diffLines("", "")).to.deep.equal([]);
+        expect(diff.diffLines("", "a\nb")).to.deep.equal([{ type: "added", value: "a" }, { type: "added", value: "b" }]);
+        expect(diff.diffLines("a\n", "")).to.deep.equal([{ type: "removed", value: "a" }]);
+    });
+
+    it('splits storage format into top-level blocks', function () {
+        expect(diff.storageBlocks('<p>One <b>bold</b></p>\n<ac:structured-macro ac:name="toc" /><p>Two</p>loose text')).to.deep.equal([
+            "<p>One <b>bold</b></p>",
+            '<ac:structured-macro ac:name="toc" />',
+            "<p>Two</p>",
+            "loose text"
+        ]);
+    });
+
+    it('formats hunks with context', function () {
+        var changes = diff.diffLines("1\n2\n3\n4\n5\n6\n7\n8\n9", "1\nTWO\n3\n4\n5\n6\n7\n8\nNINE");
+        expect(diff.unified(changes, { context: 1 })).to.equal("  1\n- 2\n+ TWO\n  3\n@@\n  8\n- 9\n+ NINE");
+    });
+});